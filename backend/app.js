@@ -0,0 +1,152 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import cors from 'cors';
+import userRoutes from './routes/users.js';
+import adminRoutes from './routes/admin.js';
+import questionRoutes from './routes/questions.js';
+import assessmentRoutes from './routes/assessments.js';
+import attemptRoutes from './routes/attempts.js';
+import { MEDIA_URL_PATH, getMediaDir } from './utils/mediaStorage.js';
+import { rejectMongoOperators } from './utils/validation.js';
+
+// CORS configuration - Updated to match your Vercel domain
+const corsOptions = {
+  origin: [
+    'http://localhost:5173',
+    'http://localhost:3000',
+    'https://childfund-onlinetest.vercel.app'
+  ],
+  credentials: false,
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
+};
+
+const DB_STATUS = {
+  0: 'Disconnected',
+  1: 'Connected',
+  2: 'Connecting',
+  3: 'Disconnecting'
+};
+
+// API routes need the database; answer with 503 instead of letting queries hang
+const requireDatabase = (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      message: 'Database not connected',
+      error: 'Please wait for database connection'
+    });
+  }
+  next();
+};
+
+// Build the Express app with every router mounted. Connecting to the database
+// and listening are left to the caller (see server.js).
+export const createApp = () => {
+  const app = express();
+
+  // Behind a proxy (e.g. Render) req.ip is the proxy's address unless TRUST_PROXY says
+  // how many hops to trust; the per-IP rate limits depend on it
+  const trustProxy = process.env.TRUST_PROXY;
+  if (trustProxy) {
+    app.set('trust proxy', Number.isNaN(Number(trustProxy)) ? trustProxy : Number(trustProxy));
+  }
+
+  app.use(cors(corsOptions));
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true }));
+  app.use(rejectMongoOperators);
+
+  // Request logging
+  app.use((req, res, next) => {
+    console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+    next();
+  });
+
+  app.get('/', (req, res) => {
+    res.json({
+      message: 'MERN Quiz Server is running!',
+      timestamp: new Date().toISOString(),
+      database: DB_STATUS[mongoose.connection.readyState],
+      environment: process.env.NODE_ENV || 'development',
+      mongooseVersion: mongoose.version
+    });
+  });
+
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'OK',
+      database: DB_STATUS[mongoose.connection.readyState],
+      timestamp: new Date().toISOString(),
+      port: req.app.get('port'),
+      uptime: process.uptime()
+    });
+  });
+
+  // Test MongoDB connection endpoint
+  app.get('/test-db', async (req, res) => {
+    try {
+      const dbStatus = mongoose.connection.readyState;
+
+      if (dbStatus !== 1) {
+        return res.status(503).json({
+          success: false,
+          message: 'Database not connected',
+          status: dbStatus
+        });
+      }
+
+      // Try to perform a simple operation
+      const testResult = await mongoose.connection.db.admin().ping();
+
+      res.json({
+        success: true,
+        message: 'Database connection test successful',
+        ping: testResult,
+        collections: await mongoose.connection.db.listCollections().toArray()
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Database test failed',
+        error: error.message
+      });
+    }
+  });
+
+  // Uploaded question images and audio. File names are never reused, so they can be cached for long.
+  app.use(MEDIA_URL_PATH, express.static(getMediaDir(), { maxAge: '30d', immutable: true }));
+
+  // API routes. The admin router also mounts question bank and assessment management.
+  app.use('/api', requireDatabase);
+  app.use('/api/users', userRoutes);
+  app.use('/api/questions', questionRoutes);
+  app.use('/api/assessments', assessmentRoutes);
+  app.use('/api/attempts', attemptRoutes);
+  app.use('/api/admin', adminRoutes);
+
+  // 404 handler
+  app.use('*', (req, res) => {
+    res.status(404).json({
+      success: false,
+      message: 'Route not found',
+      path: req.originalUrl
+    });
+  });
+
+  // Error handler
+  app.use((error, req, res, next) => {
+    console.error('Server error:', error);
+    // Body parser errors (e.g. an upload over the size limit) carry their own status
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  });
+
+  return app;
+};
+
+export default createApp;
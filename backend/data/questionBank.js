@@ -0,0 +1,92 @@
+// Initial question bank, used to seed the Question collection.
+// questionId starts from 1..10 and is shared by every translation of a question.
+// Option ids are stable across languages, so answers can be compared between them.
+// Once seeded, questions are edited through /api/admin/questions, not here.
+export const QUESTIONS = {
+  English: [
+    { id: 1, q: "What is the capital of India?", options: [{ id: "mumbai", text: "Mumbai" }, { id: "new_delhi", text: "New Delhi" }, { id: "kolkata", text: "Kolkata" }, { id: "chennai", text: "Chennai" }] },
+    { id: 2, q: "Which is the largest planet?", options: [{ id: "earth", text: "Earth" }, { id: "mars", text: "Mars" }, { id: "jupiter", text: "Jupiter" }, { id: "venus", text: "Venus" }] },
+    { id: 3, q: "What color do you get by mixing red and white?", options: [{ id: "pink", text: "Pink" }, { id: "purple", text: "Purple" }, { id: "orange", text: "Orange" }, { id: "brown", text: "Brown" }] },
+    { id: 4, q: "Which animal is known as 'King of the Jungle'?", options: [{ id: "tiger", text: "Tiger" }, { id: "lion", text: "Lion" }, { id: "elephant", text: "Elephant" }, { id: "leopard", text: "Leopard" }] },
+    { id: 5, q: "How many days in a leap year?", options: [{ id: "days_365", text: "365" }, { id: "days_366", text: "366" }, { id: "days_364", text: "364" }, { id: "days_360", text: "360" }] },
+    { id: 6, q: "Which instrument has 6 strings?", options: [{ id: "piano", text: "Piano" }, { id: "guitar", text: "Guitar" }, { id: "violin", text: "Violin" }, { id: "flute", text: "Flute" }] },
+    { id: 7, q: "What is H2O?", options: [{ id: "oxygen", text: "Oxygen" }, { id: "water", text: "Water" }, { id: "hydrogen", text: "Hydrogen" }, { id: "salt", text: "Salt" }] },
+    { id: 8, q: "Which organ pumps blood?", options: [{ id: "lungs", text: "Lungs" }, { id: "kidney", text: "Kidney" }, { id: "heart", text: "Heart" }, { id: "liver", text: "Liver" }] },
+    { id: 9, q: "Which continent is India in?", options: [{ id: "africa", text: "Africa" }, { id: "asia", text: "Asia" }, { id: "europe", text: "Europe" }, { id: "america", text: "America" }] },
+    { id: 10, q: "Which gas do plants use?", options: [{ id: "oxygen", text: "Oxygen" }, { id: "carbon_dioxide", text: "Carbon Dioxide" }, { id: "nitrogen", text: "Nitrogen" }, { id: "hydrogen", text: "Hydrogen" }] }
+  ],
+  Hindi: [
+    { id: 1, q: "भारत की राजधानी क्या है?", options: [{ id: "mumbai", text: "मुंबई" }, { id: "new_delhi", text: "नई दिल्ली" }, { id: "kolkata", text: "कोलकाता" }, { id: "chennai", text: "चेन्नई" }] },
+    { id: 2, q: "सबसे बड़ा ग्रह कौन सा है?", options: [{ id: "earth", text: "पृथ्वी" }, { id: "mars", text: "मंगल" }, { id: "jupiter", text: "बृहस्पति" }, { id: "venus", text: "शुक्र" }] },
+    { id: 3, q: "लाल और सफेद मिला कर कौन सा रंग बनता है?", options: [{ id: "pink", text: "गुलाबी" }, { id: "purple", text: "बैंगनी" }, { id: "orange", text: "नारंगी" }, { id: "brown", text: "भूरा" }] },
+    { id: 4, q: "किस जानवर को 'जंगल का राजा' कहा जाता है?", options: [{ id: "lion", text: "शेर" }, { id: "tiger", text: "बाघ" }, { id: "elephant", text: "हाथी" }, { id: "leopard", text: "चीता" }] },
+    { id: 5, q: "लीप वर्ष में कितने दिन होते हैं?", options: [{ id: "days_365", text: "365" }, { id: "days_366", text: "366" }, { id: "days_364", text: "364" }, { id: "days_360", text: "360" }] },
+    { id: 6, q: "किस वाद्य में 6 तार होते हैं?", options: [{ id: "piano", text: "पियानो" }, { id: "guitar", text: "गिटार" }, { id: "violin", text: "वायलिन" }, { id: "flute", text: "फ्लूट" }] },
+    { id: 7, q: "H2O क्या है?", options: [{ id: "oxygen", text: "ऑक्सीजन" }, { id: "water", text: "पानी" }, { id: "hydrogen", text: "हाइड्रोजन" }, { id: "salt", text: "नमक" }] },
+    { id: 8, q: "कौन सा अंग रक्त पंप करता है?", options: [{ id: "lungs", text: "फेफड़े" }, { id: "kidney", text: "गुर्दा" }, { id: "heart", text: "दिल" }, { id: "liver", text: "जिगर" }] },
+    { id: 9, q: "भारत किस महाद्वीप में है?", options: [{ id: "africa", text: "अफ़्रीका" }, { id: "asia", text: "एशिया" }, { id: "europe", text: "यूरोप" }, { id: "america", text: "अमेरिका" }] },
+    { id: 10, q: "पेड़ किस गैस का उपयोग करते हैं?", options: [{ id: "oxygen", text: "ऑक्सीजन" }, { id: "carbon_dioxide", text: "कार्बन डाइऑक्साइड" }, { id: "nitrogen", text: "नाइट्रोजन" }, { id: "hydrogen", text: "हाइड्रोजन" }] }
+  ],
+  Tamil: [
+    { id: 1, q: "இந்தியாவின் தலைநகரம் என்ன?", options: [{ id: "mumbai", text: "மும்பை" }, { id: "new_delhi", text: "நியூ டெல்ஹி" }, { id: "kolkata", text: "கொழுக்கட்டை" }, { id: "chennai", text: "சென்னை" }] },
+    { id: 2, q: "முக்கியமான மிகப்பெரிய கிரகமெது?", options: [{ id: "earth", text: "பூமி" }, { id: "mars", text: "செவ்வாய்" }, { id: "jupiter", text: "வியாழன்" }, { id: "venus", text: "குரு" }] },
+    { id: 3, q: "இலையின் கலவையில் எது வருகிறது?", options: [{ id: "pink", text: "பவழம்" }, { id: "purple", text: "பச்சை" }, { id: "orange", text: "ஓசை" }, { id: "brown", text: "மஞ்சள்" }] },
+    { id: 4, q: "காட்டின் அரசன் என்று அழைக்கப்படும் விலங்கு யார்?", options: [{ id: "lion", text: "சிங்கம்" }, { id: "tiger", text: "புலி" }, { id: "elephant", text: "யானை" }, { id: "leopard", text: "சீட்டா" }] },
+    { id: 5, q: "ஒரு லீப் வருடத்தில் எத்தனை நாட்கள்?", options: [{ id: "days_365", text: "365" }, { id: "days_366", text: "366" }, { id: "days_364", text: "364" }, { id: "days_360", text: "360" }] },
+    { id: 6, q: "6 ஸ்ட்ரிங்க்கள் உள்ள கருவி எது?", options: [{ id: "piano", text: "பியானோ" }, { id: "guitar", text: "கிட்டார்" }, { id: "violin", text: "வைலின்" }, { id: "flute", text: "ஃப்ளூட்" }] },
+    { id: 7, q: "H2O என்ன?", options: [{ id: "oxygen", text: "ஆக்சிஜன்" }, { id: "water", text: "நீரு" }, { id: "hydrogen", text: "ஹைட்ரஜன்" }, { id: "salt", text: "உப்பு" }] },
+    { id: 8, q: "எது இரத்தத்தை பம்ப் செய்கிறது?", options: [{ id: "lungs", text: "மூச்சுப்பை" }, { id: "kidney", text: "தகடு" }, { id: "heart", text: "இதயம்" }, { id: "liver", text: "கல்லீரல்" }] },
+    { id: 9, q: "இந்தியா எந்த கண்டத்தில் உள்ளது?", options: [{ id: "africa", text: "ஆப்பிரிக்கா" }, { id: "asia", text: "ஆசியா" }, { id: "europe", text: "யூரோப்" }, { id: "america", text: "அமெரிக்கா" }] },
+    { id: 10, q: "சூழலில் செடிகள் எந்த வாயுவைப் பயன்படுத்துகிறது?", options: [{ id: "oxygen", text: "ஆக்சிஜன்" }, { id: "carbon_dioxide", text: "கார்பன் டை ஆக்சைடு" }, { id: "nitrogen", text: "நைட்ரஜன்" }, { id: "hydrogen", text: "ஹைட்ரஜன்" }] }
+  ],
+  Telugu: [
+    { id: 1, q: "భారతదేశ రాజధాని ఏమిటి?", options: [{ id: "mumbai", text: "ముంబై" }, { id: "new_delhi", text: "న్యూఢిల్లీ" }, { id: "kolkata", text: "కొల్కతా" }, { id: "chennai", text: "చెన్నాయి" }] },
+    { id: 2, q: "పాధును పెద్ద గ్రహం ఏది?", options: [{ id: "earth", text: "భూమి" }, { id: "mars", text: "మంగళ" }, { id: "jupiter", text: "బృహస్పతి" }, { id: "venus", text: "శుక్ర" }] },
+    { id: 3, q: "ఎరుపు మరియు తెలుపు కలిపితే ఎటువంటి రంగు వస్తుంది?", options: [{ id: "pink", text: "గులాబీ" }, { id: "purple", text: "నేలుపు" }, { id: "orange", text: "నారింజ" }, { id: "brown", text: "బ్రౌన్" }] },
+    { id: 4, q: "కాన్వాసులో 'అరణ్యపు రాజు' ఎవరు?", options: [{ id: "lion", text: "సింహం" }, { id: "tiger", text: "పులి" }, { id: "elephant", text: "ఎలుక" }, { id: "leopard", text: "చీతా" }] },
+    { id: 5, q: "లీప్ సంవత్సరం లో రోజులు ఎంత?", options: [{ id: "days_365", text: "365" }, { id: "days_366", text: "366" }, { id: "days_364", text: "364" }, { id: "days_360", text: "360" }] },
+    { id: 6, q: "6 స్ట్రింగ్స్ ఉన్న వాయిద్య పరికరం ఏది?", options: [{ id: "piano", text: "పియానో" }, { id: "guitar", text: "గ్యిటార్" }, { id: "violin", text: "వయలిన్" }, { id: "flute", text: "ఫ్లూట్" }] },
+    { id: 7, q: "H2O ఏమిటి?", options: [{ id: "oxygen", text: "ఆక్సిజన్" }, { id: "water", text: "నీరు" }, { id: "hydrogen", text: "హైడ్రోజన్" }, { id: "salt", text: "ఉప్పు" }] },
+    { id: 8, q: "రక్తాన్ని పంపే అవయవం ఏది?", options: [{ id: "lungs", text: "శ్వాసకోశాలు" }, { id: "kidney", text: "కిడ్నీ" }, { id: "heart", text: "హృదయం" }, { id: "liver", text: "కాలింది" }] },
+    { id: 9, q: "భారత దేశం ఏ ఖండంలో ఉంది?", options: [{ id: "africa", text: "ఆఫ్రికా" }, { id: "asia", text: "ఆసియా" }, { id: "europe", text: "యూరోప్" }, { id: "america", text: "అమెరికా" }] },
+    { id: 10, q: "మరిపుడి మొక్కలు ఏ వాయువును ఉపయోగిస్తాయి?", options: [{ id: "oxygen", text: "ఆక్సిజన్" }, { id: "carbon_dioxide", text: "కార్బన్ డయాక్సైడ్" }, { id: "nitrogen", text: "నైట్రోజన్" }, { id: "hydrogen", text: "హైడ్రోజన్" }] }
+  ],
+  Kannada: [
+    { id: 1, q: "ಭಾರತದ ರಾಜಧಾನಿ ಯಾವುದು?", options: [{ id: "mumbai", text: "ಮುಂಬೈ" }, { id: "new_delhi", text: "ನ್ಯೂ ಡೆಹಲಿ" }, { id: "kolkata", text: "ಕೊಲ್ಕತಾ" }, { id: "chennai", text: "ಚೆನ್ನೈ" }] },
+    { id: 2, q: "ಇದು ಅತ್ಯಂತ ದೊಡ್ಡ ಗ್ರಹ ಯಾವುದು?", options: [{ id: "earth", text: "ಭೂಮಿ" }, { id: "mars", text: "ಮಂಗಳ" }, { id: "jupiter", text: "ಗುರು" }, { id: "venus", text: "ಶುಕ್ರ" }] },
+    { id: 3, q: "ಕೆಂಪು ಮತ್ತು ಬಿಳಿಯನ್ನು ಕರುವು ಹಗಲು ಯಾವ ಬಣ್ಣ ಬರುತ್ತದೆ?", options: [{ id: "pink", text: "ಗುಲಾಬಿ" }, { id: "purple", text: "ನೇಲಿ" }, { id: "orange", text: "ಸಂತರ" }, { id: "brown", text: "ಬೂದಿ" }] },
+    { id: 4, q: "ಕಾಡಿನ ರಾಜನೆಂದು ಕರೆಯುವ ಪ್ರಾಣಿ ಯಾವುದು?", options: [{ id: "lion", text: "ಸಿಂಹ" }, { id: "tiger", text: "ಹಾವೆ" }, { id: "elephant", text: "ಆನೆ" }, { id: "leopard", text: "ಚಿರತೆ" }] },
+    { id: 5, q: "ಲೀಪ್ ವರ್ಷದಲ್ಲಿ ಎಷ್ಟು ದಿನ?", options: [{ id: "days_365", text: "365" }, { id: "days_366", text: "366" }, { id: "days_364", text: "364" }, { id: "days_360", text: "360" }] },
+    { id: 6, q: "6 ಸ್ಟ್ರಿಂಗ್ ಹೊಂದಿರುವ ವಾದ್ಯಯಂತ್ರ ಯಾವುದು?", options: [{ id: "piano", text: "ಪಿಯಾನೋ" }, { id: "guitar", text: "ಗಿಟಾರ್" }, { id: "violin", text: "ವಯಲಿನ್" }, { id: "flute", text: "ಬ್ಲೂಟ್" }] },
+    { id: 7, q: "H2O ಏನು?", options: [{ id: "oxygen", text: "ಆಕ್ಸಿಜೆನ್" }, { id: "water", text: "ನೀರು" }, { id: "hydrogen", text: "ಹೈಡ್ರೋಜನ್" }, { id: "salt", text: "ಉಪ್ಪು" }] },
+    { id: 8, q: "ರಕ್ತವನ್ನು ಪಂಪ್ ಮಾಡುವ ಅಂಗ ಯಾವುದು?", options: [{ id: "lungs", text: "ಫೆಫ್ಸ" }, { id: "kidney", text: "ಕಿಡ್ನಿ" }, { id: "heart", text: "ಹೃದಯ" }, { id: "liver", text: "ಲೀವರ" }] },
+    { id: 9, q: "ಭಾರತ ಯಾವ ಖಂಡದಲ್ಲಿದೆ?", options: [{ id: "africa", text: "ಆಫ್ರಿಕಾ" }, { id: "asia", text: "ಏಷ್ಯಾ" }, { id: "europe", text: "ಯುರೋಪ್" }, { id: "america", text: "ಅಮೆರಿಕಾ" }] },
+    { id: 10, q: "ಸಸ್ಯಗಳು ಯಾವ ವಾಯುವನ್ನು ಉಪಯೋಗಿಸುತ್ತವೆ?", options: [{ id: "oxygen", text: "ಆಕ್ಸಿಜನ್" }, { id: "carbon_dioxide", text: "ಕಾರ್ಬನ್ ಡಯಾಕ್ಸೈಡ್" }, { id: "nitrogen", text: "ನೈಟ್ರಾಜನ್" }, { id: "hydrogen", text: "ಹೈಡ್ರೋಜನ್" }] }
+  ],
+  Marathi: [
+    { id: 1, q: "भारताची राजधानी कोणती?", options: [{ id: "mumbai", text: "मुंबई" }, { id: "new_delhi", text: "नवी दिल्ली" }, { id: "kolkata", text: "कोलकाता" }, { id: "chennai", text: "चेन्नई" }] },
+    { id: 2, q: "सगळ्यात मोठा ग्रह कोणता?", options: [{ id: "earth", text: "पृथ्वी" }, { id: "mars", text: "मंगळ" }, { id: "jupiter", text: "बृहस्पति" }, { id: "venus", text: "शुक्र" }] },
+    { id: 3, q: "लाल आणि पांढरा मिळविल्यावर कोनता रंग बनतो?", options: [{ id: "pink", text: "गुलाबी" }, { id: "purple", text: "जांभळा" }, { id: "orange", text: "नारिंगी" }, { id: "brown", text: " तपकिरी" }] },
+    { id: 4, q: "कोणत्या प्राण्याला 'जंगलाचा राजा' म्हटले जाते?", options: [{ id: "lion", text: "सिंह" }, { id: "tiger", text: "वाघ" }, { id: "elephant", text: "हत्ती" }, { id: "leopard", text: "चीत्या" }] },
+    { id: 5, q: "लीप वर्षी किती दिवस असतात?", options: [{ id: "days_365", text: "365" }, { id: "days_366", text: "366" }, { id: "days_364", text: "364" }, { id: "days_360", text: "360" }] },
+    { id: 6, q: "6 तार असलेले वाद्य कोणते?", options: [{ id: "piano", text: "पियानो" }, { id: "guitar", text: "गिटार" }, { id: "violin", text: "व्हायोलिन" }, { id: "flute", text: "फ्लूट" }] },
+    { id: 7, q: "H2O काय आहे?", options: [{ id: "oxygen", text: "ऑक्सिजन" }, { id: "water", text: "पाणी" }, { id: "hydrogen", text: "हायड्रोजन" }, { id: "salt", text: "मीठ" }] },
+    { id: 8, q: "रक्त कोणत्या अवयवाने पंप होते?", options: [{ id: "lungs", text: "फुफ्फुस" }, { id: "kidney", text: "वृषण" }, { id: "heart", text: "हृदय" }, { id: "liver", text: "यकृत" }] },
+    { id: 9, q: "भारत कोणत्या खंडात आहे?", options: [{ id: "africa", text: "आफ्रिका" }, { id: "asia", text: "एशिया" }, { id: "europe", text: "यूरोपा" }, { id: "america", text: "अमेरिका" }] },
+    { id: 10, q: "वनस्पती कोणत्या वायूचा वापर करतात?", options: [{ id: "oxygen", text: "ऑक्सिजन" }, { id: "carbon_dioxide", text: "कार्बन डायऑक्साइड" }, { id: "nitrogen", text: "नायट्रोजन" }, { id: "hydrogen", text: "हायड्रोजन" }] }
+  ]
+};
+
+// Correct option id for each questionId, the same in every language
+export const ANSWER_KEYS = {
+  1: 'new_delhi',
+  2: 'jupiter',
+  3: 'pink',
+  4: 'lion',
+  5: 'days_366',
+  6: 'guitar',
+  7: 'water',
+  8: 'heart',
+  9: 'asia',
+  10: 'carbon_dioxide'
+};
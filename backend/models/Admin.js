@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+export const ADMIN_ROLES = {
+  SUPER_ADMIN: 'super_admin', // Everything, including managing admin accounts
+  ANALYST: 'analyst', // Read-only access to all results
+  SCHOOL_COORDINATOR: 'school_coordinator' // Read-only access to the results of their schools
+};
+
+// A person who can sign in to the admin dashboard
+const AdminSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  name: { type: String, default: '' },
+  passwordHash: { type: String, required: true }, // See utils/passwords.js
+  role: { type: String, enum: Object.values(ADMIN_ROLES), required: true },
+  schools: { type: [String], default: [] }, // Schools a coordinator can see
+  active: { type: Boolean, default: true },
+
+  // Bumped when the password changes or the account is deactivated, which signs out
+  // every existing session
+  sessionVersion: { type: Number, default: 0 },
+  lastLoginAt: { type: Date },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Update the updatedAt field before saving
+AdminSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+export default mongoose.model('Admin', AdminSchema);
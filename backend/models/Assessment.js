@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+const SelectionRuleSchema = new mongoose.Schema({
+  tag: { type: String, required: true, lowercase: true, trim: true },
+  count: { type: Number, required: true, min: 1 }
+}, { _id: false });
+
+// A named quiz (baseline test, endline test, topic quiz...) with its own
+// question set, languages and public URL (/quiz/:slug).
+const AssessmentSchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9]+(?:-[a-z0-9]+)*$/
+  },
+  title: { type: String, required: true },
+  description: { type: String, default: '' },
+  languages: { type: [String], default: ['English'] }, // Languages the assessment is offered in
+  questionIds: { type: [Number], default: [] }, // Questions from the bank used by this assessment
+
+  // Optional draw per attempt, e.g. [{ tag: 'easy', count: 3 }, { tag: 'hard', count: 2 }].
+  // Without rules every question is asked.
+  selection: { type: [SelectionRuleSchema], default: [] },
+
+  // Every attempt shows the questions and options in its own seeded random order
+  shuffleQuestions: { type: Boolean, default: true },
+  shuffleOptions: { type: Boolean, default: true },
+
+  // After submitting, show the candidate each question with their answer, the
+  // correct answer and its explanation
+  showAnswerReview: { type: Boolean, default: false },
+
+  // Optional time limits. The server rejects submissions that arrive after the attempt's
+  // deadline: timeLimitSeconds, capped at questionTimeLimitSeconds times the number of
+  // questions. The limit on each question is only kept by the quiz's own timer, since
+  // the server does not see when each question is opened.
+  timeLimitSeconds: { type: Number, min: 1 }, // Whole attempt
+  questionTimeLimitSeconds: { type: Number, min: 1 }, // Each question, paced by the quiz
+
+  // The default assessment is served at / and /questions
+  isDefault: { type: Boolean, default: false },
+  status: { type: String, enum: ['active', 'archived'], default: 'active' },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Update the updatedAt field before saving
+AssessmentSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+AssessmentSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('Assessment', AssessmentSchema);
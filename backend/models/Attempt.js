@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// An attempt started with POST /api/attempts/start. The server records when it
+// began, so the time an attempt took is measured here rather than reported by the
+// browser. Attempts that are never submitted are removed by MongoDB once they
+// could no longer be submitted.
+const AttemptSchema = new mongoose.Schema({
+  _id: { type: String }, // Random attempt id (UUID), sent back with the submission
+  phone: { type: String }, // When the quiz named the candidate on starting
+  assessment: { type: mongoose.Schema.Types.ObjectId, ref: 'Assessment', required: true },
+  questionSet: { type: mongoose.Schema.Types.ObjectId, ref: 'QuestionSet', required: true },
+  language: { type: String },
+  seed: { type: Number },
+  selectedQuestionIds: { type: [Number], default: undefined },
+  timeLimitSeconds: { type: Number },
+  startedAt: { type: Date, required: true },
+  submittedAt: { type: Date },
+  submission: { type: mongoose.Schema.Types.ObjectId, ref: 'Submission' },
+  expiresAt: { type: Date } // Unset once submitted
+});
+
+AttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('Attempt', AttemptSchema);
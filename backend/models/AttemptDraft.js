@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// The progress of an attempt that has not been submitted yet, so a candidate can
+// resume after a reload, a flat battery or on another tablet. One per phone number
+// and assessment; removed when the attempt is submitted, and by MongoDB once the
+// attempt could no longer be submitted.
+const AttemptDraftSchema = new mongoose.Schema({
+  phone: { type: String, required: true },
+  assessment: { type: mongoose.Schema.Types.ObjectId, ref: 'Assessment', required: true },
+  questionSet: { type: mongoose.Schema.Types.ObjectId, ref: 'QuestionSet', required: true },
+  attemptToken: { type: String, required: true }, // Fixes the questions drawn and their order
+  attemptId: { type: String }, // The quiz's id for the attempt, sent again with the submission
+  language: { type: String },
+  answers: { type: mongoose.Schema.Types.Mixed, default: {} }, // Answer per question id, as the quiz holds them
+  currentQuestion: { type: Number, default: 0 }, // Position of the question on screen
+  elapsedSeconds: { type: Number, default: 0 }, // Time spent on the quiz so far
+  questionTimeUsed: { type: mongoose.Schema.Types.Mixed, default: {} }, // Seconds used per question id
+  updatedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+}, { minimize: false });
+
+AttemptDraftSchema.index({ phone: 1, assessment: 1 }, { unique: true });
+AttemptDraftSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('AttemptDraft', AttemptDraftSchema);
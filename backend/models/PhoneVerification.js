@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+
+// The one-time code most recently sent to a phone number. Only a hash of the
+// code is stored, and MongoDB removes the document once it expires.
+const PhoneVerificationSchema = new mongoose.Schema({
+  phone: { type: String, required: true, unique: true },
+  codeHash: { type: String, required: true },
+  attempts: { type: Number, default: 0 }, // Codes checked against this one
+  sentAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+});
+
+PhoneVerificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('PhoneVerification', PhoneVerificationSchema);
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import { QUESTION_TYPES } from '../utils/questionTypes.js';
+
+// An uploaded image or audio clip, served from the backend's media directory
+export const MediaSchema = new mongoose.Schema({
+  url: { type: String, required: true }, // Path under /media
+  contentType: { type: String },
+  size: { type: Number },
+  uploadedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const OptionSchema = new mongoose.Schema({
+  id: { type: String, required: true }, // Stable option id, the same in every language
+  text: { type: String, required: true },
+  image: { type: MediaSchema }, // Shared by every language
+  audio: { type: MediaSchema } // Narration in this document's language
+}, { _id: false });
+
+// One document per question per language. Translations of the same
+// question share a questionId and option ids.
+const QuestionSchema = new mongoose.Schema({
+  questionId: { type: Number, required: true },
+  language: { type: String, required: true },
+  text: { type: String, required: true },
+  type: { type: String, enum: QUESTION_TYPES, default: 'single' },
+  options: { type: [OptionSchema], default: [] }, // Unused by numeric and text questions
+  image: { type: MediaSchema }, // Shared by every language
+  audio: { type: MediaSchema }, // Narration in this document's language
+
+  // Answer key, never sent to the quiz frontend. Which fields apply depends on the type.
+  correctOptionId: { type: String }, // single, true_false
+  correctOptionIds: { type: [String], default: undefined }, // multiple (any order), ordering (correct order)
+  numericAnswer: { type: Number }, // numeric
+  tolerance: { type: Number, default: undefined }, // numeric, allowed difference either way
+  acceptedAnswers: { type: [String], default: undefined }, // text
+  explanation: { type: String }, // Why the answer is correct, shown in the answer review after submitting
+  order: { type: Number, default: 0 },
+  tags: { type: [String], default: [] }, // Pools an assessment can draw from, e.g. "easy", "fractions"
+  revision: { type: Number, default: 1 }, // Bumped whenever the type, wording, media, options or answer change
+
+  // Retired questions are hidden from the quiz but kept for grading old submissions
+  retired: { type: Boolean, default: false },
+  retiredAt: { type: Date },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Update the updatedAt field before saving
+QuestionSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+QuestionSchema.index({ questionId: 1, language: 1 }, { unique: true });
+QuestionSchema.index({ language: 1, retired: 1, order: 1 });
+
+export default mongoose.model('Question', QuestionSchema);
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+import { QUESTION_TYPES } from '../utils/questionTypes.js';
+import { MediaSchema } from './Question.js';
+
+const OptionSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  text: { type: String, required: true },
+  image: { type: MediaSchema },
+  audio: { type: MediaSchema }
+}, { _id: false });
+
+// A question exactly as it was when the set was created
+const QuestionSnapshotSchema = new mongoose.Schema({
+  questionId: { type: Number, required: true },
+  revision: { type: Number, default: 1 },
+  type: { type: String, enum: QUESTION_TYPES, default: 'single' },
+  tags: { type: [String], default: [] },
+  text: { type: String, required: true },
+  image: { type: MediaSchema },
+  audio: { type: MediaSchema },
+  options: { type: [OptionSchema], default: [] },
+  correctOptionId: { type: String },
+  correctOptionIds: { type: [String], default: undefined },
+  numericAnswer: { type: Number },
+  tolerance: { type: Number },
+  acceptedAnswers: { type: [String], default: undefined },
+  explanation: { type: String }
+}, { _id: false });
+
+// An immutable, versioned snapshot of the questions an assessment served for one language.
+// Submissions reference the set they were answered against, so edits to the
+// question bank never change what an old submission shows or how it is graded.
+const QuestionSetSchema = new mongoose.Schema({
+  assessment: { type: mongoose.Schema.Types.ObjectId, ref: 'Assessment', immutable: true },
+  language: { type: String, required: true, immutable: true },
+  version: { type: Number, required: true, immutable: true },
+  signature: { type: String, required: true, immutable: true }, // Hash of question ids, order and revisions
+  questions: { type: [QuestionSnapshotSchema], default: [], immutable: true },
+  createdAt: { type: Date, default: Date.now, immutable: true }
+});
+
+// Question sets are never modified once written
+QuestionSetSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Question sets are immutable'));
+});
+
+QuestionSetSchema.index({ assessment: 1, language: 1, version: -1 }, { unique: true });
+QuestionSetSchema.index({ assessment: 1, language: 1, signature: 1 }, { unique: true });
+
+export default mongoose.model('QuestionSet', QuestionSetSchema);
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+const AnswerSchema = new mongoose.Schema({
+  questionId: Number,
+  question: String,
+  type: { type: String }, // Question type, see utils/questionTypes.js
+  optionId: String, // Stable option id, the same in every language (single, true_false)
+  optionIds: { type: [String], default: undefined }, // Chosen options (multiple) or their order (ordering)
+  value: mongoose.Schema.Types.Mixed, // Typed answer (numeric, text)
+  answer: String, // The answer as shown to the user
+  isCorrect: { type: Boolean } // Set by the scoring engine on save
+}, { _id: false });
+
+// A question as it appeared in an attempt, with its options in display order
+const ShownQuestionSchema = new mongoose.Schema({
+  questionId: Number,
+  optionIds: [String]
+}, { _id: false });
+
+// One attempt at a quiz. Submissions used to be stored on the user document;
+// scripts/reconcile-data.js moves data saved that way into this collection.
+const SubmissionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  attemptNumber: { type: Number, required: true }, // 1 for the user's first attempt, and so on
+  language: { type: String }, // Language the quiz was taken in
+  answers: { type: [AnswerSchema], default: [] },
+  submittedAt: { type: Date, default: Date.now },
+  score: { type: Number, default: 0 }, // Number of correct answers
+  totalQuestions: { type: Number }, // Number of questions the score is out of
+  percentage: { type: Number }, // score / totalQuestions, rounded to a whole percent
+  completionTime: { type: Number }, // Time taken in minutes: durationSeconds, or as the quiz reported it before the server measured attempts
+  durationSeconds: { type: Number }, // Time taken as measured by the server (recorded attempts only)
+  timingFlags: { type: [String], default: undefined }, // Impossible timings, see utils/attemptTiming.js
+  assessment: { type: mongoose.Schema.Types.ObjectId, ref: 'Assessment' }, // Missing on submissions from before assessments
+  assessmentSlug: { type: String },
+  questionSet: { type: mongoose.Schema.Types.ObjectId, ref: 'QuestionSet' }, // Exact questions answered
+  questionSetVersion: { type: Number },
+  seed: { type: Number }, // Seed the question and option order was shuffled with
+  selectedQuestionIds: { type: [Number], default: undefined }, // Questions drawn for this attempt
+  startedAt: { type: Date }, // When the server handed out the questions
+  timeLimitSeconds: { type: Number }, // Time limit the attempt was taken under
+  shownOrder: { type: [ShownQuestionSchema], default: undefined }, // Order the candidate saw
+  sessionId: { type: String }, // Optional: to track individual quiz sessions
+  attemptId: { type: String, ref: 'Attempt' } // Id of the recorded attempt (models/Attempt.js), or generated by the quiz offline; makes resubmitting safe
+});
+
+// A user's attempts in order; also stops two submissions taking the same attempt number
+SubmissionSchema.index({ user: 1, attemptNumber: 1 }, { unique: true });
+// The admin statistics read only these fields, so they are answered from the indexes
+// without loading the submissions themselves
+SubmissionSchema.index({ assessment: 1, submittedAt: -1, user: 1 });
+SubmissionSchema.index({ submittedAt: -1, user: 1 });
+// One submission per attempt, however often it is sent
+SubmissionSchema.index({ attemptId: 1 }, { unique: true, partialFilterExpression: { attemptId: { $type: 'string' } } });
+
+export default mongoose.model('Submission', SubmissionSchema);
@@ -21,20 +21,6 @@
 
 import mongoose from 'mongoose';
 
-const AnswerSchema = new mongoose.Schema({
-  questionId: Number,
-  question: String,
-  answer: String
-}, { _id: false });
-
-const SubmissionSchema = new mongoose.Schema({
-  answers: { type: [AnswerSchema], default: [] },
-  submittedAt: { type: Date, default: Date.now },
-  score: { type: Number, default: 0 }, // Optional: if you want to store scores
-  completionTime: { type: Number }, // Optional: time taken in minutes
-  sessionId: { type: String } // Optional: to track individual quiz sessions
-});
-
 const UserSchema = new mongoose.Schema({
   name: { type: String, required: true },
   phone: { type: String, required: true },
@@ -42,15 +28,16 @@ const UserSchema = new mongoose.Schema({
   class: { type: String },
   language: { type: String, required: true },
   
-  // Store multiple submissions instead of just one set of answers
-  submissions: { type: [SubmissionSchema], default: [] },
-  
-  // Keep track of user stats
-  totalAttempts: { type: Number, default: 0 },
+  // Keep track of user stats; the submissions themselves are stored in their own
+  // collection (see models/Submission.js)
+  totalAttempts: { type: Number, default: 0 }, // Stored submissions
+  // Highest attempt number issued. It never goes down, so the number of a deleted
+  // attempt is not reused.
+  lastAttemptNumber: { type: Number },
   lastSubmission: { type: Date },
+  // Attempt ids of the latest submissions, claimed before saving one (see utils/submissions.js)
+  recentAttemptIds: { type: [String], default: undefined, select: false },
   
-  // Original fields for backward compatibility
-  answers: { type: [AnswerSchema], default: [] }, // Keep for existing data
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
@@ -61,9 +48,10 @@ UserSchema.pre('save', function(next) {
   next();
 });
 
+// One user per phone number. Older data can hold duplicates; `npm run data:reconcile --
+// normalize` merges them and then builds this index.
+UserSchema.index({ phone: 1 }, { unique: true });
 // Index for faster queries
-UserSchema.index({ phone: 1 });
 UserSchema.index({ createdAt: -1 });
-UserSchema.index({ 'submissions.submittedAt': -1 });
 
 export default mongoose.model('User', UserSchema);
\ No newline at end of file
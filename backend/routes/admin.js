@@ -60,47 +60,217 @@
 
 import express from "express";
 import User from "../models/User.js";
+import Submission from "../models/Submission.js";
+import Assessment from "../models/Assessment.js";
+import { getAnswerOptionId } from "../utils/options.js";
+import { gradeAttempt, loadAnswerKey, withScore } from "../utils/scoring.js";
+import { findQuestionSet, loadQuestionSetsFor, withQuestionSnapshots } from "../utils/questionSets.js";
+import { findUserSubmissions, removeSubmission, withSubmissions } from "../utils/submissions.js";
+import { authenticateAdmin, getUserScope, requireRole, requireRoleForWrites } from "../utils/adminAuth.js";
+import { ADMIN_ROLES } from "../models/Admin.js";
+import { escapeRegExp } from "../utils/regex.js";
+import { LANGUAGES } from "../utils/languages.js";
+import {
+  array,
+  date,
+  language,
+  number,
+  object,
+  objectId,
+  string,
+  submittedAnswer,
+  timeZone,
+  validateRequest
+} from "../utils/validation.js";
+import {
+  LISTING_COLLATION,
+  MAX_PAGE_SIZE,
+  SUBMISSION_SORT_FIELDS,
+  SUBMISSION_USER_FIELDS,
+  USER_SORT_FIELDS,
+  buildSubmissionListingPipeline,
+  buildUserListingPipeline,
+  buildSubmissionMatch,
+  buildUserSummaryPipeline,
+  toPagination
+} from "../utils/adminListings.js";
+import {
+  STATISTICS_MAX_TIME_MS,
+  buildStatisticsPipeline,
+  getDefaultTimeZone,
+  toStatistics,
+  withDefaultDateRange
+} from "../utils/adminStatistics.js";
+import authRoutes from "./adminAuth.js";
+import accountRoutes from "./adminAccounts.js";
+import questionRoutes from "./adminQuestions.js";
+import assessmentRoutes from "./adminAssessments.js";
 
 const router = express.Router();
 
-// GET /api/admin/users - Get all users with submission details
-router.get("/users", async (req, res) => {
+// Logging in is the only admin route that does not need a session
+router.use("/auth", authRoutes);
+router.use(authenticateAdmin);
+
+// Question bank, assessment and account management live in their own routers.
+// Every admin can read questions and assessments; only super-admins change them.
+router.use("/accounts", requireRole(ADMIN_ROLES.SUPER_ADMIN), accountRoutes);
+router.use("/questions", requireRoleForWrites(ADMIN_ROLES.SUPER_ADMIN), questionRoutes);
+router.use("/assessments", requireRoleForWrites(ADMIN_ROLES.SUPER_ADMIN), assessmentRoutes);
+
+const userParams = object({ id: objectId() });
+
+const submissionParams = object({ id: objectId() });
+
+// Fields an admin may correct on a submission; changed answers are graded again
+const updateSubmissionBody = object({
+  answers: array(submittedAnswer(), { optional: true, max: 500 }),
+  completionTime: number({ optional: true, nullable: true, min: 0 })
+});
+
+// ?assessment=<slug>, or "all"
+const assessmentFilter = string({ optional: true, max: 100 });
+
+const exportBody = object({
+  format: string({ optional: true, values: ['csv', 'json'] }),
+  type: string({ optional: true, values: ['users', 'submissions', 'answers'] }),
+  filters: object({
+    language: string({ optional: true, values: ['all', ...LANGUAGES] }),
+    dateFrom: date({ optional: true }),
+    dateTo: date({ optional: true, endOfDay: true }),
+    assessment: assessmentFilter
+  }, { optional: true })
+});
+
+const searchParams = object({ searchTerm: string({ min: 1, max: 100 }) });
+
+// Paging, sorting and filters of the user and submission listings. The date range
+// and assessment apply to submissions; the attempt count is the user's.
+const listingQuery = (sortFields) => object({
+  page: number({ optional: true, integer: true, min: 1, coerce: true }),
+  pageSize: number({ optional: true, integer: true, min: 1, max: MAX_PAGE_SIZE, coerce: true }),
+  sort: string({ optional: true, values: Object.keys(sortFields) }),
+  order: string({ optional: true, values: ['asc', 'desc'] }),
+  search: string({ optional: true, max: 100 }),
+  language: language({ optional: true }),
+  school: string({ optional: true, max: 200 }),
+  class: string({ optional: true, max: 50 }),
+  dateFrom: date({ optional: true }),
+  dateTo: date({ optional: true, endOfDay: true }),
+  minAttempts: number({ optional: true, integer: true, min: 0, coerce: true }),
+  maxAttempts: number({ optional: true, integer: true, min: 0, coerce: true }),
+  assessment: assessmentFilter
+});
+
+const statisticsQuery = object({
+  dateFrom: date({ optional: true }),
+  dateTo: date({ optional: true, endOfDay: true }),
+  assessment: assessmentFilter,
+  timezone: timeZone({ optional: true })
+});
+
+// Look up the assessment named by a filter; undefined when there is no filter
+const findFilterAssessment = async (slug) => {
+  if (!slug || slug === 'all') return undefined;
+  return Assessment.findOne({ slug: String(slug).toLowerCase() }).lean();
+};
+
+// Score a plain submission and attach the questions exactly as they were shown.
+// Submissions saved before they recorded their language are graded in the user's.
+const withSubmissionDetails = (submission, userLanguage, answerKey, questionSetsById) =>
+  withQuestionSnapshots(withScore(submission, submission.language || userLanguage, answerKey), questionSetsById);
+
+// One row of the submissions listing: the scored submission with its user's fields
+const toSubmissionRow = (submission, { totalAttempts, ...user }, answerKey, questionSetsById) => {
+  const scored = withSubmissionDetails(submission, user.language, answerKey, questionSetsById);
+  return {
+    _id: submission._id,
+    user,
+    submittedAt: submission.submittedAt,
+    submissionNumber: submission.attemptNumber,
+    totalUserSubmissions: totalAttempts,
+    answers: scored.answers,
+    assessmentSlug: submission.assessmentSlug,
+    sessionId: submission.sessionId,
+    score: scored.score,
+    totalQuestions: scored.totalQuestions,
+    percentage: scored.percentage,
+    questionSetVersion: scored.questionSetVersion,
+    seed: submission.seed,
+    completionTime: submission.completionTime ?? null,
+    durationSeconds: submission.durationSeconds ?? null,
+    timingFlags: submission.timingFlags || []
+  };
+};
+
+// A submission with its user, or null when it does not exist or its user is
+// outside the admin's scope
+const findScopedSubmission = async (id, admin) => {
+  const submission = await Submission.findById(id).lean();
+  if (!submission) return null;
+
+  const user = await User.findOne({ _id: submission.user, ...getUserScope(admin) }, SUBMISSION_USER_FIELDS).lean();
+  return user ? { submission, user } : null;
+};
+
+// Score a submission for a response, with the questions as they were shown
+const toSubmissionResponse = async (submission, user) => {
+  const answerKey = await loadAnswerKey();
+  const questionSetsById = await loadQuestionSetsFor([submission]);
+  return toSubmissionRow(submission, user, answerKey, questionSetsById);
+};
+
+// Attach real scores and question snapshots to every submission of a plain user object
+const withUserScores = (userObj, answerKey, questionSetsById) => ({
+  ...userObj,
+  submissions: (userObj.submissions || []).map(submission =>
+    withSubmissionDetails(submission, userObj.language, answerKey, questionSetsById)
+  )
+});
+
+// GET /api/admin/users - One page of users with submission details, plus totals
+// for the dashboard. Accepts the paging, sort and filter parameters of listingQuery.
+router.get("/users", validateRequest({ query: listingQuery(USER_SORT_FIELDS) }), async (req, res) => {
   try {
-    const users = await User.find().sort({ updatedAt: -1 });
+    const assessment = await findFilterAssessment(req.query.assessment);
+    if (assessment === null) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
+
+    const scope = getUserScope(req.admin);
+    const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const [[listing], [summary]] = await Promise.all([
+      User.aggregate(buildUserListingPipeline(scope, req.query, assessment)).collation(LISTING_COLLATION),
+      User.aggregate(buildUserSummaryPipeline(scope, dayAgo))
+    ]);
+
+    const users = await withSubmissions(listing.users);
+    const answerKey = await loadAnswerKey();
+    const questionSetsById = await loadQuestionSetsFor(users.flatMap(user => user.submissions));
     
     // Enhance users data with submission statistics
-    const enhancedUsers = users.map(user => {
-      const userObj = user.toObject();
-      const submissionCount = user.submissions?.length || (user.answers?.length > 0 ? 1 : 0);
-      
-      return {
-        ...userObj,
-        submissionCount,
-        totalAttempts: user.totalAttempts || submissionCount,
-        latestSubmission: user.lastSubmission || user.submissions?.[user.submissions.length - 1]?.submittedAt || user.createdAt,
-        hasMultipleAttempts: submissionCount > 1
-      };
-    });
+    const enhancedUsers = users.map(({ latestActivity, ...user }) => ({
+      ...withUserScores(user, answerKey, questionSetsById),
+      submissionCount: user.submissions.length,
+      totalAttempts: user.totalAttempts,
+      latestSubmission: latestActivity,
+      hasMultipleAttempts: user.submissions.length > 1
+    }));
 
-    // Calculate statistics
+    // Totals cover every user the admin can see, whatever the filters
+    const totals = summary.totals[0] || {};
     const stats = {
-      totalUsers: users.length,
-      totalSubmissions: enhancedUsers.reduce((sum, user) => sum + user.submissionCount, 0),
-      usersWithMultipleAttempts: enhancedUsers.filter(user => user.hasMultipleAttempts).length,
-      languageBreakdown: enhancedUsers.reduce((acc, user) => {
-        acc[user.language] = (acc[user.language] || 0) + 1;
-        return acc;
-      }, {}),
-      recentSubmissions: enhancedUsers.filter(user => {
-        const dayAgo = new Date();
-        dayAgo.setDate(dayAgo.getDate() - 1);
-        return new Date(user.latestSubmission) > dayAgo;
-      }).length
+      totalUsers: totals.totalUsers || 0,
+      totalSubmissions: totals.totalSubmissions || 0,
+      usersWithMultipleAttempts: totals.usersWithMultipleAttempts || 0,
+      languageBreakdown: Object.fromEntries(summary.languages.map(({ _id, count }) => [_id, count])),
+      recentSubmissions: totals.recentSubmissions || 0
     };
 
     res.json({
       message: 'Users fetched successfully',
       users: enhancedUsers,
+      pagination: toPagination(req.query, listing.total[0]?.count || 0),
       statistics: stats
     });
   } catch (err) {
@@ -113,21 +283,23 @@ router.get("/users", async (req, res) => {
 });
 
 // GET /api/admin/users/:id - Get specific user with all submissions
-router.get("/users/:id", async (req, res) => {
+router.get("/users/:id", validateRequest({ params: userParams }), async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
+    const user = await User.findOne({ _id: req.params.id, ...getUserScope(req.admin) }).lean();
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    const userObj = user.toObject();
-    const submissionCount = user.submissions?.length || (user.answers?.length > 0 ? 1 : 0);
+    const submissions = await findUserSubmissions(user._id);
+    const answerKey = await loadAnswerKey();
+    const questionSetsById = await loadQuestionSetsFor(submissions);
+    const userObj = withUserScores({ ...user, submissions }, answerKey, questionSetsById);
 
     res.json({
       ...userObj,
-      submissionCount,
-      totalAttempts: user.totalAttempts || submissionCount,
-      hasMultipleAttempts: submissionCount > 1
+      submissionCount: submissions.length,
+      totalAttempts: user.totalAttempts,
+      hasMultipleAttempts: submissions.length > 1
     });
   } catch (err) {
     console.error('Error fetching user:', err);
@@ -138,67 +310,31 @@ router.get("/users/:id", async (req, res) => {
   }
 });
 
-// GET /api/admin/submissions - Get all submissions from all users
-router.get("/submissions", async (req, res) => {
+// GET /api/admin/submissions - One page of submissions from all users, newest first
+// by default. Accepts the paging, sort and filter parameters of listingQuery.
+router.get("/submissions", validateRequest({ query: listingQuery(SUBMISSION_SORT_FIELDS) }), async (req, res) => {
   try {
-    const users = await User.find().sort({ updatedAt: -1 });
-    
-    const allSubmissions = [];
-    
-    users.forEach(user => {
-      if (user.submissions && user.submissions.length > 0) {
-        // New format with multiple submissions
-        user.submissions.forEach((submission, index) => {
-          allSubmissions.push({
-            _id: `${user._id}_${submission._id || index}`,
-            user: {
-              _id: user._id,
-              name: user.name,
-              phone: user.phone,
-              school: user.school,
-              class: user.class,
-              language: user.language
-            },
-            answers: submission.answers,
-            submittedAt: submission.submittedAt,
-            sessionId: submission.sessionId,
-            score: submission.score,
-            completionTime: submission.completionTime,
-            submissionNumber: index + 1,
-            totalUserSubmissions: user.submissions.length
-          });
-        });
-      } else if (user.answers && user.answers.length > 0) {
-        // Legacy format - single submission
-        allSubmissions.push({
-          _id: `${user._id}_legacy`,
-          user: {
-            _id: user._id,
-            name: user.name,
-            phone: user.phone,
-            school: user.school,
-            class: user.class,
-            language: user.language
-          },
-          answers: user.answers,
-          submittedAt: user.createdAt,
-          sessionId: 'legacy',
-          score: 0,
-          completionTime: null,
-          submissionNumber: 1,
-          totalUserSubmissions: 1,
-          isLegacy: true
-        });
-      }
-    });
+    const assessment = await findFilterAssessment(req.query.assessment);
+    if (assessment === null) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
+
+    const [listing] = await Submission
+      .aggregate(buildSubmissionListingPipeline(getUserScope(req.admin), req.query, assessment))
+      .collation(LISTING_COLLATION);
 
-    // Sort by submission date (newest first)
-    allSubmissions.sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
+    const answerKey = await loadAnswerKey();
+    const questionSetsById = await loadQuestionSetsFor(listing.submissions);
+
+    const submissions = listing.submissions.map(({ userInfo, ...submission }) =>
+      toSubmissionRow(submission, userInfo, answerKey, questionSetsById)
+    );
 
     res.json({
-      message: 'All submissions fetched successfully',
-      submissions: allSubmissions,
-      count: allSubmissions.length
+      message: 'Submissions fetched successfully',
+      submissions,
+      count: submissions.length,
+      pagination: toPagination(req.query, listing.total[0]?.count || 0)
     });
   } catch (err) {
     console.error('Error fetching submissions:', err);
@@ -209,82 +345,41 @@ router.get("/submissions", async (req, res) => {
   }
 });
 
-// GET /api/admin/statistics - Get detailed statistics
-router.get("/statistics", async (req, res) => {
+// GET /api/admin/statistics - Overview, language, time-based and attempt statistics.
+// Optional ?dateFrom, ?dateTo and ?assessment=<slug> limit the submissions counted
+// (without ?dateFrom, the last STATISTICS_DEFAULT_DAYS days up to ?dateTo or now);
+// ?timezone (default REPORT_TIMEZONE or UTC) decides which calendar day is "today".
+router.get("/statistics", validateRequest({ query: statisticsQuery }), async (req, res) => {
   try {
-    const users = await User.find();
-    
-    const stats = {
-      overview: {
-        totalUsers: users.length,
-        totalSubmissions: 0,
-        usersWithMultipleAttempts: 0,
-        averageAttemptsPerUser: 0
-      },
-      languages: {},
-      timeBasedStats: {
-        today: 0,
-        thisWeek: 0,
-        thisMonth: 0
-      },
-      submissionPatterns: {
-        singleAttempt: 0,
-        multipleAttempts: 0,
-        maxAttemptsByUser: 0
-      }
-    };
-
-    const now = new Date();
-    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-    const monthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-
-    users.forEach(user => {
-      const submissionCount = user.submissions?.length || (user.answers?.length > 0 ? 1 : 0);
-      stats.overview.totalSubmissions += submissionCount;
-      
-      // Language statistics
-      if (user.language) {
-        stats.languages[user.language] = (stats.languages[user.language] || 0) + 1;
-      }
-      
-      // Multiple attempts tracking
-      if (submissionCount > 1) {
-        stats.overview.usersWithMultipleAttempts++;
-        stats.submissionPatterns.multipleAttempts++;
-      } else if (submissionCount === 1) {
-        stats.submissionPatterns.singleAttempt++;
-      }
-      
-      // Max attempts tracking
-      stats.submissionPatterns.maxAttemptsByUser = Math.max(
-        stats.submissionPatterns.maxAttemptsByUser, 
-        submissionCount
-      );
-      
-      // Time-based statistics
-      const userLatestSubmission = user.lastSubmission || user.updatedAt || user.createdAt;
-      if (userLatestSubmission >= today) {
-        stats.timeBasedStats.today++;
-      }
-      if (userLatestSubmission >= weekAgo) {
-        stats.timeBasedStats.thisWeek++;
-      }
-      if (userLatestSubmission >= monthAgo) {
-        stats.timeBasedStats.thisMonth++;
-      }
-    });
+    const assessment = await findFilterAssessment(req.query.assessment);
+    if (assessment === null) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
 
-    // Calculate average
-    stats.overview.averageAttemptsPerUser = users.length > 0 
-      ? (stats.overview.totalSubmissions / users.length).toFixed(2)
-      : 0;
+    const timeZone = req.query.timezone || getDefaultTimeZone();
+    const filters = withDefaultDateRange(req.query);
+    const [result] = await Submission.aggregate(
+      buildStatisticsPipeline(getUserScope(req.admin), filters, assessment, { timeZone })
+    ).option({ maxTimeMS: STATISTICS_MAX_TIME_MS });
 
     res.json({
       message: 'Statistics fetched successfully',
-      statistics: stats
+      statistics: toStatistics(result),
+      filters: {
+        dateFrom: filters.dateFrom,
+        dateTo: filters.dateTo || null,
+        assessment: assessment?.slug || null,
+        timezone: timeZone
+      }
     });
   } catch (err) {
+    // MaxTimeMSExpired: too many submissions to count in time
+    if (err.code === 50) {
+      return res.status(503).json({
+        message: 'Statistics took too long to compute. Please choose a shorter date range.',
+        error: err.message
+      });
+    }
     console.error('Error fetching statistics:', err);
     res.status(500).json({ 
       message: "Error fetching statistics", 
@@ -293,15 +388,85 @@ router.get("/statistics", async (req, res) => {
   }
 });
 
+// GET /api/admin/answer-breakdown - How often each option was chosen, per language
+router.get("/answer-breakdown", async (req, res) => {
+  try {
+    // Only the submissions of users the admin can see
+    const scope = getUserScope(req.admin);
+    const users = await User.find(scope, { language: 1 }).lean();
+    const userLanguages = Object.fromEntries(users.map(user => [user._id.toString(), user.language]));
+    const query = Object.keys(scope).length > 0 ? { user: { $in: users.map(user => user._id) } } : {};
+    const answerKey = await loadAnswerKey();
+    const questions = {};
+
+    const cursor = Submission.find(query, { user: 1, language: 1, answers: 1 }).lean().cursor();
+    for await (const submission of cursor) {
+      const language = submission.language || userLanguages[submission.user.toString()];
+
+      (submission.answers || []).forEach(answer => {
+        const keys = answerKey.keys[answer.questionId] || {};
+        const type = Object.values(keys)[0]?.type || 'single';
+
+        // Ordering, numeric and text answers have no per-option counts
+        let optionIds;
+        if (type === 'multiple') {
+          optionIds = answer.optionIds || [];
+        } else if (type === 'single' || type === 'true_false') {
+          const optionId = getAnswerOptionId(answer, language, answerKey);
+          optionIds = optionId ? [optionId] : [];
+        } else {
+          return;
+        }
+        if (optionIds.length === 0) return;
+
+        if (!questions[answer.questionId]) {
+          questions[answer.questionId] = {
+            questionId: answer.questionId,
+            type,
+            correctOptionIds: Object.fromEntries(Object.entries(keys).map(([keyLanguage, key]) => [
+              keyLanguage,
+              type === 'multiple' ? key.correctOptionIds : key.correctOptionId
+            ])),
+            totalAnswers: 0,
+            options: {}
+          };
+        }
+        const question = questions[answer.questionId];
+        question.totalAnswers++;
+
+        optionIds.forEach(optionId => {
+          if (!question.options[optionId]) {
+            question.options[optionId] = { total: 0, languages: {} };
+          }
+          const option = question.options[optionId];
+          option.total++;
+          option.languages[language] = (option.languages[language] || 0) + 1;
+        });
+      });
+    }
+
+    res.json({
+      message: 'Answer breakdown fetched successfully',
+      questions: Object.values(questions).sort((a, b) => a.questionId - b.questionId)
+    });
+  } catch (err) {
+    console.error('Error fetching answer breakdown:', err);
+    res.status(500).json({ 
+      message: "Error fetching answer breakdown", 
+      error: err.message 
+    });
+  }
+});
+
 // DELETE /api/admin/users/:id - Delete user and all submissions
-router.delete("/users/:id", async (req, res) => {
+router.delete("/users/:id", requireRole(ADMIN_ROLES.SUPER_ADMIN), validateRequest({ params: userParams }), async (req, res) => {
   try {
     const deletedUser = await User.findByIdAndDelete(req.params.id);
     if (!deletedUser) {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    const submissionCount = deletedUser.submissions?.length || (deletedUser.answers?.length > 0 ? 1 : 0);
+    const { deletedCount: submissionCount } = await Submission.deleteMany({ user: deletedUser._id });
     
     res.json({ 
       message: `User and ${submissionCount} submission(s) deleted successfully`, 
@@ -320,94 +485,213 @@ router.delete("/users/:id", async (req, res) => {
   }
 });
 
-// DELETE /api/admin/users/:userId/submissions/:submissionIndex - Delete specific submission
-router.delete("/users/:userId/submissions/:submissionIndex", async (req, res) => {
+// GET /api/admin/submissions/:id - One submission, scored, with its user
+router.get("/submissions/:id", validateRequest({ params: submissionParams }), async (req, res) => {
   try {
-    const { userId, submissionIndex } = req.params;
-    const user = await User.findById(userId);
-    
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    
-    const index = parseInt(submissionIndex);
-    if (!user.submissions || index < 0 || index >= user.submissions.length) {
+    const found = await findScopedSubmission(req.params.id, req.admin);
+    if (!found) {
       return res.status(404).json({ message: 'Submission not found' });
     }
-    
-    // Remove the specific submission
-    const deletedSubmission = user.submissions[index];
-    user.submissions.splice(index, 1);
-    
-    // Update user stats
-    user.totalAttempts = user.submissions.length;
-    user.lastSubmission = user.submissions.length > 0 
-      ? user.submissions[user.submissions.length - 1].submittedAt 
-      : user.createdAt;
-    
-    await user.save();
-    
-    res.json({ 
-      message: 'Submission deleted successfully',
-      deletedSubmission: {
-        submissionIndex: index + 1,
-        submittedAt: deletedSubmission.submittedAt,
-        answersCount: deletedSubmission.answers?.length || 0
-      },
-      remainingSubmissions: user.submissions.length
+
+    res.json({
+      message: 'Submission fetched successfully',
+      submission: await toSubmissionResponse(found.submission, found.user)
     });
   } catch (err) {
-    console.error('Error deleting submission:', err);
+    console.error('Error fetching submission:', err);
     res.status(500).json({ 
-      message: "Error deleting submission", 
+      message: "Error fetching submission", 
       error: err.message 
     });
   }
 });
 
+// PATCH /api/admin/submissions/:id - Correct a submission's answers or completion time
+router.patch(
+  "/submissions/:id",
+  requireRole(ADMIN_ROLES.SUPER_ADMIN),
+  validateRequest({ params: submissionParams, body: updateSubmissionBody }),
+  async (req, res) => {
+    try {
+      const found = await findScopedSubmission(req.params.id, req.admin);
+      if (!found) {
+        return res.status(404).json({ message: 'Submission not found' });
+      }
+
+      const { submission, user } = found;
+      const updates = {};
+      if (req.body.completionTime !== undefined) {
+        updates.completionTime = req.body.completionTime;
+      }
+      if (req.body.answers !== undefined) {
+        // Graded against the same questions as the original attempt
+        const questionSet = await findQuestionSet(submission.questionSet);
+        const { answers, score, totalQuestions, percentage } = await gradeAttempt(req.body.answers, {
+          questionSet,
+          questionIds: submission.selectedQuestionIds,
+          language: submission.language || user.language
+        });
+        Object.assign(updates, { answers, score, totalQuestions, percentage });
+      }
+
+      const updated = await Submission.findByIdAndUpdate(submission._id, { $set: updates }, { new: true }).lean();
+      if (!updated) {
+        return res.status(404).json({ message: 'Submission not found' });
+      }
+
+      res.json({
+        message: 'Submission updated successfully',
+        submission: await toSubmissionResponse(updated, user)
+      });
+    } catch (err) {
+      console.error('Error updating submission:', err);
+      res.status(500).json({ 
+        message: "Error updating submission", 
+        error: err.message 
+      });
+    }
+  }
+);
+
+// DELETE /api/admin/submissions/:id - Delete one submission
+router.delete(
+  "/submissions/:id",
+  requireRole(ADMIN_ROLES.SUPER_ADMIN),
+  validateRequest({ params: submissionParams }),
+  async (req, res) => {
+    try {
+      const found = await findScopedSubmission(req.params.id, req.admin);
+      if (!found) {
+        return res.status(404).json({ message: 'Submission not found' });
+      }
+
+      // The user's other attempts keep their numbers; their stats are updated
+      const { submission } = found;
+      await removeSubmission(submission);
+
+      res.json({ 
+        message: 'Submission deleted successfully',
+        deletedSubmission: {
+          _id: submission._id,
+          attemptNumber: submission.attemptNumber,
+          submittedAt: submission.submittedAt,
+          answersCount: submission.answers?.length || 0
+        },
+        remainingSubmissions: await Submission.countDocuments({ user: submission.user })
+      });
+    } catch (err) {
+      console.error('Error deleting submission:', err);
+      res.status(500).json({ 
+        message: "Error deleting submission", 
+        error: err.message 
+      });
+    }
+  }
+);
+
 // POST /api/admin/export - Export data in various formats
-router.post("/export", async (req, res) => {
+router.post("/export", validateRequest({ body: exportBody }), async (req, res) => {
   try {
     const { format = 'csv', type = 'users', filters = {} } = req.body;
+
+    const assessment = await findFilterAssessment(filters.assessment);
+    if (assessment === null) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
     
-    let query = {};
+    let query = { ...getUserScope(req.admin) };
     
     // Apply filters
     if (filters.language && filters.language !== 'all') {
       query.language = filters.language;
     }
-    if (filters.dateFrom) {
-      query.createdAt = { $gte: new Date(filters.dateFrom) };
-    }
-    if (filters.dateTo) {
-      query.createdAt = { ...query.createdAt, $lte: new Date(filters.dateTo) };
+
+    // As in the listings, the date range and assessment apply to submissions; with
+    // either, only users with a matching submission are exported
+    const submissionMatch = buildSubmissionMatch(filters, assessment);
+    let users = await User.find(query).sort({ updatedAt: -1 }).lean();
+    if (type === 'users' && Object.keys(submissionMatch).length > 0) {
+      const matched = await Submission.distinct('user', { user: { $in: users.map(user => user._id) }, ...submissionMatch });
+      const matchedIds = new Set(matched.map(id => id.toString()));
+      users = users.filter(user => matchedIds.has(user._id.toString()));
     }
-    
-    const users = await User.find(query).sort({ updatedAt: -1 });
+    const answerKey = await loadAnswerKey();
+
+    // Matching submissions of those users, first attempt first
+    const submissions = type === 'users'
+      ? []
+      : await Submission
+        .find({ user: { $in: users.map(user => user._id) }, ...submissionMatch })
+        .sort({ user: 1, attemptNumber: 1 })
+        .lean();
+    const submissionsByUser = {};
+    submissions.forEach(submission => {
+      const key = submission.user.toString();
+      (submissionsByUser[key] = submissionsByUser[key] || []).push(submission);
+    });
+    const questionSetsById = await loadQuestionSetsFor(submissions);
     
     let exportData = [];
     
-    if (type === 'submissions') {
-      // Export all submissions
+    if (type === 'answers') {
+      // Export every answer with the question as the candidate saw it
       users.forEach(user => {
-        if (user.submissions && user.submissions.length > 0) {
-          user.submissions.forEach((submission, index) => {
+        (submissionsByUser[user._id.toString()] || []).forEach(submission => {
+          const detailed = withSubmissionDetails(submission, user.language, answerKey, questionSetsById);
+
+          detailed.answers.forEach(answer => {
             exportData.push({
               userName: user.name,
               userPhone: user.phone,
-              userSchool: user.school || '',
-              userClass: user.class || '',
               userLanguage: user.language,
-              submissionNumber: index + 1,
-              totalSubmissions: user.submissions.length,
-              answersCount: submission.answers?.length || 0,
+              submissionNumber: submission.attemptNumber,
+              assessment: submission.assessmentSlug || '',
               submittedAt: submission.submittedAt,
-              sessionId: submission.sessionId || '',
-              score: submission.score || 0,
-              completionTime: submission.completionTime || ''
+              questionSetVersion: detailed.questionSetVersion || '',
+              questionId: answer.questionId,
+              shownPosition: answer.position || '',
+              questionType: answer.type || answer.shown?.type || 'single',
+              question: answer.shown?.question || answer.question || '',
+              optionsShown: answer.shown ? answer.shown.options.map(option => option.text).join(' | ') : '',
+              answer: answer.answer || '',
+              optionId: answer.optionId || (answer.optionIds || []).join(' | '),
+              correctAnswer: answer.shown?.correctAnswer || '',
+              isCorrect: !!answer.isCorrect
             });
           });
-        }
+        });
+      });
+    } else if (type === 'submissions') {
+      // Export all submissions
+      users.forEach(user => {
+        (submissionsByUser[user._id.toString()] || []).forEach(submission => {
+          const scored = withSubmissionDetails(submission, user.language, answerKey, questionSetsById);
+
+          exportData.push({
+            userName: user.name,
+            userPhone: user.phone,
+            userSchool: user.school || '',
+            userClass: user.class || '',
+            userLanguage: user.language,
+            submissionNumber: submission.attemptNumber,
+            totalSubmissions: user.totalAttempts,
+            assessment: submission.assessmentSlug || '',
+            answersCount: submission.answers?.length || 0,
+            submittedAt: submission.submittedAt,
+            sessionId: submission.sessionId || '',
+            score: scored.score || 0,
+            totalQuestions: scored.totalQuestions,
+            percentage: scored.percentage,
+            questionSetVersion: scored.questionSetVersion || '',
+            seed: submission.seed ?? '',
+            selectedQuestions: (submission.selectedQuestionIds || []).join(' | '),
+            startedAt: submission.startedAt || '',
+            timeLimitSeconds: submission.timeLimitSeconds || '',
+            completionTime: submission.completionTime || '',
+            durationSeconds: submission.durationSeconds ?? '',
+            timingFlags: (submission.timingFlags || []).join(' | ')
+          });
+        });
       });
     } else {
       // Export users summary
@@ -417,10 +701,10 @@ router.post("/export", async (req, res) => {
         school: user.school || '',
         class: user.class || '',
         language: user.language,
-        totalAttempts: user.totalAttempts || user.submissions?.length || 1,
+        totalAttempts: user.totalAttempts,
         latestSubmission: user.lastSubmission || user.updatedAt,
         firstSubmission: user.createdAt,
-        hasMultipleAttempts: (user.submissions?.length || 0) > 1
+        hasMultipleAttempts: user.totalAttempts > 1
       }));
     }
     
@@ -442,28 +726,28 @@ router.post("/export", async (req, res) => {
 });
 
 // GET /api/admin/users/search/:searchTerm - Search users
-router.get("/users/search/:searchTerm", async (req, res) => {
+router.get("/users/search/:searchTerm", validateRequest({ params: searchParams }), async (req, res) => {
   try {
     const { searchTerm } = req.params;
+    // Matched literally: the term is user input, not a pattern
+    const pattern = escapeRegExp(searchTerm);
     
     const query = {
+      ...getUserScope(req.admin),
       $or: [
-        { name: { $regex: searchTerm, $options: 'i' } },
-        { phone: { $regex: searchTerm, $options: 'i' } },
-        { school: { $regex: searchTerm, $options: 'i' } }
+        { name: { $regex: pattern, $options: 'i' } },
+        { phone: { $regex: pattern, $options: 'i' } },
+        { school: { $regex: pattern, $options: 'i' } }
       ]
     };
     
-    const users = await User.find(query).sort({ updatedAt: -1 }).limit(50);
+    const users = await User.find(query).sort({ updatedAt: -1 }).limit(50).lean();
     
-    const enhancedUsers = users.map(user => {
-      const submissionCount = user.submissions?.length || (user.answers?.length > 0 ? 1 : 0);
-      return {
-        ...user.toObject(),
-        submissionCount,
-        hasMultipleAttempts: submissionCount > 1
-      };
-    });
+    const enhancedUsers = users.map(user => ({
+      ...user,
+      submissionCount: user.totalAttempts,
+      hasMultipleAttempts: user.totalAttempts > 1
+    }));
     
     res.json({
       message: `Found ${users.length} users matching "${searchTerm}"`,
@@ -0,0 +1,160 @@
+import express from "express";
+import Admin, { ADMIN_ROLES } from "../models/Admin.js";
+import { MIN_PASSWORD_LENGTH, hashPassword } from "../utils/passwords.js";
+import { toPublicAdmin } from "../utils/adminAuth.js";
+import { array, boolean, object, objectId, string, validateRequest } from "../utils/validation.js";
+
+const router = express.Router();
+
+const accountFields = ({ partial }) => ({
+  username: string({
+    optional: partial,
+    lowercase: true,
+    max: 50,
+    pattern: /^[a-z0-9._-]{3,}$/,
+    patternMessage: 'must be at least 3 letters, numbers, dots, dashes or underscores'
+  }),
+  name: string({ optional: true, max: 100 }),
+  password: string({ optional: partial, trim: false, min: MIN_PASSWORD_LENGTH, max: 200 }),
+  role: string({ optional: partial, values: Object.values(ADMIN_ROLES) }),
+  schools: array(string({ min: 1, max: 200 }), { optional: true, max: 100 })
+});
+
+const createAccountBody = object(accountFields({ partial: false }));
+
+const updateAccountBody = object({
+  ...accountFields({ partial: true }),
+  active: boolean({ optional: true })
+});
+
+const accountParams = object({ id: objectId() });
+
+const normalizeSchools = (schools) => [...new Set(schools)];
+
+// A super-admin must not lock everyone out by demoting or deactivating the last one
+const isLastActiveSuperAdmin = async (admin) =>
+  admin.role === ADMIN_ROLES.SUPER_ADMIN && admin.active &&
+  await Admin.countDocuments({ role: ADMIN_ROLES.SUPER_ADMIN, active: true }) <= 1;
+
+// GET /api/admin/accounts - List admin accounts
+router.get("/", async (req, res) => {
+  try {
+    const admins = await Admin.find().sort({ createdAt: 1 }).lean();
+
+    res.json({
+      message: 'Admin accounts fetched successfully',
+      count: admins.length,
+      admins: admins.map(toPublicAdmin)
+    });
+  } catch (err) {
+    console.error('Error fetching admin accounts:', err);
+    res.status(500).json({
+      message: "Error fetching admin accounts",
+      error: err.message
+    });
+  }
+});
+
+// POST /api/admin/accounts - Create an admin account
+router.post("/", validateRequest({ body: createAccountBody }), async (req, res) => {
+  try {
+    const { username } = req.body;
+    if (await Admin.exists({ username })) {
+      return res.status(409).json({ message: `An admin with username "${username}" already exists` });
+    }
+
+    const admin = await new Admin({
+      username,
+      name: req.body.name || '',
+      passwordHash: await hashPassword(req.body.password),
+      role: req.body.role,
+      schools: normalizeSchools(req.body.schools || [])
+    }).save();
+
+    res.status(201).json({
+      message: 'Admin account created successfully',
+      admin: toPublicAdmin(admin)
+    });
+  } catch (err) {
+    console.error('Error creating admin account:', err);
+    res.status(500).json({
+      message: "Error creating admin account",
+      error: err.message
+    });
+  }
+});
+
+// PUT /api/admin/accounts/:id - Update role, schools, name, password or active flag
+router.put("/:id", validateRequest({ params: accountParams, body: updateAccountBody }), async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+      return res.status(404).json({ message: 'Admin account not found' });
+    }
+
+    if (req.body.username !== undefined && req.body.username !== admin.username) {
+      return res.status(400).json({ message: 'username cannot be changed' });
+    }
+
+    const { name, password, role, schools, active } = req.body;
+    const losesSuperAdmin = (role !== undefined && role !== ADMIN_ROLES.SUPER_ADMIN) || active === false;
+    if (losesSuperAdmin && await isLastActiveSuperAdmin(admin)) {
+      return res.status(409).json({ message: 'At least one active super-admin is required' });
+    }
+
+    if (name !== undefined) admin.name = name;
+    if (role !== undefined) admin.role = role;
+    if (schools !== undefined) admin.schools = normalizeSchools(schools);
+    if (password !== undefined) admin.passwordHash = await hashPassword(password);
+    if (active !== undefined) admin.active = active;
+
+    // Sign out existing sessions when the password changes or the account is disabled
+    if (password !== undefined || active === false) {
+      admin.sessionVersion = (admin.sessionVersion || 0) + 1;
+    }
+
+    const savedAdmin = await admin.save();
+
+    res.json({
+      message: 'Admin account updated successfully',
+      admin: toPublicAdmin(savedAdmin)
+    });
+  } catch (err) {
+    console.error('Error updating admin account:', err);
+    res.status(500).json({
+      message: "Error updating admin account",
+      error: err.message
+    });
+  }
+});
+
+// DELETE /api/admin/accounts/:id - Delete an admin account
+router.delete("/:id", validateRequest({ params: accountParams }), async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+      return res.status(404).json({ message: 'Admin account not found' });
+    }
+    if (admin._id.equals(req.admin._id)) {
+      return res.status(400).json({ message: 'You cannot delete your own account' });
+    }
+    if (await isLastActiveSuperAdmin(admin)) {
+      return res.status(409).json({ message: 'At least one active super-admin is required' });
+    }
+
+    await admin.deleteOne();
+
+    res.json({
+      message: 'Admin account deleted successfully',
+      admin: toPublicAdmin(admin)
+    });
+  } catch (err) {
+    console.error('Error deleting admin account:', err);
+    res.status(500).json({
+      message: "Error deleting admin account",
+      error: err.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,150 @@
+import express from "express";
+import Assessment from "../models/Assessment.js";
+import {
+  array,
+  boolean,
+  language,
+  number,
+  object,
+  objectId,
+  slug,
+  string,
+  validateRequest
+} from "../utils/validation.js";
+
+const router = express.Router();
+
+// The editable fields of an assessment; anything else in a request body is dropped.
+// With `partial`, missing fields are allowed. null removes a time limit.
+const assessmentFields = ({ partial }) => ({
+  slug: slug({ optional: partial }),
+  title: string({ optional: partial, min: 1, max: 200 }),
+  description: string({ optional: true, max: 2000 }),
+  languages: array(language(), { optional: true, min: 1 }),
+  questionIds: array(number({ integer: true, min: 0 }), { optional: true, max: 1000 }),
+  selection: array(object({
+    tag: string({ lowercase: true, min: 1, max: 50 }),
+    count: number({ integer: true, min: 1 })
+  }), { optional: true, max: 50 }),
+  shuffleQuestions: boolean({ optional: true }),
+  shuffleOptions: boolean({ optional: true }),
+  showAnswerReview: boolean({ optional: true }),
+  timeLimitSeconds: number({ optional: true, nullable: true, integer: true, min: 1 }),
+  questionTimeLimitSeconds: number({ optional: true, nullable: true, integer: true, min: 1 }),
+  isDefault: boolean({ optional: true }),
+  status: string({ optional: true, values: ['active', 'archived'] })
+});
+
+const createAssessmentBody = object(assessmentFields({ partial: false }));
+const updateAssessmentBody = object(assessmentFields({ partial: true }));
+const assessmentParams = object({ id: objectId() });
+
+// Only one assessment can be the default
+const clearOtherDefaults = (assessmentId) =>
+  Assessment.updateMany({ _id: { $ne: assessmentId }, isDefault: true }, { $set: { isDefault: false } });
+
+// GET /api/admin/assessments - List all assessments, including archived ones
+router.get("/", async (req, res) => {
+  try {
+    const assessments = await Assessment.find().sort({ isDefault: -1, createdAt: -1 });
+
+    res.json({
+      message: 'Assessments fetched successfully',
+      count: assessments.length,
+      assessments
+    });
+  } catch (err) {
+    console.error('Error fetching assessments:', err);
+    res.status(500).json({
+      message: "Error fetching assessments",
+      error: err.message
+    });
+  }
+});
+
+// POST /api/admin/assessments - Create an assessment
+router.post("/", validateRequest({ body: createAssessmentBody }), async (req, res) => {
+  try {
+    const existing = await Assessment.findOne({ slug: req.body.slug });
+    if (existing) {
+      return res.status(409).json({ message: `An assessment with slug "${existing.slug}" already exists` });
+    }
+
+    const assessment = await new Assessment(req.body).save();
+    if (assessment.isDefault) {
+      await clearOtherDefaults(assessment._id);
+    }
+
+    res.status(201).json({
+      message: 'Assessment created successfully',
+      assessment
+    });
+  } catch (err) {
+    console.error('Error creating assessment:', err);
+    res.status(500).json({
+      message: "Error creating assessment",
+      error: err.message
+    });
+  }
+});
+
+// PUT /api/admin/assessments/:id - Update an assessment
+router.put("/:id", validateRequest({ params: assessmentParams, body: updateAssessmentBody }), async (req, res) => {
+  try {
+    const assessment = await Assessment.findById(req.params.id);
+    if (!assessment) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
+
+    if (req.body.slug !== undefined) {
+      const slugOwner = await Assessment.findOne({ slug: req.body.slug });
+      if (slugOwner && !slugOwner._id.equals(assessment._id)) {
+        return res.status(409).json({ message: `An assessment with slug "${slugOwner.slug}" already exists` });
+      }
+    }
+
+    assessment.set(req.body);
+    const savedAssessment = await assessment.save();
+    if (savedAssessment.isDefault) {
+      await clearOtherDefaults(savedAssessment._id);
+    }
+
+    res.json({
+      message: 'Assessment updated successfully',
+      assessment: savedAssessment
+    });
+  } catch (err) {
+    console.error('Error updating assessment:', err);
+    res.status(500).json({
+      message: "Error updating assessment",
+      error: err.message
+    });
+  }
+});
+
+// DELETE /api/admin/assessments/:id - Archive an assessment (its submissions are kept)
+router.delete("/:id", validateRequest({ params: assessmentParams }), async (req, res) => {
+  try {
+    const assessment = await Assessment.findByIdAndUpdate(
+      req.params.id,
+      { $set: { status: 'archived', isDefault: false, updatedAt: new Date() } },
+      { new: true }
+    );
+    if (!assessment) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
+
+    res.json({
+      message: 'Assessment archived successfully',
+      assessment
+    });
+  } catch (err) {
+    console.error('Error archiving assessment:', err);
+    res.status(500).json({
+      message: "Error archiving assessment",
+      error: err.message
+    });
+  }
+});
+
+export default router;
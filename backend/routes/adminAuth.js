@@ -0,0 +1,60 @@
+import express from "express";
+import Admin from "../models/Admin.js";
+import { verifyPassword } from "../utils/passwords.js";
+import {
+  SESSION_MAX_AGE_SECONDS,
+  authenticateAdmin,
+  createSessionToken,
+  toPublicAdmin
+} from "../utils/adminAuth.js";
+import { byIp, byUsername, rateLimit } from "../utils/rateLimit.js";
+import { object, string, validateRequest } from "../utils/validation.js";
+
+const router = express.Router();
+
+const loginBody = object({
+  username: string({ min: 1, max: 100 }),
+  password: string({ trim: false, min: 1, max: 200 })
+});
+
+// POST /api/admin/auth/login - Sign in with username and password
+router.post(
+  "/login",
+  rateLimit('ADMIN_LOGIN_IP', byIp, 'Too many sign-in attempts from this network. Please try again later.'),
+  validateRequest({ body: loginBody }),
+  rateLimit('ADMIN_LOGIN_USERNAME', byUsername, 'Too many sign-in attempts for this account. Please try again later.'),
+  async (req, res) => {
+    try {
+      const { username, password } = req.body;
+
+      const admin = await Admin.findOne({ username: username.toLowerCase() });
+      const passwordMatches = admin ? await verifyPassword(password, admin.passwordHash) : false;
+      if (!admin || !admin.active || !passwordMatches) {
+        return res.status(401).json({ message: 'Incorrect username or password' });
+      }
+
+      admin.lastLoginAt = new Date();
+      await admin.save();
+
+      res.json({
+        message: 'Signed in successfully',
+        token: createSessionToken(admin),
+        expiresIn: SESSION_MAX_AGE_SECONDS,
+        admin: toPublicAdmin(admin)
+      });
+    } catch (err) {
+      console.error('Error signing in:', err);
+      res.status(500).json({
+        message: "Error signing in",
+        error: err.message
+      });
+    }
+  }
+);
+
+// GET /api/admin/auth/me - The signed-in admin
+router.get("/me", authenticateAdmin, (req, res) => {
+  res.json({ admin: toPublicAdmin(req.admin) });
+});
+
+export default router;
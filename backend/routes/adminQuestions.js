@@ -0,0 +1,423 @@
+import express from "express";
+import Question from "../models/Question.js";
+import { ANSWER_KEY_FIELDS, QUESTION_TYPES, validateAnswerKey } from "../utils/questionTypes.js";
+import {
+  MAX_MEDIA_BYTES,
+  MEDIA_KINDS,
+  getAllowedMediaTypes,
+  isAllowedMediaType,
+  saveMedia
+} from "../utils/mediaStorage.js";
+import {
+  array,
+  boolean,
+  language,
+  number,
+  object,
+  objectId,
+  string,
+  validateRequest
+} from "../utils/validation.js";
+
+const router = express.Router();
+
+// Fields that define what a question asks, how it is graded and how the answer is explained
+const CONTENT_FIELDS = ['type', 'text', 'options', ...ANSWER_KEY_FIELDS, 'explanation'];
+
+// Options are edited as { id, text }; their media is managed by the media routes
+const optionSchema = object({
+  id: string({ min: 1, max: 50 }),
+  text: string({ min: 1, max: 1000 })
+});
+
+// The editable fields of a question. Whether the options and answer key fit the
+// question type is checked by validateAnswerKey.
+const questionFields = ({ partial }) => ({
+  text: string({ optional: partial, min: 1, max: 2000 }),
+  type: string({ optional: true, values: QUESTION_TYPES }),
+  options: array(optionSchema, { optional: true, max: 20 }),
+  tags: array(string({ min: 1, max: 50 }), { optional: true, max: 20 }),
+  order: number({ optional: true, nullable: true, integer: true, min: 0 }),
+  correctOptionId: string({ optional: true, nullable: true, max: 50 }),
+  correctOptionIds: array(string({ max: 50 }), { optional: true, nullable: true, max: 20 }),
+  numericAnswer: number({ optional: true, nullable: true }),
+  tolerance: number({ optional: true, nullable: true, min: 0 }),
+  acceptedAnswers: array(string({ min: 1, max: 200 }), { optional: true, nullable: true, max: 50 }),
+  explanation: string({ optional: true, nullable: true, max: 2000 })
+});
+
+const createQuestionBody = object({
+  ...questionFields({ partial: false }),
+  questionId: number({ optional: true, nullable: true, integer: true, min: 1 }),
+  language: language()
+});
+const updateQuestionBody = object(questionFields({ partial: true }));
+
+const reorderBody = object({
+  language: language(),
+  questionIds: array(number({ integer: true, min: 0 }), { min: 1, max: 1000 })
+});
+
+const questionParams = object({ id: objectId() });
+const listQuery = object({
+  language: language({ optional: true }),
+  includeRetired: boolean({ optional: true, coerce: true })
+});
+const mediaParams = object({ id: objectId(), kind: string({ values: MEDIA_KINDS }) });
+const mediaQuery = object({ optionId: string({ optional: true, max: 50 }) });
+
+// Option ids must be unique within a question. Returns an error message or null.
+const checkOptionIds = (options) => {
+  if (!options) return null;
+  const ids = options.map(option => option.id);
+  return new Set(ids).size === ids.length ? null : 'Option ids must be unique';
+};
+
+const normalizeTags = (tags) => [...new Set(tags.map(tag => tag.trim().toLowerCase()))];
+
+const pickContentFields = (body) =>
+  Object.fromEntries(CONTENT_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+
+// Images are shared by every translation of a question; audio is narrated per language,
+// so it only belongs to the document it was uploaded for
+const findMediaTargets = (question, kind) =>
+  kind === 'image' ? Question.find({ questionId: question.questionId }) : Promise.resolve([question]);
+
+// Set (or with no media, remove) the image or audio of a question or one of its options.
+// Returns false when the option does not exist in this document.
+const applyMedia = (question, kind, optionId, media) => {
+  const target = optionId ? question.options.find(option => option.id === optionId) : question;
+  if (!target) return false;
+
+  target.set(kind, media);
+  // What the candidate sees or hears changed, so question sets snapshot a new revision
+  question.revision = (question.revision || 1) + 1;
+  return true;
+};
+
+// Look up the question and check the option for the media routes.
+// Sends an error response and returns null when the request is invalid.
+const loadMediaTarget = async (req, res) => {
+  const { id } = req.params;
+  const { optionId } = req.query;
+
+  const question = await Question.findById(id);
+  if (!question) {
+    res.status(404).json({ message: 'Question not found' });
+    return null;
+  }
+  if (optionId && !question.options.some(option => option.id === optionId)) {
+    res.status(400).json({ message: `Question has no option "${optionId}"` });
+    return null;
+  }
+
+  return question;
+};
+
+// GET /api/admin/questions - List questions, optionally for one language
+router.get("/", validateRequest({ query: listQuery }), async (req, res) => {
+  try {
+    const { language, includeRetired } = req.query;
+
+    const query = {};
+    if (language) query.language = language;
+    if (!includeRetired) query.retired = false;
+
+    const questions = await Question.find(query).sort({ language: 1, order: 1, questionId: 1 });
+
+    res.json({
+      message: 'Questions fetched successfully',
+      count: questions.length,
+      questions
+    });
+  } catch (err) {
+    console.error('Error fetching questions:', err);
+    res.status(500).json({
+      message: "Error fetching questions",
+      error: err.message
+    });
+  }
+});
+
+// POST /api/admin/questions - Create a question (or a translation of an existing one)
+router.post("/", validateRequest({ body: createQuestionBody }), async (req, res) => {
+  try {
+    const optionIdError = checkOptionIds(req.body.options);
+    if (optionIdError) {
+      return res.status(400).json({ message: optionIdError });
+    }
+
+    const { language } = req.body;
+    const content = { options: [], ...pickContentFields(req.body) };
+    const answerKeyError = validateAnswerKey(content);
+    if (answerKeyError) {
+      return res.status(400).json({ message: answerKeyError });
+    }
+
+    // Without a questionId this is a brand new question, so allocate the next one
+    let questionId = req.body.questionId;
+    if (questionId === undefined || questionId === null) {
+      const last = await Question.findOne().sort({ questionId: -1 }).lean();
+      questionId = (last?.questionId || 0) + 1;
+    }
+
+    const existing = await Question.findOne({ questionId, language });
+    if (existing) {
+      return res.status(409).json({ message: `Question ${questionId} already exists in ${language}` });
+    }
+
+    // Tags are shared by every language, so a new translation takes the question's tags
+    let tags = req.body.tags !== undefined ? normalizeTags(req.body.tags) : undefined;
+    if (tags === undefined) {
+      const translation = await Question.findOne({ questionId }).lean();
+      tags = translation?.tags || [];
+    }
+
+    // New questions go to the end of the language's list unless an order is given
+    let order = req.body.order;
+    if (order === undefined || order === null) {
+      const lastInLanguage = await Question.findOne({ language }).sort({ order: -1 }).lean();
+      order = (lastInLanguage?.order || 0) + 1;
+    }
+
+    const question = await new Question({
+      questionId,
+      language,
+      ...content,
+      tags,
+      order
+    }).save();
+
+    res.status(201).json({
+      message: 'Question created successfully',
+      question
+    });
+  } catch (err) {
+    console.error('Error creating question:', err);
+    res.status(500).json({
+      message: "Error creating question",
+      error: err.message
+    });
+  }
+});
+
+// PUT /api/admin/questions/reorder - Set the quiz order for a language
+// Body: { language, questionIds: [3, 1, 2, ...] }
+router.put("/reorder", validateRequest({ body: reorderBody }), async (req, res) => {
+  try {
+    const { language, questionIds } = req.body;
+
+    const result = await Question.bulkWrite(questionIds.map((questionId, index) => ({
+      updateOne: {
+        filter: { questionId, language },
+        update: { $set: { order: index + 1, updatedAt: new Date() } }
+      }
+    })));
+
+    res.json({
+      message: `Reordered ${result.matchedCount} question(s) in ${language}`,
+      matched: result.matchedCount
+    });
+  } catch (err) {
+    console.error('Error reordering questions:', err);
+    res.status(500).json({
+      message: "Error reordering questions",
+      error: err.message
+    });
+  }
+});
+
+// PUT /api/admin/questions/:id - Update the type, text, options, answer, explanation, tags or order of a question
+router.put("/:id", validateRequest({ params: questionParams, body: updateQuestionBody }), async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id);
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    const optionIdError = checkOptionIds(req.body.options);
+    if (optionIdError) {
+      return res.status(400).json({ message: optionIdError });
+    }
+
+    const { text, order, tags } = req.body;
+    const content = pickContentFields(req.body);
+
+    // Options edited without their media keep the image and audio already uploaded
+    if (content.options) {
+      const existingOptions = Object.fromEntries(question.options.map(option => [option.id, option.toObject()]));
+      content.options = content.options.map(option => ({
+        image: existingOptions[option.id]?.image,
+        audio: existingOptions[option.id]?.audio,
+        ...option
+      }));
+    }
+
+    question.set(content);
+    if (text !== undefined) question.text = text;
+    if (order !== undefined) question.order = order;
+    if (tags !== undefined) question.tags = normalizeTags(tags);
+
+    const answerKeyError = validateAnswerKey(question.toObject());
+    if (answerKeyError) {
+      return res.status(400).json({ message: answerKeyError });
+    }
+
+    // Content changes start a new revision; question sets snapshot the old one
+    if (CONTENT_FIELDS.some(field => question.isModified(field))) {
+      question.revision = (question.revision || 1) + 1;
+    }
+
+    const savedQuestion = await question.save();
+
+    // Keep the other languages of the question in the same pools
+    if (tags !== undefined) {
+      await Question.updateMany(
+        { questionId: savedQuestion.questionId, _id: { $ne: savedQuestion._id } },
+        { $set: { tags: savedQuestion.tags, updatedAt: new Date() } }
+      );
+    }
+
+    res.json({
+      message: 'Question updated successfully',
+      question: savedQuestion
+    });
+  } catch (err) {
+    console.error('Error updating question:', err);
+    res.status(500).json({
+      message: "Error updating question",
+      error: err.message
+    });
+  }
+});
+
+// DELETE /api/admin/questions/:id - Retire a question (kept for grading old submissions)
+router.delete("/:id", validateRequest({ params: questionParams }), async (req, res) => {
+  try {
+    const question = await Question.findByIdAndUpdate(
+      req.params.id,
+      { $set: { retired: true, retiredAt: new Date(), updatedAt: new Date() } },
+      { new: true }
+    );
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    res.json({
+      message: 'Question retired successfully',
+      question
+    });
+  } catch (err) {
+    console.error('Error retiring question:', err);
+    res.status(500).json({
+      message: "Error retiring question",
+      error: err.message
+    });
+  }
+});
+
+// POST /api/admin/questions/:id/restore - Bring a retired question back into the quiz
+router.post("/:id/restore", validateRequest({ params: questionParams }), async (req, res) => {
+  try {
+    const question = await Question.findByIdAndUpdate(
+      req.params.id,
+      { $set: { retired: false, updatedAt: new Date() }, $unset: { retiredAt: 1 } },
+      { new: true }
+    );
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    res.json({
+      message: 'Question restored successfully',
+      question
+    });
+  } catch (err) {
+    console.error('Error restoring question:', err);
+    res.status(500).json({
+      message: "Error restoring question",
+      error: err.message
+    });
+  }
+});
+
+// PUT /api/admin/questions/:id/media/:kind?optionId=... - Upload or replace the image or audio
+// of a question, or of one of its options. Send the file itself as the request body.
+router.put(
+  "/:id/media/:kind",
+  validateRequest({ params: mediaParams, query: mediaQuery }),
+  express.raw({ type: ['image/*', 'audio/*'], limit: MAX_MEDIA_BYTES }),
+  async (req, res) => {
+    try {
+      const question = await loadMediaTarget(req, res);
+      if (!question) return;
+
+      const { kind } = req.params;
+      const { optionId } = req.query;
+      const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+
+      if (!isAllowedMediaType(kind, contentType)) {
+        return res.status(415).json({
+          message: `Unsupported ${kind} type "${contentType}". Use one of: ${getAllowedMediaTypes(kind).join(', ')}`
+        });
+      }
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ message: 'Send the file as the request body' });
+      }
+
+      const media = await saveMedia(kind, contentType, req.body);
+
+      const targets = await findMediaTargets(question, kind);
+      const updated = [];
+      for (const target of targets) {
+        if (applyMedia(target, kind, optionId, media)) {
+          updated.push(await target.save());
+        }
+      }
+
+      res.json({
+        message: `${kind === 'image' ? 'Image' : 'Audio'} uploaded successfully`,
+        media,
+        questions: updated
+      });
+    } catch (err) {
+      console.error('Error uploading media:', err);
+      res.status(500).json({
+        message: "Error uploading media",
+        error: err.message
+      });
+    }
+  }
+);
+
+// DELETE /api/admin/questions/:id/media/:kind?optionId=... - Remove the image or audio
+router.delete("/:id/media/:kind", validateRequest({ params: mediaParams, query: mediaQuery }), async (req, res) => {
+  try {
+    const question = await loadMediaTarget(req, res);
+    if (!question) return;
+
+    const { kind } = req.params;
+    const { optionId } = req.query;
+
+    const targets = await findMediaTargets(question, kind);
+    const updated = [];
+    for (const target of targets) {
+      if (applyMedia(target, kind, optionId, undefined)) {
+        updated.push(await target.save());
+      }
+    }
+
+    res.json({
+      message: `${kind === 'image' ? 'Image' : 'Audio'} removed successfully`,
+      questions: updated
+    });
+  } catch (err) {
+    console.error('Error removing media:', err);
+    res.status(500).json({
+      message: "Error removing media",
+      error: err.message
+    });
+  }
+});
+
+export default router;
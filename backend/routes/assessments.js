@@ -0,0 +1,57 @@
+import express from 'express';
+import Assessment from '../models/Assessment.js';
+import { findActiveAssessment, toPublicAssessment } from '../utils/assessments.js';
+import { questionSetQuery, sendQuestionSet } from '../utils/quizAttempts.js';
+import { object, slug, validateRequest } from '../utils/validation.js';
+
+const router = express.Router();
+
+const assessmentParams = object({ slug: slug() });
+
+// GET /api/assessments - List the active assessments
+router.get('/', async (req, res) => {
+  try {
+    const assessments = await Assessment.find({ status: 'active' }).sort({ createdAt: -1 }).lean();
+
+    res.json({
+      count: assessments.length,
+      assessments: assessments.map(toPublicAssessment)
+    });
+  } catch (err) {
+    console.error('Error fetching assessments:', err);
+    res.status(500).json({ message: 'Error fetching assessments', error: err.message });
+  }
+});
+
+// GET /api/assessments/:slug - Public details of one assessment
+router.get('/:slug', validateRequest({ params: assessmentParams }), async (req, res) => {
+  try {
+    const assessment = await findActiveAssessment(req.params.slug);
+    if (!assessment) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
+
+    res.json(toPublicAssessment(assessment));
+  } catch (err) {
+    console.error('Error fetching assessment:', err);
+    res.status(500).json({ message: 'Error fetching assessment', error: err.message });
+  }
+});
+
+// GET /api/assessments/:slug/questions?language=Tamil&phone=... - Start an attempt at an assessment.
+// The phone number lets assessments that draw from tagged pools avoid repeating questions.
+router.get('/:slug/questions', validateRequest({ params: assessmentParams, query: questionSetQuery }), async (req, res) => {
+  try {
+    const assessment = await findActiveAssessment(req.params.slug);
+    if (!assessment) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
+
+    await sendQuestionSet(res, assessment, req.query.language || 'English', { phone: req.query.phone });
+  } catch (err) {
+    console.error('Error fetching assessment questions:', err);
+    res.status(500).json({ message: 'Error fetching questions', error: err.message });
+  }
+});
+
+export default router;
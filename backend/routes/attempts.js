@@ -0,0 +1,260 @@
+import express from 'express';
+import { randomUUID } from 'crypto';
+import Attempt from '../models/Attempt.js';
+import AttemptDraft from '../models/AttemptDraft.js';
+import { findActiveAssessment } from '../utils/assessments.js';
+import { findQuestionSet } from '../utils/questionSets.js';
+import { getAttemptExpiry, getSecondsRemaining, isPastDeadline, readAttempt } from '../utils/attempts.js';
+import { canAccessDrafts, deleteDraft, findDraft } from '../utils/attemptDrafts.js';
+import { startQuestionSetAttempt, toAttemptResponse } from '../utils/quizAttempts.js';
+import { byIp, byPhone, rateLimit } from '../utils/rateLimit.js';
+import {
+  attemptId,
+  language,
+  number,
+  object,
+  objectId,
+  phone,
+  sendValidationError,
+  string,
+  validateRequest
+} from '../utils/validation.js';
+
+const router = express.Router();
+
+const MAX_DRAFT_ANSWERS = 500;
+
+// Without an assessment slug the default assessment is started. The phone number
+// lets assessments that draw from tagged pools avoid repeating questions.
+const startBody = object({
+  language: language({ optional: true }),
+  assessmentSlug: string({ optional: true, nullable: true, max: 100 }),
+  phone: phone({ optional: true })
+});
+
+const draftOwner = {
+  phone: phone(),
+  verificationToken: string({ optional: true, nullable: true, max: 1000 })
+};
+
+// The quiz's own state: answers and per-question times are keyed by question id
+const saveDraftBody = object({
+  ...draftOwner,
+  questionSetId: objectId(),
+  attemptToken: string({ max: 10000 }),
+  attemptId: attemptId({ optional: true }),
+  answers: object({}, { unknown: 'allow' }),
+  currentQuestion: number({ integer: true, min: 0 }),
+  elapsedSeconds: number({ min: 0 }),
+  questionTimeUsed: object({}, { unknown: 'allow', optional: true })
+});
+
+const findDraftBody = object({
+  ...draftOwner,
+  assessmentSlug: string({ optional: true, nullable: true, max: 100 })
+});
+
+const draftLimits = [
+  rateLimit('DRAFT_IP', byIp, 'Too many requests from this network. Please try again later.'),
+  rateLimit('DRAFT_PHONE', byPhone, 'Too many requests for this phone number. Please try again later.')
+];
+
+const verificationRequired = (res) => res.status(403).json({
+  message: 'Please verify your phone number to continue.',
+  code: 'PHONE_VERIFICATION_REQUIRED'
+});
+
+// POST /api/attempts/start - Start a recorded attempt. Responds with its attemptId and
+// start time, and the questions in the attempt's order; the attemptId and attemptToken
+// are sent back with the submission, which the server then times from this start.
+router.post(
+  '/start',
+  rateLimit('START_ATTEMPT_IP', byIp, 'Too many quizzes started from this network. Please try again later.'),
+  validateRequest({ body: startBody }),
+  async (req, res) => {
+    try {
+      const { assessmentSlug, phone } = req.body;
+      const requestedLanguage = req.body.language || 'English';
+
+      const assessment = await findActiveAssessment(assessmentSlug);
+      if (!assessment) {
+        return res.status(404).json({ message: assessmentSlug ? 'Assessment not found' : 'No questions available' });
+      }
+
+      const started = await startQuestionSetAttempt(assessment, requestedLanguage, { phone, attemptId: randomUUID() });
+      if (!started) {
+        return res.status(404).json({ message: 'No questions available' });
+      }
+      const { questionSet, attempt } = started;
+
+      await Attempt.create({
+        _id: attempt.attemptId,
+        phone,
+        assessment: assessment._id,
+        questionSet: questionSet._id,
+        language: questionSet.language,
+        seed: attempt.seed,
+        selectedQuestionIds: attempt.questionIds,
+        timeLimitSeconds: attempt.timeLimitSeconds || undefined,
+        startedAt: attempt.startedAt,
+        expiresAt: getAttemptExpiry(attempt)
+      });
+
+      res.status(201).json({
+        attemptId: attempt.attemptId,
+        ...toAttemptResponse(assessment, questionSet, attempt, requestedLanguage)
+      });
+    } catch (err) {
+      console.error('Error starting attempt:', err);
+      res.status(500).json({ message: 'Error starting the quiz', error: err.message });
+    }
+  }
+);
+
+// PUT /api/attempts/draft - Save the progress of an attempt in progress
+router.put(
+  '/draft',
+  validateRequest({ body: saveDraftBody }),
+  ...draftLimits,
+  async (req, res) => {
+    try {
+      const {
+        phone,
+        verificationToken,
+        questionSetId,
+        attemptToken,
+        attemptId,
+        answers,
+        currentQuestion,
+        elapsedSeconds,
+        questionTimeUsed
+      } = req.body;
+
+      if (Object.keys(answers).length > MAX_DRAFT_ANSWERS) {
+        return sendValidationError(res, [{ location: 'body', path: 'answers', message: `answers must have at most ${MAX_DRAFT_ANSWERS} entries` }]);
+      }
+      if (!await canAccessDrafts(phone, verificationToken)) {
+        return verificationRequired(res);
+      }
+
+      const questionSet = await findQuestionSet(questionSetId);
+      const attempt = readAttempt(attemptToken, questionSet);
+      if (!attempt || !questionSet.assessment) {
+        return res.status(400).json({ message: 'Invalid or expired attempt. Please restart the quiz.' });
+      }
+      // Progress saved after the deadline could count towards a late submission
+      if (isPastDeadline(attempt)) {
+        return res.status(403).json({
+          message: 'Time is up. This attempt can no longer be saved.',
+          code: 'TIME_LIMIT_EXCEEDED'
+        });
+      }
+
+      const draft = await AttemptDraft.findOneAndUpdate(
+        { phone, assessment: questionSet.assessment },
+        {
+          $set: {
+            questionSet: questionSet._id,
+            attemptToken,
+            // A recorded attempt keeps the id it was started with
+            ...(attempt.attemptId || attemptId ? { attemptId: attempt.attemptId || attemptId } : {}),
+            language: questionSet.language,
+            answers,
+            currentQuestion,
+            elapsedSeconds,
+            questionTimeUsed: questionTimeUsed || {},
+            updatedAt: new Date(),
+            expiresAt: getAttemptExpiry(attempt)
+          }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+
+      res.json({ message: 'Progress saved', savedAt: draft.updatedAt });
+    } catch (err) {
+      console.error('Error saving draft:', err);
+      res.status(500).json({ message: 'Error saving progress', error: err.message });
+    }
+  }
+);
+
+// POST /api/attempts/draft/resume - Continue an unfinished attempt: the same questions
+// in the same order, the saved answers, and the time left on a timed quiz
+router.post(
+  '/draft/resume',
+  validateRequest({ body: findDraftBody }),
+  ...draftLimits,
+  async (req, res) => {
+    try {
+      const { phone, verificationToken, assessmentSlug } = req.body;
+
+      if (!await canAccessDrafts(phone, verificationToken)) {
+        return verificationRequired(res);
+      }
+
+      const assessment = await findActiveAssessment(assessmentSlug);
+      if (!assessment) {
+        return res.status(404).json({ message: 'Assessment not found' });
+      }
+
+      const draft = await findDraft(phone, assessment);
+      if (!draft) {
+        return res.status(404).json({ message: 'No unfinished quiz to resume', code: 'NO_DRAFT' });
+      }
+
+      const questionSet = await findQuestionSet(draft.questionSet);
+      const attempt = readAttempt(draft.attemptToken, questionSet);
+      if (!attempt || isPastDeadline(attempt) || getSecondsRemaining(attempt) === 0) {
+        await deleteDraft(phone, assessment._id);
+        return res.status(410).json({
+          message: 'This unfinished quiz can no longer be submitted. Please start again.',
+          code: 'DRAFT_EXPIRED'
+        });
+      }
+
+      res.json({
+        ...toAttemptResponse(assessment, questionSet, { ...attempt, token: draft.attemptToken }, draft.language),
+        secondsRemaining: getSecondsRemaining(attempt),
+        draft: {
+          attemptId: draft.attemptId,
+          answers: draft.answers,
+          currentQuestion: draft.currentQuestion,
+          elapsedSeconds: draft.elapsedSeconds,
+          questionTimeUsed: draft.questionTimeUsed,
+          updatedAt: draft.updatedAt
+        }
+      });
+    } catch (err) {
+      console.error('Error resuming draft:', err);
+      res.status(500).json({ message: 'Error resuming the quiz', error: err.message });
+    }
+  }
+);
+
+// DELETE /api/attempts/draft - Discard an unfinished attempt to start over
+router.delete(
+  '/draft',
+  validateRequest({ body: findDraftBody }),
+  ...draftLimits,
+  async (req, res) => {
+    try {
+      const { phone, verificationToken, assessmentSlug } = req.body;
+
+      if (!await canAccessDrafts(phone, verificationToken)) {
+        return verificationRequired(res);
+      }
+
+      const assessment = await findActiveAssessment(assessmentSlug);
+      if (assessment) {
+        await deleteDraft(phone, assessment._id);
+      }
+
+      res.json({ message: 'Unfinished quiz discarded' });
+    } catch (err) {
+      console.error('Error discarding draft:', err);
+      res.status(500).json({ message: 'Error discarding the unfinished quiz', error: err.message });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,23 @@
+import express from 'express';
+import { getDefaultAssessment } from '../utils/assessments.js';
+import { questionSetQuery, sendQuestionSet } from '../utils/quizAttempts.js';
+import { validateRequest } from '../utils/validation.js';
+
+const router = express.Router();
+
+// GET /api/questions?language=Hindi&phone=... - Start an attempt at the default assessment
+router.get('/', validateRequest({ query: questionSetQuery }), async (req, res) => {
+  try {
+    const assessment = await getDefaultAssessment();
+    if (!assessment) {
+      return res.status(404).json({ message: 'No questions available' });
+    }
+
+    await sendQuestionSet(res, assessment, req.query.language || 'English', { phone: req.query.phone });
+  } catch (err) {
+    console.error('Error fetching questions:', err);
+    res.status(500).json({ message: 'Error fetching questions', error: err.message });
+  }
+});
+
+export default router;
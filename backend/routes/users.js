@@ -1,123 +1,396 @@
 import express from 'express';
 import User from '../models/User.js';
+import Attempt from '../models/Attempt.js';
+import { addSubmission, findSubmissionByAttemptId, withSubmissions } from '../utils/submissions.js';
+import { gradeAttempt } from '../utils/scoring.js';
+import { findQuestionSet, toAnswerReview } from '../utils/questionSets.js';
+import { findActiveAssessment } from '../utils/assessments.js';
+import { isPastDeadline, readAttempt } from '../utils/attempts.js';
+import { getServerCompletion, getSubmittedAt, measureAttempt } from '../utils/attemptTiming.js';
+import Assessment from '../models/Assessment.js';
+import { authenticateAdmin, getUserScope } from '../utils/adminAuth.js';
+import { checkVerificationCode, isVerifiedPhone, sendVerificationCode } from '../utils/phoneVerification.js';
+import { byIp, byPhone, rateLimit } from '../utils/rateLimit.js';
+import { deleteDraft, findAttemptDraft, findDraftSummary, toSubmittedDraftAnswers } from '../utils/attemptDrafts.js';
+import {
+  array,
+  attemptId as attemptIdSchema,
+  boolean,
+  date,
+  language,
+  number,
+  object,
+  objectId,
+  phone,
+  string,
+  submittedAnswer,
+  validateRequest
+} from '../utils/validation.js';
 
 const router = express.Router();
 
-// POST /api/users - Create new user submission or add to existing user
-router.post('/', async (req, res) => {
-  try {
-    console.log('Received data:', req.body);
-    
-    const { name, phone, school, class: className, language, answers, completionTime } = req.body;
-    
-    // Validation
-    if (!name || !phone || !language) {
-      return res.status(400).json({ 
-        message: 'Name, phone and language are required',
-        received: { name, phone, language }
-      });
-    }
+const submissionSchema = object({
+  name: string({ min: 1, max: 100 }),
+  phone: phone(),
+  school: string({ optional: true, max: 200 }),
+  class: string({ optional: true, max: 50 }),
+  language: language(),
+  answers: array(submittedAnswer(), { optional: true, max: 500 }),
+  // Minutes the quiz counted. Not stored: durations are only measured by the server.
+  completionTime: number({ optional: true, nullable: true, min: 0 }),
+  // Seconds the quiz counted; checked against the server's own measure
+  elapsedSeconds: number({ optional: true, nullable: true, min: 0 }),
+  // When the quiz was finished on the device; only used for submissions queued offline
+  completedAt: date({ optional: true, nullable: true }),
+  // Queued on the device while it was offline and uploaded later
+  queued: boolean({ optional: true, nullable: true }),
+  questionSetId: objectId({ optional: true, nullable: true }),
+  assessmentSlug: string({ optional: true, nullable: true, max: 100 }),
+  attemptToken: string({ optional: true, nullable: true, max: 10000 }),
+  verificationToken: string({ optional: true, nullable: true, max: 1000 }),
+  // Generated by the quiz for each attempt; sending the same attempt again saves it once
+  attemptId: attemptIdSchema({ optional: true, nullable: true })
+});
 
-    // Generate a unique session ID for this submission
-    const sessionId = new Date().getTime().toString();
+// assessmentSlug names the quiz whose unfinished attempt (draft) is looked up
+const phoneBody = object({
+  phone: phone(),
+  verificationToken: string({ optional: true, nullable: true, max: 1000 }),
+  assessmentSlug: string({ optional: true, nullable: true, max: 100 })
+});
 
-    // Try to find existing user by phone number
-    let existingUser = await User.findOne({ phone: phone });
+const codeBody = object({
+  phone: phone(),
+  code: string({ pattern: /^\d{6}$/, patternMessage: 'must be the 6-digit code' }),
+  assessmentSlug: string({ optional: true, nullable: true, max: 100 })
+});
 
-    if (existingUser) {
-      // User exists - add new submission
-      console.log('Existing user found, adding new submission');
-      
-      const newSubmission = {
-        answers: answers || [],
-        submittedAt: new Date(),
-        completionTime: completionTime || null,
-        sessionId: sessionId,
-        score: 0 // You can calculate score here if needed
-      };
+// What a returning user sees about themselves once their phone is verified
+const toReturningProfile = (user) => ({
+  name: user.name,
+  phone: user.phone,
+  school: user.school,
+  class: user.class,
+  language: user.language,
+  totalAttempts: user.totalAttempts || 0,
+  lastSubmission: user.lastSubmission || user.updatedAt
+});
 
-      // Add new submission to submissions array
-      existingUser.submissions.push(newSubmission);
-      existingUser.totalAttempts = existingUser.submissions.length;
-      existingUser.lastSubmission = new Date();
-      
-      // Update other fields in case they changed
-      existingUser.name = name;
-      existingUser.school = school;
-      existingUser.class = className;
-      existingUser.language = language;
-      
-      // Also update the legacy answers field with latest submission
-      existingUser.answers = answers || [];
+// The answer review sent back after submitting, when the assessment shows one.
+// Only submissions graded against a question set can be reviewed.
+const getAnswerReview = (submission, assessment, questionSet) =>
+  assessment?.showAnswerReview && questionSet ? toAnswerReview(submission, questionSet) : undefined;
 
-      const savedUser = await existingUser.save();
-      console.log('Added new submission to existing user:', savedUser._id);
-      
-      return res.status(201).json({ 
-        message: `New submission added successfully! This is attempt #${savedUser.totalAttempts}`,
-        id: savedUser._id,
-        attemptNumber: savedUser.totalAttempts,
-        sessionId: sessionId,
-        isNewUser: false,
-        user: savedUser
-      });
+// Answer a submission that repeats an attempt already saved (a retry after a timeout,
+// a double click, an offline copy synced twice) the way the first one was answered
+const sendSavedAttempt = async (res, submission, phone) => {
+  const user = await User.findById(submission.user);
+  // Attempt ids are random, so another phone number using one is not a retry
+  if (!user || user.phone !== phone) {
+    return res.status(409).json({
+      message: 'This attempt id belongs to another submission.',
+      code: 'ATTEMPT_ID_CONFLICT'
+    });
+  }
 
-    } else {
-      // New user - create fresh entry
-      console.log('New user, creating fresh entry');
-      
-      const newSubmission = {
-        answers: answers || [],
-        submittedAt: new Date(),
-        completionTime: completionTime || null,
-        sessionId: sessionId,
-        score: 0
-      };
+  const [assessment, questionSet] = await Promise.all([
+    submission.assessment ? Assessment.findById(submission.assessment).lean() : null,
+    findQuestionSet(submission.questionSet)
+  ]);
 
-      const newUser = new User({
+  return res.status(200).json({
+    message: `Attempt #${submission.attemptNumber} was already saved`,
+    id: user._id,
+    submissionId: submission._id,
+    attemptNumber: submission.attemptNumber,
+    sessionId: submission.sessionId,
+    score: submission.score,
+    totalQuestions: submission.totalQuestions,
+    percentage: submission.percentage,
+    durationSeconds: submission.durationSeconds,
+    review: getAnswerReview(submission, assessment, questionSet),
+    isNewUser: submission.attemptNumber === 1,
+    duplicate: true,
+    user
+  });
+};
+
+// POST /api/users - Create new user submission or add to existing user
+router.post(
+  '/',
+  rateLimit('SUBMIT_IP', byIp, 'Too many quiz submissions from this network. Please try again later.'),
+  validateRequest({ body: submissionSchema }),
+  rateLimit('SUBMIT_PHONE', byPhone, 'Too many quiz submissions for this phone number. Please try again later.'),
+  async (req, res) => {
+    try {
+      const {
         name,
         phone,
         school,
         class: className,
         language,
-        submissions: [newSubmission],
-        totalAttempts: 1,
-        lastSubmission: new Date(),
-        answers: answers || [] // Legacy field
+        answers,
+        elapsedSeconds,
+        completedAt,
+        queued,
+        questionSetId,
+        assessmentSlug,
+        attemptToken,
+        verificationToken,
+        attemptId
+      } = req.body;
+
+      // Sending an attempt again returns what was saved the first time. This comes
+      // before the phone check: a first attempt creates the user, so a retry of it
+      // would otherwise be asked to verify the number.
+      if (attemptId) {
+        const previous = await findSubmissionByAttemptId(attemptId);
+        if (previous) return sendSavedAttempt(res, previous, phone);
+      }
+
+      // Generate a unique session ID for this submission
+      const sessionId = attemptId || new Date().getTime().toString();
+
+      // Grade the answers against the question set they were given, or the live bank
+      // for older clients that do not send one
+      const questionSet = await findQuestionSet(questionSetId);
+      if (questionSetId && !questionSet) {
+        return res.status(400).json({ message: 'Unknown question set' });
+      }
+
+      // Record the shuffled order the candidate saw. Older clients send no attempt token.
+      const receivedAt = new Date();
+      let attempt = null;
+      let completion = { completedAt: receivedAt, draft: null };
+      let submittedAt = receivedAt;
+      let draft = null;
+      if (attemptToken) {
+        attempt = readAttempt(attemptToken, questionSet);
+        if (!attempt) {
+          return res.status(400).json({ message: 'Invalid or expired attempt. Please restart the quiz.' });
+        }
+
+        // The deadline is checked against the server's clock, never the time the device
+        // reports; a late sync only counts with progress the server saved in time
+        draft = isPastDeadline(attempt, receivedAt.getTime()) || queued
+          ? await findAttemptDraft(phone, questionSet.assessment, attemptToken)
+          : null;
+        completion = getServerCompletion({ attempt, receivedAt, reportedCompletedAt: completedAt, draft });
+        if (!completion) {
+          return res.status(403).json({
+            message: 'Time is up. This attempt was submitted after its time limit.',
+            code: 'TIME_LIMIT_EXCEEDED'
+          });
+        }
+        submittedAt = completion.draft
+          ? completion.completedAt
+          : getSubmittedAt({ receivedAt, completedAt, queued, attempt });
+      }
+
+      // Attempts started with POST /api/attempts/start were recorded, so the server
+      // knows when they began. Their submission must name the same attempt.
+      let recordedAttempt = null;
+      if (attempt?.attemptId) {
+        if (attemptId !== attempt.attemptId) {
+          return res.status(400).json({
+            message: 'This submission does not match its attempt. Please restart the quiz.',
+            code: 'ATTEMPT_MISMATCH'
+          });
+        }
+        recordedAttempt = await Attempt.findById(attempt.attemptId).lean();
+        if (!recordedAttempt) {
+          return res.status(400).json({ message: 'Invalid or expired attempt. Please restart the quiz.' });
+        }
+      }
+      const attemptFields = attempt
+        ? {
+          seed: attempt.seed,
+          shownOrder: attempt.shownOrder,
+          selectedQuestionIds: attempt.questionIds,
+          startedAt: attempt.startedAt,
+          timeLimitSeconds: attempt.timeLimitSeconds || undefined
+        }
+        : {};
+
+      // When questions were drawn for the attempt, only those are graded and counted
+      const gradingLanguage = questionSet ? questionSet.language : language;
+      const submittedAnswers = completion.draft ? toSubmittedDraftAnswers(completion.draft, questionSet) : answers;
+      const { answers: gradedAnswers, score, totalQuestions, percentage } = await gradeAttempt(submittedAnswers, {
+        questionSet,
+        questionIds: attempt?.questionIds,
+        language
       });
+      const questionSetFields = questionSet
+        ? { questionSet: questionSet._id, questionSetVersion: questionSet.version }
+        : {};
 
-      const savedUser = await newUser.save();
-      console.log('New user created successfully:', savedUser._id);
-      
-      return res.status(201).json({ 
-        message: 'Welcome! Your first submission saved successfully',
+      // Recorded attempts are timed by the server, from their recorded start to when
+      // it counted them completed. A queued submission waited on the device, so it is
+      // timed to the last progress the server saved, or not at all without any. Other
+      // submissions have no server start time and store no duration.
+      const timedUntil = queued ? draft?.updatedAt : completion.completedAt;
+      const timing = recordedAttempt && timedUntil
+        ? measureAttempt({
+          startedAt: recordedAttempt.startedAt,
+          completedAt: timedUntil,
+          reportedSeconds: queued ? null : elapsedSeconds,
+          answers: gradedAnswers
+        })
+        : null;
+      const timingFields = timing
+        ? { ...timing, completionTime: Math.floor(timing.durationSeconds / 60) }
+        : { completionTime: null };
+
+      // The question set knows its assessment; older clients name it, or get the default one
+      const assessment = questionSet?.assessment
+        ? await Assessment.findById(questionSet.assessment).lean()
+        : await findActiveAssessment(assessmentSlug);
+      if (assessmentSlug && !assessment) {
+        return res.status(404).json({ message: 'Assessment not found' });
+      }
+      // A timed quiz can only be checked against the start time in its attempt token
+      if (!attempt && (assessment?.timeLimitSeconds || assessment?.questionTimeLimitSeconds)) {
+        return res.status(400).json({ message: 'This quiz is timed. Please restart the quiz.' });
+      }
+      const assessmentFields = assessment
+        ? { assessment: assessment._id, assessmentSlug: assessment.slug }
+        : {};
+
+      const verificationRequired = () => res.status(403).json({
+        message: 'Please verify your phone number before submitting.',
+        code: 'PHONE_VERIFICATION_REQUIRED'
+      });
+
+      // Try to find existing user by phone number
+      let existingUser = await User.findOne({ phone: phone });
+
+      // Only the owner of a phone number can add attempts to its history. The
+      // verification the attempt was taken with still counts when it arrives late.
+      const phoneVerified = isVerifiedPhone(verificationToken, phone, { attempt });
+      if (existingUser && !phoneVerified) {
+        return verificationRequired();
+      }
+
+      // Each user write is a single atomic update, so concurrent submissions cannot
+      // overwrite each other's changes
+      const profile = { name, school, class: className, language, updatedAt: new Date() };
+      let isNewUser = false;
+      if (existingUser) {
+        // User exists - update fields in case they changed
+        console.log('Existing user found, adding new submission');
+        existingUser = await User.findByIdAndUpdate(existingUser._id, { $set: profile }, { new: true });
+      } else {
+        // New user - create fresh entry, unless a concurrent request just did
+        console.log('New user, creating fresh entry');
+        const upsertUser = () => User.findOneAndUpdate(
+          { phone },
+          { $setOnInsert: { ...profile, phone } },
+          { upsert: true, new: true, setDefaultsOnInsert: true, includeResultMetadata: true }
+        );
+        let result;
+        try {
+          result = await upsertUser();
+        } catch (err) {
+          // Two upserts racing for a new number: the unique phone index lets one insert,
+          // and the other, retried, finds that user
+          if (err.code !== 11000) throw err;
+          result = await upsertUser();
+        }
+        existingUser = result.value;
+        isNewUser = !result.lastErrorObject?.updatedExisting;
+        if (!isNewUser && !phoneVerified) {
+          return verificationRequired();
+        }
+      }
+
+      let saved;
+      try {
+        saved = await addSubmission(existingUser._id, {
+          attemptId: attemptId || undefined,
+          answers: gradedAnswers,
+          ...timingFields,
+          sessionId: sessionId,
+          submittedAt,
+          score,
+          totalQuestions,
+          percentage,
+          language: gradingLanguage,
+          ...questionSetFields,
+          ...attemptFields,
+          ...assessmentFields
+        });
+      } catch (err) {
+        // Don't leave a user without submissions behind; retrying would ask them to verify
+        if (isNewUser) await User.deleteOne({ _id: existingUser._id, totalAttempts: 0 });
+        throw err;
+      }
+
+      if (saved.inProgress) {
+        return res.status(409).json({
+          message: 'This attempt is still being saved. Please try again in a moment.',
+          code: 'ATTEMPT_IN_PROGRESS'
+        });
+      }
+      if (saved.duplicate) {
+        // Saved under a user document created by a concurrent request for this number
+        if (isNewUser && !saved.submission.user.equals(existingUser._id)) {
+          await User.deleteOne({ _id: existingUser._id, totalAttempts: 0 });
+        }
+        return sendSavedAttempt(res, saved.submission, phone);
+      }
+      const { user: savedUser, submission } = saved;
+
+      // Keeps the recorded attempt; a failure here must not fail the submission
+      if (recordedAttempt) {
+        await Attempt.updateOne(
+          { _id: recordedAttempt._id },
+          { $set: { submittedAt, submission: submission._id }, $unset: { expiresAt: 1 } }
+        ).catch(err => console.error('Error marking attempt submitted:', err));
+      }
+
+      // The attempt is finished; a failure here must not fail the submission
+      if (assessment) {
+        await deleteDraft(phone, assessment._id).catch(err => console.error('Error deleting draft:', err));
+      }
+      console.log(`Saved attempt #${submission.attemptNumber} for user:`, savedUser._id);
+
+      return res.status(201).json({
+        message: isNewUser
+          ? 'Welcome! Your first submission saved successfully'
+          : `New submission added successfully! This is attempt #${submission.attemptNumber}`,
         id: savedUser._id,
-        attemptNumber: 1,
+        submissionId: submission._id,
+        attemptNumber: submission.attemptNumber,
         sessionId: sessionId,
-        isNewUser: true,
+        score,
+        totalQuestions,
+        percentage,
+        durationSeconds: submission.durationSeconds,
+        review: getAnswerReview(submission, assessment, questionSet),
+        isNewUser,
         user: savedUser
       });
+      
+    } catch (err) {
+      console.error('Error saving user:', err);
+      return res.status(500).json({ 
+        message: 'Server error while saving user data',
+        error: err.message 
+      });
     }
-    
-  } catch (err) {
-    console.error('Error saving user:', err);
-    return res.status(500).json({ 
-      message: 'Server error while saving user data',
-      error: err.message 
-    });
   }
-});
+);
 
-// GET /api/users - Get all users with their submissions
-router.get('/', async (req, res) => {
+// GET /api/users - Get all users the admin may see, with their submissions (admins only)
+router.get('/', authenticateAdmin, async (req, res) => {
   try {
-    const users = await User.find().sort({ updatedAt: -1 });
+    const users = await withSubmissions(await User.find(getUserScope(req.admin)).sort({ updatedAt: -1 }).lean());
     
     // Transform data to show submission details
     const usersWithStats = users.map(user => ({
-      ...user.toObject(),
-      submissionCount: user.submissions?.length || 0,
-      latestSubmission: user.submissions?.length > 0 
+      ...user,
+      submissionCount: user.submissions.length,
+      latestSubmission: user.submissions.length > 0 
         ? user.submissions[user.submissions.length - 1].submittedAt 
         : user.createdAt
     }));
@@ -129,17 +402,18 @@ router.get('/', async (req, res) => {
   }
 });
 
-// GET /api/users/:id - Get user by ID with all submissions
-router.get('/:id', async (req, res) => {
+// GET /api/users/:id - Get user by ID with all submissions (admins only)
+router.get('/:id', authenticateAdmin, validateRequest({ params: object({ id: objectId() }) }), async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
+    const user = await User.findOne({ _id: req.params.id, ...getUserScope(req.admin) }).lean();
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
     
+    const [withHistory] = await withSubmissions([user]);
     res.json({
-      ...user.toObject(),
-      submissionCount: user.submissions?.length || 0
+      ...withHistory,
+      submissionCount: withHistory.submissions.length
     });
   } catch (err) {
     console.error('Error fetching user:', err);
@@ -147,17 +421,18 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// GET /api/users/phone/:phone - Get user by phone number
-router.get('/phone/:phone', async (req, res) => {
+// GET /api/users/phone/:phone - Get user by phone number (admins only)
+router.get('/phone/:phone', authenticateAdmin, validateRequest({ params: object({ phone: phone() }) }), async (req, res) => {
   try {
-    const user = await User.findOne({ phone: req.params.phone });
+    const user = await User.findOne({ phone: req.params.phone, ...getUserScope(req.admin) }).lean();
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
     
+    const [withHistory] = await withSubmissions([user]);
     res.json({
-      ...user.toObject(),
-      submissionCount: user.submissions?.length || 0
+      ...withHistory,
+      submissionCount: withHistory.submissions.length
     });
   } catch (err) {
     console.error('Error fetching user by phone:', err);
@@ -165,41 +440,111 @@ router.get('/phone/:phone', async (req, res) => {
   }
 });
 
-// POST /api/users/check-existing - Check if user exists by phone
-router.post('/check-existing', async (req, res) => {
-  try {
-    const { phone } = req.body;
-    
-    if (!phone) {
-      return res.status(400).json({ message: 'Phone number is required' });
-    }
+// POST /api/users/check-existing - Check if a phone number has been used before.
+// The profile behind it, and any unfinished attempt, are only returned with a
+// verification token for that number.
+router.post(
+  '/check-existing',
+  rateLimit('CHECK_EXISTING_IP', byIp, 'Too many phone number checks from this network. Please try again later.'),
+  validateRequest({ body: phoneBody }),
+  rateLimit('CHECK_EXISTING_PHONE', byPhone, 'Too many checks for this phone number. Please try again later.'),
+  async (req, res) => {
+    try {
+      const { phone, verificationToken, assessmentSlug } = req.body;
 
-    const existingUser = await User.findOne({ phone });
-    
-    if (existingUser) {
+      const existingUser = await User.findOne({ phone });
+      
+      if (!existingUser) {
+        return res.json({
+          exists: false,
+          draft: await findDraftSummary(phone, assessmentSlug),
+          message: 'New user - ready for first attempt!'
+        });
+      }
+
+      if (!isVerifiedPhone(verificationToken, phone)) {
+        return res.json({
+          exists: true,
+          verificationRequired: true,
+          message: 'This number has been used before. Please verify it to continue.'
+        });
+      }
+
+      const user = toReturningProfile(existingUser);
       return res.json({
         exists: true,
-        user: {
-          name: existingUser.name,
-          phone: existingUser.phone,
-          school: existingUser.school,
-          class: existingUser.class,
-          language: existingUser.language,
-          totalAttempts: existingUser.totalAttempts || existingUser.submissions?.length || 0,
-          lastSubmission: existingUser.lastSubmission || existingUser.updatedAt
-        },
-        message: `Welcome back ${existingUser.name}! You have taken ${existingUser.totalAttempts || 0} attempts.`
+        user,
+        draft: await findDraftSummary(phone, assessmentSlug),
+        message: `Welcome back ${user.name}! You have taken ${user.totalAttempts} attempts.`
       });
-    } else {
-      return res.json({
-        exists: false,
-        message: 'New user - ready for first attempt!'
+    } catch (err) {
+      console.error('Error checking existing user:', err);
+      res.status(500).json({ message: 'Error checking user', error: err.message });
+    }
+  }
+);
+
+// POST /api/users/verify/send - Text a one-time code to a phone number
+router.post(
+  '/verify/send',
+  rateLimit('VERIFY_IP', byIp, 'Too many verification requests from this network. Please try again later.'),
+  validateRequest({ body: phoneBody }),
+  rateLimit('VERIFY_SEND_PHONE', byPhone, 'Too many codes requested for this phone number. Please try again later.'),
+  async (req, res) => {
+    try {
+      const { phone } = req.body;
+
+      const result = await sendVerificationCode(phone);
+      if (!result.sent) {
+        res.set('Retry-After', String(result.retryAfter));
+        return res.status(429).json({
+          message: `Please wait ${result.retryAfter} seconds before requesting another code.`,
+          code: 'RATE_LIMITED',
+          retryAfter: result.retryAfter
+        });
+      }
+
+      res.json({
+        message: 'Verification code sent',
+        expiresIn: result.expiresIn,
+        resendAfter: result.resendAfter
       });
+    } catch (err) {
+      console.error('Error sending verification code:', err);
+      res.status(500).json({ message: 'Could not send the verification code', error: err.message });
     }
-  } catch (err) {
-    console.error('Error checking existing user:', err);
-    res.status(500).json({ message: 'Error checking user', error: err.message });
   }
-});
+);
+
+// POST /api/users/verify/check - Check a one-time code. Returns a verification token,
+// any unfinished attempt and, for a returning user, their profile.
+router.post(
+  '/verify/check',
+  rateLimit('VERIFY_IP', byIp, 'Too many verification requests from this network. Please try again later.'),
+  validateRequest({ body: codeBody }),
+  rateLimit('VERIFY_CHECK_PHONE', byPhone, 'Too many codes tried for this phone number. Please try again later.'),
+  async (req, res) => {
+    try {
+      const { phone, code, assessmentSlug } = req.body;
+
+      const result = await checkVerificationCode(phone, code);
+      if (result.error) {
+        return res.status(400).json({ message: result.error });
+      }
+
+      const existingUser = await User.findOne({ phone });
+      res.json({
+        message: 'Phone number verified',
+        verificationToken: result.token,
+        exists: !!existingUser,
+        user: existingUser ? toReturningProfile(existingUser) : null,
+        draft: await findDraftSummary(phone, assessmentSlug)
+      });
+    } catch (err) {
+      console.error('Error checking verification code:', err);
+      res.status(500).json({ message: 'Error checking the verification code', error: err.message });
+    }
+  }
+);
 
 export default router;
\ No newline at end of file
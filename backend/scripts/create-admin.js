@@ -0,0 +1,53 @@
+// Create an admin account, or reset the password and role of an existing one.
+//
+// Usage: npm run admin:create -- <username> <password> [role] [school...]
+// role is super_admin (default), analyst or school_coordinator. Schools only
+// apply to school coordinators.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Admin, { ADMIN_ROLES } from '../models/Admin.js';
+import { MIN_PASSWORD_LENGTH, hashPassword } from '../utils/passwords.js';
+
+dotenv.config();
+
+const createAdmin = async () => {
+  const [username, password, role = ADMIN_ROLES.SUPER_ADMIN, ...schools] = process.argv.slice(2);
+
+  if (!username || !password) {
+    throw new Error('Usage: npm run admin:create -- <username> <password> [role] [school...]');
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`The password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (!Object.values(ADMIN_ROLES).includes(role)) {
+    throw new Error(`role must be one of: ${Object.values(ADMIN_ROLES).join(', ')}`);
+  }
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI environment variable is required');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`Connected to ${mongoose.connection.name}`);
+
+  const normalizedUsername = username.trim().toLowerCase();
+  const existing = await Admin.findOne({ username: normalizedUsername });
+  const admin = existing || new Admin({ username: normalizedUsername, name: username.trim() });
+
+  admin.passwordHash = await hashPassword(password);
+  admin.role = role;
+  admin.schools = schools;
+  admin.active = true;
+  if (existing) {
+    admin.sessionVersion = (admin.sessionVersion || 0) + 1;
+  }
+  await admin.save();
+
+  console.log(`${existing ? 'Updated' : 'Created'} ${role} "${admin.username}"`);
+};
+
+createAdmin()
+  .catch(error => {
+    console.error('Creating the admin failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,85 @@
+// One-off migration: fill in `optionId` on stored answers that only have the
+// translated option text, so answers can be compared across languages.
+// Answers that already have an optionId are left alone, so it is safe to re-run.
+// Reads the submissions collection: run `npm run data:reconcile -- normalize` first.
+//
+// Usage: npm run migrate:option-ids            (writes changes)
+//        npm run migrate:option-ids -- --dry-run (only reports)
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Submission from '../models/Submission.js';
+import User from '../models/User.js';
+import { resolveOptionId } from '../utils/options.js';
+import { loadAnswerKey } from '../utils/scoring.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+const stats = {
+  submissionsScanned: 0,
+  submissionsUpdated: 0,
+  answersMapped: 0,
+  answersUnresolved: 0
+};
+
+// Collect `$set` paths for every answer in `answers` that is missing its optionId
+const collectUpdates = (answers, basePath, language, answerKey, updates) => {
+  (answers || []).forEach((answer, index) => {
+    if (!answer || answer.optionId || !answer.answer) return;
+
+    const optionId = resolveOptionId(answerKey, answer.questionId, answer.answer, language);
+    if (!optionId) {
+      stats.answersUnresolved++;
+      console.warn(`  Unresolved answer "${answer.answer}" for question ${answer.questionId} (${language})`);
+      return;
+    }
+
+    updates[`${basePath}.${index}.optionId`] = optionId;
+    stats.answersMapped++;
+  });
+};
+
+const migrate = async () => {
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI environment variable is required');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`Connected to ${mongoose.connection.name}${dryRun ? ' (dry run)' : ''}`);
+
+  const answerKey = await loadAnswerKey();
+  if (Object.keys(answerKey.labels).length === 0) {
+    throw new Error('Question collection is empty - run `npm run seed:questions` first');
+  }
+
+  // Submissions saved before they recorded their language were taken in the user's
+  const users = await User.find({}, { language: 1 }).lean();
+  const userLanguages = Object.fromEntries(users.map(user => [user._id.toString(), user.language]));
+
+  const cursor = Submission.find({}, { user: 1, language: 1, answers: 1 }).lean().cursor();
+
+  for await (const submission of cursor) {
+    stats.submissionsScanned++;
+    const updates = {};
+    const language = submission.language || userLanguages[submission.user.toString()];
+
+    collectUpdates(submission.answers, 'answers', language, answerKey, updates);
+
+    if (Object.keys(updates).length === 0) continue;
+
+    stats.submissionsUpdated++;
+    if (!dryRun) {
+      await Submission.updateOne({ _id: submission._id }, { $set: updates });
+    }
+  }
+
+  console.log('Migration finished:', stats);
+};
+
+migrate()
+  .catch(error => {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,408 @@
+// Scan, report and normalize quiz data saved in older shapes into the current one.
+//
+// The users collection holds three older shapes:
+//   - from the first server (its schema was inline in server.js): `answers`,
+//     `completionTime` and `submittedAt` directly on the user, and no createdAt;
+//   - from models/User.js before submissions had their own collection: a
+//     `submissions` list, with `answers` repeating the latest attempt;
+//   - users with only the `answers` list.
+// Copies of old attempts made by the removed migrate:submissions script (flagged
+// isLegacy) are cleaned up once, first.
+// In the current shape every attempt is a document in the submissions collection,
+// graded and with the language it was taken in, each phone number belongs to one
+// user (users sharing one are merged, then the unique phone index is built), the
+// user's totalAttempts and lastSubmission match those documents, and
+// lastAttemptNumber is at least the highest attempt number among them.
+//
+// Resumable: a user is only cleared after their submissions are copied, copies keep
+// their _id (a user's single old attempt gets the user's _id), and every step
+// checks what is already done, so an interrupted run can simply be started again.
+//
+// Usage: npm run data:reconcile -- scan                   (counts records in each shape)
+//        npm run data:reconcile -- normalize --dry-run    (lists the changes, writes nothing)
+//        npm run data:reconcile -- normalize              (makes and lists the changes)
+// Add --report=<file> to also save the per-record changes as JSON.
+import { writeFile } from 'node:fs/promises';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+import Submission from '../models/Submission.js';
+import { loadAnswerKey, scoreAnswers } from '../utils/scoring.js';
+import { UNMIGRATED_USER_QUERY, findDuplicatePhones } from '../utils/submissions.js';
+
+dotenv.config();
+
+const COMMANDS = ['scan', 'normalize'];
+const command = process.argv[2];
+const dryRun = process.argv.includes('--dry-run');
+const reportFile = process.argv.find(arg => arg.startsWith('--report='))?.slice('--report='.length);
+
+// Submissions that are not yet in the current shape
+const UNNORMALIZED_SUBMISSION_QUERY = {
+  $or: [
+    { percentage: null },
+    { language: { $exists: false } }
+  ]
+};
+
+const OLD_USER_FIELDS = ['submissions', 'answers', 'completionTime', 'submittedAt'];
+
+const report = [];
+
+// Record (and print) the changes made to one document
+const recordChanges = (collection, id, changes) => {
+  if (changes.length === 0) return;
+  report.push({ collection, id: id.toString(), changes });
+  console.log(`  ${collection} ${id}: ${changes.join('; ')}`);
+};
+
+// When a user document was created; the first server did not store createdAt
+const getCreatedAt = (user) => user.createdAt || user.submittedAt || user._id.getTimestamp();
+
+const getShape = (user) => {
+  if (user.submissions?.length > 0) return 'embeddedSubmissions';
+  if ('completionTime' in user || 'submittedAt' in user) return 'inlineSchema';
+  if (user.answers?.length > 0) return 'answersOnly';
+  return 'emptyFields';
+};
+
+// The attempts stored on one raw user document, numbered from 1. While users had a
+// `submissions` list, `answers` only repeated the latest attempt, so it is an
+// attempt of its own only when the list is empty.
+const toSubmissions = (user) => {
+  const shape = getShape(user);
+
+  if (shape === 'embeddedSubmissions') {
+    return user.submissions.map((submission, index) => ({
+      ...submission,
+      _id: submission._id || new mongoose.Types.ObjectId(),
+      user: user._id,
+      attemptNumber: index + 1,
+      language: submission.language || user.language
+    }));
+  }
+
+  if (shape === 'inlineSchema' || shape === 'answersOnly') {
+    return [{
+      _id: user._id,
+      user: user._id,
+      attemptNumber: 1,
+      language: user.language,
+      answers: (user.answers || []).filter(answer => answer && typeof answer === 'object'),
+      completionTime: user.completionTime || undefined,
+      submittedAt: user.submittedAt || getCreatedAt(user)
+    }];
+  }
+
+  return [];
+};
+
+// Whether `stored` is the copy of `submission`
+const isCopyOf = (stored, submission) => stored._id.equals(submission._id);
+
+// Move attempts saved in the collection after submissions got their own collection
+// to after the copied ones. They go through negative numbers first so the unique
+// (user, attemptNumber) index never sees two equal.
+const renumberLaterAttempts = async (later, firstNumber) => {
+  for (const [index, submission] of later.entries()) {
+    await Submission.updateOne({ _id: submission._id }, { $set: { attemptNumber: -(index + 1) } });
+  }
+  for (const [index, submission] of later.entries()) {
+    await Submission.updateOne({ _id: submission._id }, { $set: { attemptNumber: firstNumber + index } });
+  }
+};
+
+// One-time cleanup after the earlier migrate:submissions script, since removed. It
+// copied a user's single old attempt into the submissions collection under a new id,
+// flagged isLegacy, and left the attempt on the user too. The copy is kept: the old
+// fields are removed from those users, who are then in the current shape, and the
+// flag from every copy. Returns the ids of those users.
+const cleanUpLegacyCopies = async () => {
+  const cleanedUsers = new Set();
+  for await (const copy of Submission.collection.find({ isLegacy: { $exists: true } })) {
+    const user = await User.collection.findOne({ _id: copy.user, ...UNMIGRATED_USER_QUERY });
+    const oldFields = user ? OLD_USER_FIELDS.filter(field => field in user) : [];
+    if (user && getShape(user) !== 'embeddedSubmissions') {
+      cleanedUsers.add(user._id.toString());
+      recordChanges('users', user._id, [`attempt already copied to submission ${copy._id}`, `removed ${oldFields.join(', ')}`]);
+      if (!dryRun) {
+        await User.collection.updateOne(
+          { _id: user._id },
+          {
+            $set: { createdAt: getCreatedAt(user) },
+            $unset: Object.fromEntries(oldFields.map(field => [field, '']))
+          }
+        );
+      }
+    }
+
+    recordChanges('submissions', copy._id, ['removed isLegacy']);
+    if (!dryRun) {
+      await Submission.collection.updateOne({ _id: copy._id }, { $unset: { isLegacy: '' } });
+    }
+  }
+  return cleanedUsers;
+};
+
+// Copy the attempts on a user document into the submissions collection and remove
+// the old fields from the user
+const normalizeUser = async (user) => {
+  const submissions = toSubmissions(user);
+  const stored = await Submission.find({ user: user._id }).sort({ attemptNumber: 1 }).lean();
+  const missing = submissions.filter(submission => !stored.some(copy => isCopyOf(copy, submission)));
+  const later = stored.filter(copy => !submissions.some(submission => isCopyOf(copy, submission)));
+  const oldFields = OLD_USER_FIELDS.filter(field => field in user);
+
+  const changes = [`${getShape(user)} shape`];
+  if (missing.length > 0) changes.push(`copied ${missing.length} submission(s) to the submissions collection`);
+  if (submissions.length > missing.length) changes.push(`${submissions.length - missing.length} submission(s) already copied`);
+  if (later.length > 0 && submissions.length > 0) {
+    changes.push(`renumbered ${later.length} later attempt(s) from #${submissions.length + 1}`);
+  }
+  if (!user.createdAt) changes.push('set createdAt');
+  changes.push(`removed ${oldFields.join(', ')}`);
+  recordChanges('users', user._id, changes);
+
+  if (dryRun) return;
+
+  if (later.length > 0 && submissions.length > 0) {
+    await renumberLaterAttempts(later, submissions.length + 1);
+  }
+  if (missing.length > 0) {
+    await Submission.insertMany(missing);
+  }
+  await User.collection.updateOne(
+    { _id: user._id },
+    {
+      $set: { createdAt: getCreatedAt(user) },
+      $unset: Object.fromEntries(oldFields.map(field => [field, '']))
+    }
+  );
+};
+
+// Grade, date and label a submission copied from an older shape
+const normalizeSubmission = async (submission, userLanguages, answerKey) => {
+  const changes = [];
+  const update = { $set: {}, $unset: {} };
+
+  const language = submission.language || userLanguages.get(submission.user.toString());
+  if (!submission.language && language) {
+    update.$set.language = language;
+    changes.push(`set language to ${language}`);
+  }
+
+  if (submission.percentage === undefined || submission.percentage === null) {
+    const { answers, score, totalQuestions, percentage } = scoreAnswers(submission.answers, language, answerKey);
+    Object.assign(update.$set, { answers, score, totalQuestions, percentage });
+    changes.push(`graded ${score}/${totalQuestions}`);
+  }
+
+  recordChanges('submissions', submission._id, changes);
+
+  if (dryRun || changes.length === 0) return;
+  await Submission.collection.updateOne(
+    { _id: submission._id },
+    Object.fromEntries(Object.entries(update).filter(([, fields]) => Object.keys(fields).length > 0))
+  );
+};
+
+const PROFILE_FIELDS = ['name', 'school', 'class', 'language'];
+
+// Merge the users sharing one phone number into the earliest created. Their attempts
+// move to it, numbered after its own, and it keeps the profile saved most recently.
+// Resumable: a duplicate is only removed once it has no attempts left.
+const mergeUsersWithPhone = async (phone) => {
+  const users = await User.collection.find({ phone }).toArray();
+  users.sort((a, b) => getCreatedAt(a) - getCreatedAt(b));
+  const [kept, ...duplicates] = users;
+  const latest = users.reduce((a, b) => ((b.updatedAt || getCreatedAt(b)) > (a.updatedAt || getCreatedAt(a)) ? b : a));
+
+  const highest = await Submission.findOne({ user: kept._id }).sort({ attemptNumber: -1 }).lean();
+  let nextNumber = Math.max(highest?.attemptNumber || 0, kept.lastAttemptNumber ?? kept.totalAttempts ?? 0) + 1;
+  const changes = [];
+
+  for (const duplicate of duplicates) {
+    const moved = await Submission.find({ user: duplicate._id }).sort({ submittedAt: 1, attemptNumber: 1 }).lean();
+    changes.push(`merged user ${duplicate._id} with ${moved.length} attempt(s)${moved.length > 0 ? ` as #${nextNumber}-#${nextNumber + moved.length - 1}` : ''}`);
+    if (dryRun) {
+      nextNumber += moved.length;
+      continue;
+    }
+    // Numbers above every attempt of the kept user, so the unique
+    // (user, attemptNumber) index never sees two equal
+    for (const submission of moved) {
+      await Submission.updateOne({ _id: submission._id }, { $set: { user: kept._id, attemptNumber: nextNumber++ } });
+    }
+    await User.collection.deleteOne({ _id: duplicate._id });
+  }
+
+  const profile = Object.fromEntries(
+    PROFILE_FIELDS.filter(field => latest[field] !== undefined && latest[field] !== kept[field]).map(field => [field, latest[field]])
+  );
+  if (Object.keys(profile).length > 0) changes.push(`took ${Object.keys(profile).join(', ')} from user ${latest._id}`);
+  recordChanges('users', kept._id, changes);
+
+  if (dryRun) return;
+  await User.collection.updateOne(
+    { _id: kept._id },
+    { $set: profile, $max: { lastAttemptNumber: nextNumber - 1 } }
+  );
+};
+
+// Merge every set of users sharing a phone number, then build the unique phone index
+const mergeDuplicatePhones = async () => {
+  for (const phone of await findDuplicatePhones()) {
+    await mergeUsersWithPhone(phone);
+  }
+  if (!dryRun) {
+    await User.syncIndexes();
+  }
+};
+
+// Each user's number of stored attempts and latest submission date
+const loadSubmissionTotals = async () => {
+  const totals = new Map();
+  const cursor = Submission.aggregate([
+    {
+      $group: {
+        _id: '$user',
+        count: { $sum: 1 },
+        latest: { $max: '$submittedAt' },
+        highestAttemptNumber: { $max: '$attemptNumber' }
+      }
+    }
+  ]).cursor();
+  for await (const total of cursor) {
+    totals.set(total._id.toString(), total);
+  }
+  return totals;
+};
+
+// Make every user's totalAttempts and lastSubmission match their stored attempts, and
+// make sure lastAttemptNumber is at least their highest attempt number so it is not issued again
+const reconcileUserTotals = async () => {
+  const totals = await loadSubmissionTotals();
+  const cursor = User.collection.find({}, {
+    projection: { totalAttempts: 1, lastAttemptNumber: 1, lastSubmission: 1, createdAt: 1 }
+  });
+
+  for await (const user of cursor) {
+    const total = totals.get(user._id.toString());
+    const totalAttempts = total?.count || 0;
+    const lastSubmission = total?.latest || user.createdAt;
+    const lastAttemptNumber = Math.max(user.lastAttemptNumber ?? user.totalAttempts ?? 0, total?.highestAttemptNumber || 0);
+    const changes = [];
+
+    if (user.totalAttempts !== totalAttempts) {
+      changes.push(`totalAttempts ${user.totalAttempts ?? 'missing'} -> ${totalAttempts}`);
+    }
+    if (user.lastAttemptNumber !== lastAttemptNumber) {
+      changes.push(`lastAttemptNumber ${user.lastAttemptNumber ?? 'missing'} -> ${lastAttemptNumber}`);
+    }
+    if (lastSubmission && user.lastSubmission?.getTime() !== lastSubmission.getTime()) {
+      changes.push(`lastSubmission -> ${lastSubmission.toISOString()}`);
+    }
+    recordChanges('users', user._id, changes);
+
+    // Conditional on the values read, so a submission saved meanwhile is not undone
+    if (!dryRun && changes.length > 0) {
+      await User.collection.updateOne(
+        { _id: user._id, totalAttempts: user.totalAttempts, lastAttemptNumber: user.lastAttemptNumber },
+        { $set: { totalAttempts, lastAttemptNumber, lastSubmission } }
+      );
+    }
+  }
+};
+
+const countMismatchedTotals = async (totals) => {
+  let mismatched = 0;
+  const cursor = User.collection.find({}, { projection: { totalAttempts: 1 } });
+  for await (const user of cursor) {
+    if (user.totalAttempts !== (totals.get(user._id.toString())?.count || 0)) mismatched++;
+  }
+  return mismatched;
+};
+
+const scan = async () => {
+  const shapes = { embeddedSubmissions: 0, inlineSchema: 0, answersOnly: 0, emptyFields: 0 };
+  const projection = Object.fromEntries(OLD_USER_FIELDS.map(field => [field, 1]));
+  for await (const user of User.collection.find(UNMIGRATED_USER_QUERY, { projection })) {
+    shapes[getShape(user)]++;
+  }
+
+  const totals = await loadSubmissionTotals();
+  const userIds = new Set((await User.distinct('_id')).map(id => id.toString()));
+  const orphaned = [...totals.keys()].filter(id => !userIds.has(id));
+
+  console.log('Users in an older shape:', shapes);
+  console.log('Submissions to normalize:', await Submission.collection.countDocuments(UNNORMALIZED_SUBMISSION_QUERY));
+  console.log('Copies made by migrate:submissions:', await Submission.collection.countDocuments({ isLegacy: { $exists: true } }));
+  console.log('Users whose attempt count does not match:', await countMismatchedTotals(totals));
+  console.log('Phone numbers shared by more than one user:', (await findDuplicatePhones()).length);
+  console.log(`Submissions of deleted users: ${orphaned.reduce((sum, id) => sum + totals.get(id).count, 0)} (left alone)`);
+};
+
+const normalize = async () => {
+  // Make sure the unique (user, attemptNumber) index exists before copying
+  if (!dryRun) {
+    await Submission.init();
+  }
+
+  console.log('Copies made by migrate:submissions:');
+  const cleanedUsers = await cleanUpLegacyCopies();
+
+  console.log('Users:');
+  for await (const user of User.collection.find(UNMIGRATED_USER_QUERY)) {
+    // Only left in an older shape by a dry run
+    if (cleanedUsers.has(user._id.toString())) continue;
+    await normalizeUser(user);
+  }
+
+  console.log('Submissions:');
+  const answerKey = await loadAnswerKey();
+  const users = await User.collection.find({}, { projection: { language: 1 } }).toArray();
+  const userLanguages = new Map(users.map(user => [user._id.toString(), user.language]));
+  for await (const submission of Submission.collection.find(UNNORMALIZED_SUBMISSION_QUERY)) {
+    await normalizeSubmission(submission, userLanguages, answerKey);
+  }
+
+  console.log('Users sharing a phone number:');
+  await mergeDuplicatePhones();
+
+  // A dry run has not copied anything, so the counts would all look wrong
+  if (!dryRun) {
+    console.log('Attempt counts:');
+    await reconcileUserTotals();
+  }
+
+  console.log(`${dryRun ? 'Would change' : 'Changed'} ${report.length} record(s)`);
+  if (reportFile) {
+    await writeFile(reportFile, JSON.stringify(report, null, 2));
+    console.log(`Report written to ${reportFile}`);
+  }
+};
+
+const run = async () => {
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`Usage: reconcile-data.js <${COMMANDS.join('|')}> [--dry-run] [--report=<file>]`);
+  }
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI environment variable is required');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`Connected to ${mongoose.connection.name}${dryRun ? ' (dry run)' : ''}`);
+
+  if (command === 'scan') {
+    await scan();
+  } else {
+    await normalize();
+  }
+};
+
+run()
+  .catch(error => {
+    console.error('Reconciliation failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
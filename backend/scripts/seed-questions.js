@@ -0,0 +1,29 @@
+// Seed the Question collection from data/questionBank.js, plus a default assessment.
+// Existing questions are left untouched, so this is safe to re-run.
+//
+// Usage: npm run seed:questions
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { seedDefaultAssessment, seedQuestionBank } from '../utils/seedQuestions.js';
+
+dotenv.config();
+
+const seed = async () => {
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI environment variable is required');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`Connected to ${mongoose.connection.name}`);
+
+  const inserted = await seedQuestionBank();
+  const assessmentCreated = await seedDefaultAssessment();
+  console.log(`Seeding finished: ${inserted} question(s) inserted${assessmentCreated ? ', default assessment created' : ''}`);
+};
+
+seed()
+  .catch(error => {
+    console.error('Seeding failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
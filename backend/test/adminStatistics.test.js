@@ -0,0 +1,25 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { STATISTICS_DEFAULT_DAYS, withDefaultDateRange } from '../utils/adminStatistics.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('withDefaultDateRange', () => {
+  const now = new Date('2026-03-31T12:00:00Z');
+
+  it('counts the last days up to now without a date range', () => {
+    const { dateFrom } = withDefaultDateRange({}, now);
+    assert.deepEqual(dateFrom, new Date(now.getTime() - STATISTICS_DEFAULT_DAYS * DAY_MS));
+  });
+
+  it('counts the days up to the end date when only that is given', () => {
+    const dateTo = new Date('2025-12-31T23:59:59.999Z');
+    const filters = withDefaultDateRange({ dateTo }, now);
+    assert.deepEqual(filters, { dateTo, dateFrom: new Date(dateTo.getTime() - STATISTICS_DEFAULT_DAYS * DAY_MS) });
+  });
+
+  it('keeps a start date that is given', () => {
+    const filters = { dateFrom: new Date('2020-01-01T00:00:00Z') };
+    assert.equal(withDefaultDateRange(filters, now), filters);
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { isVerifiedPhone } from '../utils/phoneVerification.js';
+import { signToken } from '../utils/tokens.js';
+
+process.env.TOKEN_SECRET = process.env.TOKEN_SECRET || 'test-secret';
+
+const HOUR_MS = 60 * 60 * 1000;
+const phone = '9876543210';
+
+// A verification token issued `hoursAgo` hours ago
+const verifiedAgo = (hoursAgo) => {
+  const now = Date.now();
+  mock.method(Date, 'now', () => now - hoursAgo * HOUR_MS);
+  const token = signToken('phone-verification', { phone });
+  mock.restoreAll();
+  return token;
+};
+
+describe('isVerifiedPhone', () => {
+  it('accepts a recent verification of the same number only', () => {
+    const token = verifiedAgo(1);
+    assert.equal(isVerifiedPhone(token, phone), true);
+    assert.equal(isVerifiedPhone(token, '9999999999'), false);
+  });
+
+  it('turns away a verification older than a day', () => {
+    assert.equal(isVerifiedPhone(verifiedAgo(30), phone), false);
+  });
+
+  it('accepts an older verification for an attempt started while it was valid', () => {
+    const attempt = { startedAt: new Date(Date.now() - 29 * HOUR_MS) };
+    assert.equal(isVerifiedPhone(verifiedAgo(30), phone, { attempt }), true);
+  });
+
+  it('does not stretch an old verification to an attempt started after it expired', () => {
+    const attempt = { startedAt: new Date(Date.now() - HOUR_MS) };
+    assert.equal(isVerifiedPhone(verifiedAgo(30), phone, { attempt }), false);
+  });
+});
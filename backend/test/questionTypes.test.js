@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isCorrectAnswer, toAnswerKey } from '../utils/questionTypes.js';
+
+const keyFor = (question) => toAnswerKey(question);
+
+describe('isCorrectAnswer', () => {
+  it('grades single and true/false questions by the chosen option', () => {
+    const key = keyFor({ type: 'single', correctOptionId: 'b' });
+    assert.equal(isCorrectAnswer({ optionId: 'b' }, key), true);
+    assert.equal(isCorrectAnswer({ optionId: 'a' }, key), false);
+    assert.equal(isCorrectAnswer({}, key), false);
+
+    const trueFalse = keyFor({ type: 'true_false', correctOptionId: 'true' });
+    assert.equal(isCorrectAnswer({ optionId: 'true' }, trueFalse), true);
+    assert.equal(isCorrectAnswer({ optionId: 'false' }, trueFalse), false);
+  });
+
+  it('treats a question without a type as single choice', () => {
+    assert.equal(isCorrectAnswer({ optionId: 'a' }, keyFor({ correctOptionId: 'a' })), true);
+  });
+
+  it('grades multiple choice by the set of options, in any order', () => {
+    const key = keyFor({ type: 'multiple', correctOptionIds: ['a', 'c'] });
+    assert.equal(isCorrectAnswer({ optionIds: ['c', 'a'] }, key), true);
+    assert.equal(isCorrectAnswer({ optionIds: ['a'] }, key), false);
+    assert.equal(isCorrectAnswer({ optionIds: ['a', 'c', 'd'] }, key), false);
+    assert.equal(isCorrectAnswer({ optionIds: [] }, key), false);
+  });
+
+  it('does not let a repeated option stand in for a missing one', () => {
+    const key = keyFor({ type: 'multiple', correctOptionIds: ['a', 'b'] });
+    assert.equal(isCorrectAnswer({ optionIds: ['a', 'a'] }, key), false);
+    assert.equal(isCorrectAnswer({ optionIds: ['a', 'b', 'b'] }, key), true);
+  });
+
+  it('grades ordering questions by the exact sequence', () => {
+    const key = keyFor({ type: 'ordering', correctOptionIds: ['a', 'b', 'c'] });
+    assert.equal(isCorrectAnswer({ optionIds: ['a', 'b', 'c'] }, key), true);
+    assert.equal(isCorrectAnswer({ optionIds: ['b', 'a', 'c'] }, key), false);
+    assert.equal(isCorrectAnswer({ optionIds: ['a', 'b'] }, key), false);
+  });
+
+  it('grades numeric answers within the tolerance', () => {
+    const key = keyFor({ type: 'numeric', numericAnswer: 3.5, tolerance: 0.1 });
+    assert.equal(isCorrectAnswer({ value: 3.6 }, key), true);
+    assert.equal(isCorrectAnswer({ value: ' 3.4 ' }, key), true);
+    assert.equal(isCorrectAnswer({ value: 3.7 }, key), false);
+    assert.equal(isCorrectAnswer({ value: '' }, key), false);
+    assert.equal(isCorrectAnswer({ value: 'abc' }, key), false);
+
+    const exact = keyFor({ type: 'numeric', numericAnswer: 0.3 });
+    assert.equal(isCorrectAnswer({ value: 0.1 + 0.2 }, exact), true);
+  });
+
+  it('grades text answers against the accepted answers, ignoring case and extra spaces', () => {
+    const key = keyFor({ type: 'text', acceptedAnswers: ['New Delhi', 'Delhi'] });
+    assert.equal(isCorrectAnswer({ value: '  new   delhi ' }, key), true);
+    assert.equal(isCorrectAnswer({ value: 'DELHI' }, key), true);
+    assert.equal(isCorrectAnswer({ value: 'Mumbai' }, key), false);
+    assert.equal(isCorrectAnswer({ value: '   ' }, key), false);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAnswerKey, gradeAttempt, scoreAnswers } from '../utils/scoring.js';
+
+const options = (...ids) => ids.map(id => ({ id, text: `Option ${id}` }));
+
+const bank = [
+  { questionId: 1, language: 'English', type: 'single', options: options('a', 'b'), correctOptionId: 'b' },
+  { questionId: 2, language: 'English', type: 'single', options: options('a', 'b'), correctOptionId: 'a' },
+  { questionId: 3, language: 'English', type: 'single', options: options('a', 'b'), correctOptionId: 'a', retired: true },
+  { questionId: 1, language: 'Hindi', type: 'single', options: [{ id: 'a', text: 'तीन' }, { id: 'b', text: 'चार' }], correctOptionId: 'b' }
+];
+const answerKey = createAnswerKey(bank);
+
+describe('scoreAnswers', () => {
+  it('grades each question once, by its first answer', () => {
+    const result = scoreAnswers([
+      { questionId: 1, optionId: 'a' },
+      { questionId: 1, optionId: 'b' },
+      { questionId: 2, optionId: 'a' },
+      { questionId: 2, optionId: 'a' }
+    ], 'English', answerKey);
+
+    assert.deepEqual(result.answers.map(answer => [answer.questionId, answer.optionId, answer.isCorrect]), [
+      [1, 'a', false],
+      [2, 'a', true]
+    ]);
+    assert.equal(result.score, 1);
+    assert.equal(result.totalQuestions, 2);
+  });
+
+  it('drops answers to questions the key does not have, and answers that are not objects', () => {
+    const result = scoreAnswers([{ questionId: 99, optionId: 'a' }, null, 'b', { questionId: 1, optionId: 'b' }], 'English', answerKey);
+    assert.deepEqual(result.answers.map(answer => answer.questionId), [1]);
+    assert.deepEqual([result.score, result.totalQuestions, result.percentage], [1, 2, 50]);
+  });
+
+  it('counts answered retired questions towards the total, and only those', () => {
+    const unanswered = scoreAnswers([{ questionId: 1, optionId: 'b' }], 'English', answerKey);
+    assert.equal(unanswered.totalQuestions, 2);
+
+    const answered = scoreAnswers([{ questionId: 1, optionId: 'b' }, { questionId: 3, optionId: 'a' }], 'English', answerKey);
+    assert.deepEqual([answered.score, answered.totalQuestions], [2, 3]);
+  });
+
+  it('falls back to the English key and totals for a language without questions', () => {
+    const result = scoreAnswers([{ questionId: 2, optionId: 'a' }], 'Marathi', answerKey);
+    assert.deepEqual([result.score, result.totalQuestions], [1, 2]);
+  });
+
+  it('uses the key and total of the answer language when it has them', () => {
+    const result = scoreAnswers([{ questionId: 1, optionId: 'b' }], 'Hindi', answerKey);
+    assert.deepEqual([result.score, result.totalQuestions, result.percentage], [1, 1, 100]);
+  });
+
+  it('matches answers saved as display text to their option', () => {
+    const result = scoreAnswers([{ questionId: 1, answer: 'चार' }], 'Hindi', answerKey);
+    assert.equal(result.answers[0].optionId, 'b');
+    assert.equal(result.answers[0].isCorrect, true);
+  });
+});
+
+describe('gradeAttempt', () => {
+  const questionSet = {
+    language: 'English',
+    questions: [
+      { questionId: 1, type: 'single', options: options('a', 'b'), correctOptionId: 'b' },
+      { questionId: 2, type: 'numeric', numericAnswer: 10, tolerance: 0.5 },
+      { questionId: 3, type: 'text', acceptedAnswers: ['Delhi'] }
+    ]
+  };
+
+  it('grades only the questions drawn for the attempt, out of those', async () => {
+    const result = await gradeAttempt([
+      { questionId: 1, optionId: 'b' },
+      { questionId: 2, value: '10.4' },
+      { questionId: 3, value: 'delhi' }
+    ], { questionSet, questionIds: [1, 2], language: 'Hindi' });
+
+    assert.deepEqual(result.answers.map(answer => [answer.questionId, answer.isCorrect]), [[1, true], [2, true]]);
+    assert.deepEqual([result.score, result.totalQuestions, result.percentage], [2, 2, 100]);
+  });
+});
@@ -0,0 +1,154 @@
+import { after, afterEach, before, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import mongoose from 'mongoose';
+import userRoutes from '../routes/users.js';
+import QuestionSet from '../models/QuestionSet.js';
+import AttemptDraft from '../models/AttemptDraft.js';
+import { signToken } from '../utils/tokens.js';
+import { getServerCompletion, getSubmittedAt, measureAttempt } from '../utils/attemptTiming.js';
+
+process.env.TOKEN_SECRET = process.env.TOKEN_SECRET || 'test-secret';
+
+const MINUTE_MS = 60 * 1000;
+
+const questionSet = {
+  _id: new mongoose.Types.ObjectId(),
+  assessment: new mongoose.Types.ObjectId(),
+  language: 'English',
+  version: 1,
+  questions: [{
+    questionId: 1,
+    type: 'single',
+    text: 'What is 2 + 2?',
+    options: [{ id: 'a', text: '3' }, { id: 'b', text: '4' }],
+    correctOptionId: 'b'
+  }]
+};
+
+// A one-minute attempt started ten minutes ago
+const startedAt = Date.now() - 10 * MINUTE_MS;
+const attemptToken = signToken('attempt', {
+  questionSetId: questionSet._id.toString(),
+  seed: 1,
+  startedAt,
+  timeLimitSeconds: 60,
+  shuffleQuestions: false,
+  shuffleOptions: false
+});
+
+const lean = (value) => () => ({ lean: async () => value });
+
+describe('POST /api/users deadline', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/users', userRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  afterEach(() => mock.restoreAll());
+
+  const submit = (completedAt) =>
+    fetch(`${baseUrl}/api/users`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        name: 'Asha',
+        phone: '9876543210',
+        language: 'English',
+        answers: [{ questionId: 1, optionId: 'b' }],
+        questionSetId: questionSet._id.toString(),
+        attemptToken,
+        completedAt: new Date(completedAt).toISOString()
+      })
+    });
+
+  it('rejects a late submission that reports an early completedAt', async () => {
+    mock.method(QuestionSet, 'findById', lean(questionSet));
+    mock.method(AttemptDraft, 'findOne', lean(null));
+
+    const response = await submit(startedAt + 30 * 1000);
+
+    assert.equal(response.status, 403);
+    assert.equal((await response.json()).code, 'TIME_LIMIT_EXCEEDED');
+  });
+
+  it('rejects a late submission whose progress was last saved after the deadline', async () => {
+    mock.method(QuestionSet, 'findById', lean(questionSet));
+    mock.method(AttemptDraft, 'findOne', lean({ attemptToken, answers: { 1: 'b' }, updatedAt: new Date(startedAt + 5 * MINUTE_MS) }));
+
+    const response = await submit(startedAt + 5 * MINUTE_MS);
+
+    assert.equal(response.status, 403);
+  });
+
+  it('rejects a late submission that reports finishing long after its progress was saved', async () => {
+    mock.method(QuestionSet, 'findById', lean(questionSet));
+    mock.method(AttemptDraft, 'findOne', lean({ attemptToken, answers: { 1: 'b' }, updatedAt: new Date(startedAt + 30 * 1000) }));
+
+    const response = await submit(startedAt + 8 * MINUTE_MS);
+
+    assert.equal(response.status, 403);
+  });
+});
+
+describe('getServerCompletion', () => {
+  const attempt = { startedAt: new Date(startedAt), timeLimitSeconds: 60 };
+
+  it('uses the time the submission arrived when it is on time', () => {
+    const receivedAt = new Date(startedAt + 50 * 1000);
+    const completion = getServerCompletion({ attempt, receivedAt, reportedCompletedAt: new Date(startedAt) });
+    assert.deepEqual(completion, { completedAt: receivedAt, draft: null });
+  });
+
+  it('counts a late sync as completed when the server saved its progress in time', () => {
+    const draft = { updatedAt: new Date(startedAt + 40 * 1000) };
+    const completion = getServerCompletion({
+      attempt,
+      receivedAt: new Date(),
+      reportedCompletedAt: new Date(startedAt + 45 * 1000),
+      draft
+    });
+    assert.deepEqual(completion, { completedAt: draft.updatedAt, draft });
+  });
+});
+
+describe('getSubmittedAt', () => {
+  const attempt = { startedAt: new Date(startedAt) };
+  const receivedAt = new Date();
+
+  it('dates an online submission when it arrived, whatever the device says', () => {
+    assert.equal(getSubmittedAt({ receivedAt, completedAt: new Date(startedAt), attempt }), receivedAt);
+  });
+
+  it('dates a queued submission when it was finished, within its attempt', () => {
+    const completedAt = new Date(startedAt + MINUTE_MS);
+    assert.deepEqual(getSubmittedAt({ receivedAt, completedAt, queued: true, attempt }), completedAt);
+    assert.deepEqual(getSubmittedAt({ receivedAt, completedAt: new Date(0), queued: true, attempt }), attempt.startedAt);
+    assert.deepEqual(getSubmittedAt({ receivedAt, completedAt: new Date(Date.now() + MINUTE_MS), queued: true, attempt }), receivedAt);
+  });
+
+  it('dates a queued submission without an attempt when it arrived', () => {
+    assert.equal(getSubmittedAt({ receivedAt, completedAt: new Date(0), queued: true, attempt: null }), receivedAt);
+  });
+});
+
+describe('measureAttempt', () => {
+  it('times an attempt from its start to when the server counted it completed', () => {
+    const timing = measureAttempt({
+      startedAt: new Date(startedAt),
+      completedAt: new Date(startedAt + 90 * 1000),
+      reportedSeconds: 85,
+      answers: [{ questionId: 1, optionId: 'b' }]
+    });
+    assert.deepEqual(timing, { durationSeconds: 90, timingFlags: [] });
+  });
+});
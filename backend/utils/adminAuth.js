@@ -0,0 +1,90 @@
+import Admin, { ADMIN_ROLES } from '../models/Admin.js';
+import { signToken, verifyToken } from './tokens.js';
+import { hashPassword } from './passwords.js';
+import { escapeRegExp } from './regex.js';
+
+const SESSION_TOKEN_PURPOSE = 'admin-session';
+export const SESSION_MAX_AGE_SECONDS = 12 * 60 * 60;
+
+// The admin fields that are safe to send to the browser
+export const toPublicAdmin = (admin) => ({
+  id: admin._id,
+  username: admin.username,
+  name: admin.name,
+  role: admin.role,
+  schools: admin.schools || [],
+  active: admin.active,
+  lastLoginAt: admin.lastLoginAt,
+  createdAt: admin.createdAt
+});
+
+// A signed session token for an admin who has just logged in
+export const createSessionToken = (admin) =>
+  signToken(SESSION_TOKEN_PURPOSE, {
+    adminId: admin._id.toString(),
+    sessionVersion: admin.sessionVersion || 0
+  });
+
+// Require a valid "Authorization: Bearer <token>" header. The admin is loaded on
+// every request so role changes and deactivations take effect immediately.
+export const authenticateAdmin = async (req, res, next) => {
+  try {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    const session = scheme === 'Bearer'
+      ? verifyToken(token, SESSION_TOKEN_PURPOSE, { maxAgeSeconds: SESSION_MAX_AGE_SECONDS })
+      : null;
+
+    const admin = session && await Admin.findById(session.adminId).lean();
+    if (!admin || !admin.active || (admin.sessionVersion || 0) !== session.sessionVersion) {
+      return res.status(401).json({ message: 'Please sign in to continue' });
+    }
+
+    req.admin = admin;
+    next();
+  } catch (err) {
+    console.error('Error checking admin session:', err);
+    res.status(500).json({ message: 'Error checking admin session', error: err.message });
+  }
+};
+
+// Only let the given roles through
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!req.admin || !roles.includes(req.admin.role)) {
+    return res.status(403).json({ message: 'You do not have permission to do this' });
+  }
+  next();
+};
+
+// Let every signed-in admin read, but only the given roles make changes
+export const requireRoleForWrites = (...roles) => (req, res, next) => {
+  if (req.method === 'GET' || req.method === 'HEAD') return next();
+  return requireRole(...roles)(req, res, next);
+};
+
+// The users an admin may see, as a User query. School coordinators only see
+// their own schools (matched case-insensitively); everyone else sees everything.
+export const getUserScope = (admin) => {
+  if (admin?.role !== ADMIN_ROLES.SCHOOL_COORDINATOR) return {};
+  return {
+    school: { $in: (admin.schools || []).map(school => new RegExp(`^${escapeRegExp(school.trim())}$`, 'i')) }
+  };
+};
+
+// First deploy: create a super-admin from ADMIN_USERNAME / ADMIN_PASSWORD when
+// there are no admin accounts yet. Returns the created admin, or null.
+export const ensureInitialAdmin = async () => {
+  if (await Admin.exists({})) return null;
+
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+    console.warn('No admin accounts exist; set ADMIN_USERNAME and ADMIN_PASSWORD or run npm run admin:create');
+    return null;
+  }
+
+  return Admin.create({
+    username: ADMIN_USERNAME,
+    name: ADMIN_USERNAME,
+    passwordHash: await hashPassword(ADMIN_PASSWORD),
+    role: ADMIN_ROLES.SUPER_ADMIN
+  });
+};
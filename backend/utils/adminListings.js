@@ -0,0 +1,213 @@
+import { escapeRegExp } from './regex.js';
+import User from '../models/User.js';
+import Submission from '../models/Submission.js';
+
+// Building blocks for the paged admin listings of users and submissions. Filtering,
+// sorting and paging all happen in MongoDB; only the requested page is loaded.
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+// Sort keys accepted by each listing, mapped to the field they sort on
+export const USER_SORT_FIELDS = {
+  latestSubmission: 'latestActivity',
+  createdAt: 'createdAt',
+  name: 'name',
+  school: 'school',
+  class: 'class',
+  language: 'language',
+  attempts: 'totalAttempts'
+};
+
+export const SUBMISSION_SORT_FIELDS = {
+  submittedAt: 'submittedAt',
+  name: 'userInfo.name',
+  school: 'userInfo.school',
+  class: 'userInfo.class',
+  language: 'userInfo.language',
+  percentage: 'percentage'
+};
+
+// Sort text case-insensitively
+export const LISTING_COLLATION = { locale: 'en', strength: 2 };
+
+// User fields shown next to each submission
+export const SUBMISSION_USER_FIELDS = { name: 1, phone: 1, school: 1, class: 1, language: 1, totalAttempts: 1 };
+
+const caseInsensitive = (value, { exact }) => {
+  const pattern = escapeRegExp(value.trim());
+  return new RegExp(exact ? `^${pattern}$` : pattern, 'i');
+};
+
+const dateRange = ({ dateFrom, dateTo }) => {
+  if (!dateFrom && !dateTo) return null;
+  const range = {};
+  if (dateFrom) range.$gte = dateFrom;
+  if (dateTo) range.$lte = dateTo;
+  return range;
+};
+
+// The Submission query for the date range and assessment filters. Submissions saved
+// before assessments existed belong to the default assessment.
+export const buildSubmissionMatch = (filters, assessment) => {
+  const conditions = {};
+  const range = dateRange(filters);
+  if (range) conditions.submittedAt = range;
+  if (assessment) {
+    conditions.assessment = assessment.isDefault ? { $in: [assessment._id, null] } : assessment._id;
+  }
+  return conditions;
+};
+
+const hasConditions = (query) => Object.keys(query).length > 0;
+
+// The User query for the admin's scope and the user-level filters, including the
+// number of attempts
+export const buildUserMatch = (scope, filters) => {
+  const conditions = [scope];
+
+  if (filters.language) conditions.push({ language: caseInsensitive(filters.language, { exact: true }) });
+  if (filters.school) conditions.push({ school: caseInsensitive(filters.school, { exact: false }) });
+  if (filters.class) conditions.push({ class: caseInsensitive(filters.class, { exact: true }) });
+  if (filters.search) {
+    const pattern = caseInsensitive(filters.search, { exact: false });
+    conditions.push({ $or: [{ name: pattern }, { phone: pattern }, { school: pattern }] });
+  }
+  if (filters.minAttempts !== undefined || filters.maxAttempts !== undefined) {
+    const range = {};
+    if (filters.minAttempts !== undefined) range.$gte = filters.minAttempts;
+    if (filters.maxAttempts !== undefined) range.$lte = filters.maxAttempts;
+    conditions.push({ totalAttempts: range });
+  }
+
+  return { $and: conditions };
+};
+
+// $lookup of the documents in `from` whose `foreignField` equals `localField` and
+// that match `match`
+const lookupMatching = ({ from, localField, foreignField, match, project, limit, as }) => ({
+  $lookup: {
+    from,
+    let: { key: `$${localField}` },
+    pipeline: [
+      { $match: { $expr: { $eq: [`$${foreignField}`, '$$key'] } } },
+      ...(hasConditions(match) ? [{ $match: match }] : []),
+      ...(limit ? [{ $limit: limit }] : []),
+      { $project: project }
+    ],
+    as
+  }
+});
+
+const getPaging = ({ page = 1, pageSize = DEFAULT_PAGE_SIZE }) => ({ page, pageSize, skip: (page - 1) * pageSize });
+
+// Sort keys default to ascending and the default sort to newest first. The tie-breakers
+// keep the order stable from page to page.
+const getSort = (sortFields, defaultSort, { sort, order }, tieBreakers) => {
+  const direction = (order || (sort ? 'asc' : 'desc')) === 'asc' ? 1 : -1;
+  const keys = [sortFields[sort || defaultSort], ...tieBreakers];
+  return Object.fromEntries(keys.map(key => [key, direction]));
+};
+
+export const toPagination = ({ page = 1, pageSize = DEFAULT_PAGE_SIZE }, total) => ({
+  page,
+  pageSize,
+  total,
+  totalPages: Math.max(1, Math.ceil(total / pageSize))
+});
+
+// Aggregation over User for one page of users. When filtering by date or assessment,
+// users must have a submission in the range and assessment. The facet returns
+// { total, users }.
+export const buildUserListingPipeline = (scope, filters, assessment) => {
+  const { pageSize, skip } = getPaging(filters);
+  const submission = buildSubmissionMatch(filters, assessment);
+
+  return [
+    { $match: buildUserMatch(scope, filters) },
+    { $project: { recentAttemptIds: 0 } },
+    ...(hasConditions(submission)
+      ? [
+        lookupMatching({
+          from: Submission.collection.name,
+          localField: '_id',
+          foreignField: 'user',
+          match: submission,
+          project: { _id: 1 },
+          limit: 1,
+          as: 'matchingSubmissions'
+        }),
+        { $match: { 'matchingSubmissions.0': { $exists: true } } },
+        { $project: { matchingSubmissions: 0 } }
+      ]
+      : []),
+    { $addFields: { latestActivity: { $ifNull: ['$lastSubmission', '$createdAt'] } } },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        users: [
+          { $sort: getSort(USER_SORT_FIELDS, 'latestSubmission', filters, ['_id']) },
+          { $skip: skip },
+          { $limit: pageSize }
+        ]
+      }
+    }
+  ];
+};
+
+// Aggregation over Submission for one page of submissions, each with its user's
+// fields as `userInfo`. The facet returns { total, submissions }.
+export const buildSubmissionListingPipeline = (scope, filters, assessment) => {
+  const { pageSize, skip } = getPaging(filters);
+  const userMatch = buildUserMatch(scope, filters);
+  const filtersUsers = hasConditions(scope) || userMatch.$and.length > 1;
+  const sort = getSort(SUBMISSION_SORT_FIELDS, 'submittedAt', filters, ['_id']);
+  const joinUser = [
+    lookupMatching({
+      from: User.collection.name,
+      localField: 'user',
+      foreignField: '_id',
+      match: filtersUsers ? userMatch : {},
+      project: SUBMISSION_USER_FIELDS,
+      as: 'userInfo'
+    }),
+    // Drops submissions whose user is filtered out (or was deleted)
+    { $unwind: '$userInfo' }
+  ];
+  const page = [{ $sort: sort }, { $skip: skip }, { $limit: pageSize }];
+
+  // Without user filters or a sort on user fields, only the page needs its users
+  const needsUserFirst = filtersUsers || Object.keys(sort)[0].startsWith('userInfo.');
+
+  return [
+    { $match: buildSubmissionMatch(filters, assessment) },
+    ...(needsUserFirst ? joinUser : []),
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        submissions: needsUserFirst ? page : [...page, ...joinUser]
+      }
+    }
+  ];
+};
+
+// Aggregation summarising every user in scope for the dashboard header
+export const buildUserSummaryPipeline = (scope, since) => [
+  { $match: scope },
+  {
+    $facet: {
+      totals: [{
+        $group: {
+          _id: null,
+          totalUsers: { $sum: 1 },
+          totalSubmissions: { $sum: '$totalAttempts' },
+          usersWithMultipleAttempts: { $sum: { $cond: [{ $gt: ['$totalAttempts', 1] }, 1, 0] } },
+          recentSubmissions: {
+            $sum: { $cond: [{ $gt: [{ $ifNull: ['$lastSubmission', '$createdAt'] }, since] }, 1, 0] }
+          }
+        }
+      }],
+      languages: [{ $group: { _id: '$language', count: { $sum: 1 } } }]
+    }
+  }
+];
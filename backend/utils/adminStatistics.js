@@ -0,0 +1,113 @@
+import User from '../models/User.js';
+import { buildSubmissionMatch } from './adminListings.js';
+
+// Statistics for the admin dashboard, computed by MongoDB over the submissions
+// collection. Only the submission dates and users are read, from the indexes that hold
+// them (see models/Submission.js), so the cost grows with the number of submissions in
+// the date range rather than with their answers. Without a start date only the last
+// STATISTICS_DEFAULT_DAYS are counted, so the cost does not grow with the whole
+// history; the whole pipeline is stopped after STATISTICS_MAX_TIME_MS.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const STATISTICS_MAX_TIME_MS = 30 * 1000;
+export const STATISTICS_DEFAULT_DAYS = 90;
+
+// The filters with a start date, STATISTICS_DEFAULT_DAYS before the end date (or now)
+// when none is given
+export const withDefaultDateRange = (filters, now = new Date()) => {
+  if (filters.dateFrom) return filters;
+  const end = filters.dateTo || now;
+  return { ...filters, dateFrom: new Date(end.getTime() - STATISTICS_DEFAULT_DAYS * DAY_MS) };
+};
+
+// "today" is the calendar day in this time zone unless the request names another
+export const getDefaultTimeZone = () => process.env.REPORT_TIMEZONE || 'UTC';
+
+// The calendar date of `date` in a time zone, as YYYY-MM-DD
+const toCalendarDate = (date, timeZone) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+
+const countWhen = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+// Aggregation over Submission for every user in scope with a submission matching the
+// filters (date range and assessment). Attempts only count matching submissions; the
+// time-based figures count users whose latest matching submission is recent.
+export const buildStatisticsPipeline = (scope, filters, assessment, { timeZone, now = new Date() }) => [
+  { $match: buildSubmissionMatch(filters, assessment) },
+  // Nothing else is read, so the match and group are covered by the indexes
+  { $project: { _id: 0, user: 1, submittedAt: 1 } },
+  {
+    $group: {
+      _id: '$user',
+      attempts: { $sum: 1 },
+      latest: { $max: '$submittedAt' }
+    }
+  },
+  {
+    // One _id index lookup per user
+    $lookup: {
+      from: User.collection.name,
+      localField: '_id',
+      foreignField: '_id',
+      pipeline: [
+        ...(Object.keys(scope).length > 0 ? [{ $match: scope }] : []),
+        { $project: { language: 1 } }
+      ],
+      as: 'user'
+    }
+  },
+  // Drops users outside the admin's scope (and submissions of deleted users)
+  { $unwind: '$user' },
+  {
+    $facet: {
+      overview: [{
+        $group: {
+          _id: null,
+          totalUsers: { $sum: 1 },
+          totalSubmissions: { $sum: '$attempts' },
+          singleAttempt: countWhen({ $eq: ['$attempts', 1] }),
+          multipleAttempts: countWhen({ $gt: ['$attempts', 1] }),
+          maxAttemptsByUser: { $max: '$attempts' },
+          today: countWhen({
+            $eq: [
+              { $dateToString: { format: '%Y-%m-%d', date: '$latest', timezone: timeZone } },
+              toCalendarDate(now, timeZone)
+            ]
+          }),
+          thisWeek: countWhen({ $gte: ['$latest', new Date(now.getTime() - 7 * DAY_MS)] }),
+          thisMonth: countWhen({ $gte: ['$latest', new Date(now.getTime() - 30 * DAY_MS)] })
+        }
+      }],
+      languages: [{ $group: { _id: '$user.language', count: { $sum: 1 } } }]
+    }
+  }
+];
+
+// Shape the aggregation result the way the dashboard reads it
+export const toStatistics = ({ overview: [overview = {}], languages }) => {
+  const totalUsers = overview.totalUsers || 0;
+  const totalSubmissions = overview.totalSubmissions || 0;
+
+  return {
+    overview: {
+      totalUsers,
+      totalSubmissions,
+      usersWithMultipleAttempts: overview.multipleAttempts || 0,
+      averageAttemptsPerUser: totalUsers > 0 ? (totalSubmissions / totalUsers).toFixed(2) : 0
+    },
+    languages: Object.fromEntries(
+      languages.filter(({ _id }) => _id).map(({ _id, count }) => [_id, count])
+    ),
+    timeBasedStats: {
+      today: overview.today || 0,
+      thisWeek: overview.thisWeek || 0,
+      thisMonth: overview.thisMonth || 0
+    },
+    submissionPatterns: {
+      singleAttempt: overview.singleAttempt || 0,
+      multipleAttempts: overview.multipleAttempts || 0,
+      maxAttemptsByUser: overview.maxAttemptsByUser || 0
+    }
+  };
+};
@@ -0,0 +1,49 @@
+import Assessment from '../models/Assessment.js';
+
+// The assessment served at / and /questions
+export const getDefaultAssessment = () =>
+  Assessment.findOne({ isDefault: true, status: 'active' }).lean();
+
+// An active assessment by its public slug, or the default one when no slug is given
+export const findActiveAssessment = (slug) => {
+  if (!slug) return getDefaultAssessment();
+  return Assessment.findOne({ slug: String(slug).toLowerCase(), status: 'active' }).lean();
+};
+
+// Public view of an assessment, safe to send to the quiz frontend
+export const toPublicAssessment = (assessment) => ({
+  slug: assessment.slug,
+  title: assessment.title,
+  description: assessment.description,
+  languages: assessment.languages,
+  questionCount: getQuestionCount(assessment),
+  timeLimitSeconds: getTimeLimitSeconds(assessment, getQuestionCount(assessment)),
+  questionTimeLimitSeconds: assessment.questionTimeLimitSeconds || null,
+  showAnswerReview: !!assessment.showAnswerReview
+});
+
+// Number of questions in one attempt: the size of the draw when questions are
+// picked from tagged pools, otherwise every question of the assessment
+export const getQuestionCount = (assessment) =>
+  assessment.selection?.length > 0
+    ? assessment.selection.reduce((total, rule) => total + rule.count, 0)
+    : assessment.questionIds.length;
+
+// Seconds allowed for a whole attempt of `questionCount` questions, or null when untimed.
+// Per-question limits also cap the attempt at the sum of the question limits.
+export const getTimeLimitSeconds = (assessment, questionCount) => {
+  const limits = [
+    assessment.timeLimitSeconds,
+    assessment.questionTimeLimitSeconds ? assessment.questionTimeLimitSeconds * questionCount : null
+  ].filter(limit => limit > 0);
+
+  return limits.length > 0 ? Math.min(...limits) : null;
+};
+
+// Whether a submission belongs to an assessment (no assessment means no filter).
+// Submissions saved before assessments existed belong to the default assessment.
+export const belongsToAssessment = (submission, assessment) => {
+  if (!assessment) return true;
+  if (!submission.assessment) return !!assessment.isDefault;
+  return submission.assessment.toString() === assessment._id.toString();
+};
@@ -0,0 +1,53 @@
+import AttemptDraft from '../models/AttemptDraft.js';
+import User from '../models/User.js';
+import { isVerifiedPhone } from './phoneVerification.js';
+import { findActiveAssessment } from './assessments.js';
+import { OPTION_TYPES, getQuestionType } from './questionTypes.js';
+
+// Drafts of a phone number that has been used before are only available to its
+// verified owner. New numbers are not verified, just like their first submission.
+export const canAccessDrafts = async (phone, verificationToken) =>
+  isVerifiedPhone(verificationToken, phone) || !(await User.exists({ phone }));
+
+export const findDraft = (phone, assessment) =>
+  AttemptDraft.findOne({ phone, assessment: assessment._id }).lean();
+
+// The draft saved for one attempt (the same attempt token), or null
+export const findAttemptDraft = (phone, assessmentId, attemptToken) =>
+  assessmentId ? AttemptDraft.findOne({ phone, assessment: assessmentId, attemptToken }).lean() : null;
+
+export const deleteDraft = (phone, assessmentId) =>
+  AttemptDraft.deleteOne({ phone, assessment: assessmentId });
+
+const isAnsweredValue = (value) =>
+  value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+
+// What the signup page shows about an unfinished attempt, or null when there is none
+export const toDraftSummary = (draft) => draft && {
+  answeredCount: Object.values(draft.answers || {}).filter(isAnsweredValue).length,
+  currentQuestion: draft.currentQuestion,
+  elapsedSeconds: draft.elapsedSeconds,
+  updatedAt: draft.updatedAt
+};
+
+// The summary of a phone number's draft for an assessment (the default one when no
+// slug is given)
+export const findDraftSummary = async (phone, assessmentSlug) => {
+  const assessment = await findActiveAssessment(assessmentSlug);
+  return assessment ? toDraftSummary(await findDraft(phone, assessment)) : null;
+};
+
+// A draft's answers, kept the way the quiz holds them (an option id, a list of option ids
+// or a typed value per question id), in the shape submissions send them
+export const toSubmittedDraftAnswers = (draft, questionSet) =>
+  questionSet.questions
+    .filter(question => isAnsweredValue(draft.answers?.[question.questionId]))
+    .map(question => {
+      const value = draft.answers[question.questionId];
+      const type = getQuestionType(question);
+      const base = { questionId: question.questionId, type };
+
+      if (Array.isArray(value)) return { ...base, optionIds: value.map(String) };
+      if (OPTION_TYPES.includes(type)) return { ...base, optionId: String(value) };
+      return { ...base, value };
+    });
@@ -0,0 +1,73 @@
+// How long attempts took, measured by the server, and timings that cannot be genuine.
+import { isPastDeadline } from './attempts.js';
+
+// Shortest believable time to read and answer one question
+const MIN_SECONDS_PER_ANSWER = 2;
+
+// Allowance for device clocks being a little off from the server's
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+// How soon after the server last saved an attempt's progress its device must say it
+// finished, for a late submission to count as finished then
+const LATE_SYNC_GRACE_SECONDS = 60;
+
+// Reasons a submission's timing is not believable (Submission.timingFlags)
+export const TIMING_FLAGS = {
+  TOO_FAST: 'too_fast', // Less than MIN_SECONDS_PER_ANSWER per answered question
+  REPORTED_TIME_TOO_LONG: 'reported_time_too_long' // The quiz claims more time than has passed since the start
+};
+
+// When a submission counts as submitted: when the server received it. One queued on
+// a device that was offline is dated when the quiz was finished there, but only
+// within its attempt, between the attempt's start and the submission's arrival.
+// Without an attempt token there is nothing to check that time against, so it is
+// dated on arrival too.
+export const getSubmittedAt = ({ receivedAt, completedAt, queued, attempt }) => {
+  if (!queued || !completedAt || !attempt) return receivedAt;
+  return new Date(Math.min(receivedAt.getTime(), Math.max(attempt.startedAt.getTime(), completedAt.getTime())));
+};
+
+// When a timed attempt counts as completed for its deadline, by the server's clock.
+// Normally that is when the submission arrived (`receivedAt`). A submission arriving
+// after the deadline, synced late from a device that lost its connection, counts as
+// completed when the server last saved its progress, but only when that draft is of
+// this attempt and was saved before the deadline, and the device says it finished
+// within LATE_SYNC_GRACE_SECONDS of it. The draft's answers are then the ones graded,
+// so nothing changed after the deadline counts.
+// Returns { completedAt, draft } (draft only when it was used), or null when too late.
+export const getServerCompletion = ({ attempt, receivedAt, reportedCompletedAt, draft }) => {
+  if (!isPastDeadline(attempt, receivedAt.getTime())) {
+    return { completedAt: receivedAt, draft: null };
+  }
+
+  const draftSavedAt = draft?.updatedAt;
+  if (!draftSavedAt || !reportedCompletedAt || isPastDeadline(attempt, draftSavedAt.getTime())) return null;
+
+  const reported = reportedCompletedAt.getTime();
+  const finishedSoonAfterSave = reported >= draftSavedAt.getTime() - CLOCK_TOLERANCE_SECONDS * 1000
+    && reported <= draftSavedAt.getTime() + LATE_SYNC_GRACE_SECONDS * 1000;
+  return finishedSoonAfterSave ? { completedAt: draftSavedAt, draft } : null;
+};
+
+// Whether a graded answer has anything in it
+const hasAnswer = (answer) =>
+  Boolean(answer.optionId || answer.optionIds?.length > 0 || (answer.value !== undefined && answer.value !== null && answer.value !== ''));
+
+// The time an attempt took from its recorded start to when the server counted it
+// completed (see getServerCompletion), in seconds, and the timing flags that apply.
+// Both ends are server times; the time the device reports finishing is never used.
+// `reportedSeconds` is the time the quiz itself counted, when sent.
+export const measureAttempt = ({ startedAt, completedAt, reportedSeconds, answers = [] }) => {
+  const durationSeconds = Math.max(0, Math.round((completedAt.getTime() - startedAt.getTime()) / 1000));
+  const answeredCount = answers.filter(hasAnswer).length;
+  const timingFlags = [];
+
+  if (answeredCount > 0 && durationSeconds < answeredCount * MIN_SECONDS_PER_ANSWER) {
+    timingFlags.push(TIMING_FLAGS.TOO_FAST);
+  }
+  if (reportedSeconds !== undefined && reportedSeconds !== null && reportedSeconds > durationSeconds + CLOCK_TOLERANCE_SECONDS) {
+    timingFlags.push(TIMING_FLAGS.REPORTED_TIME_TOO_LONG);
+  }
+
+  return { durationSeconds, timingFlags };
+};
@@ -0,0 +1,100 @@
+import { signToken, verifyToken } from './tokens.js';
+import { createSeed, getShownOrder } from './shuffle.js';
+import { drawQuestionIds } from './questionSelection.js';
+import { getTimeLimitSeconds } from './assessments.js';
+
+const ATTEMPT_TOKEN_PURPOSE = 'attempt';
+// Long enough for submissions queued on an offline device to be synced
+const ATTEMPT_MAX_AGE_SECONDS = 7 * 24 * 60 * 60;
+
+// Allowance past a time limit for the auto-submit request to reach the server
+const SUBMISSION_GRACE_SECONDS = 30;
+
+const getShuffleSettings = (assessment) => ({
+  shuffleQuestions: assessment.shuffleQuestions !== false,
+  shuffleOptions: assessment.shuffleOptions !== false
+});
+
+// The questions of a set that are part of an attempt (all of them when none were drawn)
+const getAttemptQuestions = (questionSet, questionIds) =>
+  questionIds
+    ? questionSet.questions.filter(question => questionIds.includes(question.questionId))
+    : questionSet.questions;
+
+// Start an attempt at a question set: pick a random seed, draw the questions when the
+// assessment selects from tagged pools, and work out the order the candidate will see.
+// `seenQuestionIds` are avoided where possible. The time limit is fixed when the attempt
+// starts, so editing the assessment does not affect attempts in progress.
+// `attemptId` ties the token to an attempt recorded by POST /api/attempts/start.
+// The returned token is sent back with the submission.
+export const startAttempt = (assessment, questionSet, { seenQuestionIds = new Set(), attemptId } = {}) => {
+  const seed = createSeed();
+  const settings = getShuffleSettings(assessment);
+  const questionIds = assessment.selection?.length > 0
+    ? drawQuestionIds(questionSet.questions, assessment.selection, seenQuestionIds, seed)
+    : undefined;
+  const questions = getAttemptQuestions(questionSet, questionIds);
+  const timeLimitSeconds = getTimeLimitSeconds(assessment, questions.length);
+  const startedAt = new Date();
+  const token = signToken(ATTEMPT_TOKEN_PURPOSE, {
+    ...(attemptId && { attemptId }),
+    questionSetId: questionSet._id.toString(),
+    seed,
+    questionIds,
+    startedAt: startedAt.getTime(),
+    timeLimitSeconds,
+    ...settings
+  });
+
+  return {
+    attemptId,
+    seed,
+    questionIds,
+    shownOrder: getShownOrder(questions, seed, settings),
+    startedAt,
+    timeLimitSeconds,
+    token
+  };
+};
+
+// Check a submitted attempt token against the question set being graded and
+// recompute the order that was shown. Returns null when the token is invalid.
+// attemptId is null for attempts that were not recorded (older clients, quizzes
+// saved for offline use).
+export const readAttempt = (token, questionSet) => {
+  const attempt = verifyToken(token, ATTEMPT_TOKEN_PURPOSE, { maxAgeSeconds: ATTEMPT_MAX_AGE_SECONDS });
+  if (!attempt || !questionSet || attempt.questionSetId !== questionSet._id.toString()) return null;
+
+  return {
+    attemptId: attempt.attemptId || null,
+    seed: attempt.seed,
+    questionIds: attempt.questionIds,
+    shownOrder: getShownOrder(getAttemptQuestions(questionSet, attempt.questionIds), attempt.seed, attempt),
+    startedAt: new Date(attempt.startedAt ?? attempt.iat),
+    timeLimitSeconds: attempt.timeLimitSeconds || null
+  };
+};
+
+// The last moment an attempt can be submitted: the end of its time limit (plus a
+// short grace period), or when its token expires
+const getSubmissionDeadline = (attempt) => {
+  const tokenExpiry = attempt.startedAt.getTime() + ATTEMPT_MAX_AGE_SECONDS * 1000;
+  if (!attempt.timeLimitSeconds) return tokenExpiry;
+  return Math.min(tokenExpiry, attempt.startedAt.getTime() + (attempt.timeLimitSeconds + SUBMISSION_GRACE_SECONDS) * 1000);
+};
+
+// Whether an attempt is submitted after its time limit (plus a short grace period)
+export const isPastDeadline = (attempt, now = Date.now()) => {
+  if (!attempt.timeLimitSeconds) return false;
+  return now > getSubmissionDeadline(attempt);
+};
+
+// When a saved, unsubmitted attempt becomes useless
+export const getAttemptExpiry = (attempt) => new Date(getSubmissionDeadline(attempt));
+
+// Seconds left of an attempt's time limit, or null when it is untimed
+export const getSecondsRemaining = (attempt, now = Date.now()) => {
+  if (!attempt.timeLimitSeconds) return null;
+  const end = attempt.startedAt.getTime() + attempt.timeLimitSeconds * 1000;
+  return Math.max(0, Math.floor((end - now) / 1000));
+};
@@ -0,0 +1,2 @@
+// Languages the quiz is offered in
+export const LANGUAGES = ['English', 'Hindi', 'Tamil', 'Telugu', 'Kannada', 'Marathi'];
@@ -0,0 +1,58 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Public URL prefix the media directory is served under
+export const MEDIA_URL_PATH = '/media';
+
+export const MAX_MEDIA_BYTES = 5 * 1024 * 1024; // 5 MB
+
+// Accepted content types per kind of media, with the file extension to store them under
+const MEDIA_TYPES = {
+  image: {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp'
+  },
+  audio: {
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/aac': 'aac',
+    'audio/ogg': 'ogg',
+    'audio/wav': 'wav',
+    'audio/x-wav': 'wav',
+    'audio/webm': 'webm'
+  }
+};
+
+export const MEDIA_KINDS = Object.keys(MEDIA_TYPES);
+
+// Read at call time, since dotenv is loaded after the imports are evaluated
+export const getMediaDir = () => process.env.MEDIA_DIR || path.join(__dirname, '..', 'uploads');
+
+export const isAllowedMediaType = (kind, contentType) => !!MEDIA_TYPES[kind]?.[contentType];
+
+export const getAllowedMediaTypes = (kind) => Object.keys(MEDIA_TYPES[kind] || {});
+
+// Write an uploaded file to the media directory under a new, unique name.
+// Files are never overwritten or deleted, because question sets keep
+// referencing the media that was shown when they were created.
+export const saveMedia = async (kind, contentType, data) => {
+  const extension = MEDIA_TYPES[kind][contentType];
+  const filename = `${kind}-${crypto.randomUUID()}.${extension}`;
+  const mediaDir = getMediaDir();
+
+  await fs.mkdir(mediaDir, { recursive: true });
+  await fs.writeFile(path.join(mediaDir, filename), data);
+
+  return {
+    url: `${MEDIA_URL_PATH}/${filename}`,
+    contentType,
+    size: data.length,
+    uploadedAt: new Date()
+  };
+};
@@ -0,0 +1,20 @@
+const normalize = (value) => (value ?? '').toString().trim().toLowerCase();
+
+// Find the stable option id for an answer that was stored as display text.
+// The answer's own language is tried first, then every other language.
+// Returns null when the text does not match any known option.
+export const resolveOptionId = (answerKey, questionId, text, language) => {
+  const labels = answerKey.labels[questionId];
+  const wanted = normalize(text);
+  if (!labels || !wanted) return null;
+
+  const inLanguage = labels.find(label => label.language === language && normalize(label.text) === wanted);
+  if (inLanguage) return inLanguage.id;
+
+  const inAnyLanguage = labels.find(label => normalize(label.text) === wanted);
+  return inAnyLanguage ? inAnyLanguage.id : null;
+};
+
+// The option id an answer refers to, resolving legacy text-only answers
+export const getAnswerOptionId = (answer, language, answerKey) =>
+  answer.optionId || resolveOptionId(answerKey, answer.questionId, answer.answer, language);
@@ -0,0 +1,24 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+export const MIN_PASSWORD_LENGTH = 8;
+
+// Hash a password with scrypt and a random salt. Stored as "scrypt:<salt>:<hash>".
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(String(password), salt, KEY_LENGTH);
+  return `scrypt:${salt}:${hash.toString('hex')}`;
+};
+
+// Check a password against a stored hash in constant time
+export const verifyPassword = async (password, storedHash) => {
+  const [scheme, salt, hash] = String(storedHash || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
@@ -0,0 +1,91 @@
+import crypto from 'crypto';
+import PhoneVerification from '../models/PhoneVerification.js';
+import { signToken, verifyToken } from './tokens.js';
+import { sendSms } from './sms.js';
+
+const CODE_LENGTH = 6;
+const CODE_TTL_SECONDS = 10 * 60;
+const RESEND_AFTER_SECONDS = 60;
+const MAX_CODE_ATTEMPTS = 5;
+
+const VERIFICATION_TOKEN_PURPOSE = 'phone-verification';
+// Long enough to finish an attempt started right after verifying
+const VERIFICATION_MAX_AGE_SECONDS = 24 * 60 * 60;
+
+const hashCode = (phone, code) =>
+  crypto.createHash('sha256').update(`${phone}:${code}`).digest('hex');
+
+const createCode = () => crypto.randomInt(0, 10 ** CODE_LENGTH).toString().padStart(CODE_LENGTH, '0');
+
+// Text a new one-time code to a phone number, replacing any earlier code.
+// Returns { sent: true, expiresIn } or { sent: false, retryAfter } when asked again too soon.
+export const sendVerificationCode = async (phone) => {
+  const existing = await PhoneVerification.findOne({ phone }).lean();
+  if (existing) {
+    const waited = (Date.now() - existing.sentAt.getTime()) / 1000;
+    if (waited < RESEND_AFTER_SECONDS) {
+      return { sent: false, retryAfter: Math.ceil(RESEND_AFTER_SECONDS - waited) };
+    }
+  }
+
+  const code = createCode();
+  const now = new Date();
+  await PhoneVerification.findOneAndUpdate(
+    { phone },
+    {
+      $set: {
+        codeHash: hashCode(phone, code),
+        attempts: 0,
+        sentAt: now,
+        expiresAt: new Date(now.getTime() + CODE_TTL_SECONDS * 1000)
+      }
+    },
+    { upsert: true }
+  );
+
+  await sendSms(phone, `Your quiz verification code is ${code}. It expires in ${CODE_TTL_SECONDS / 60} minutes.`);
+  return { sent: true, expiresIn: CODE_TTL_SECONDS, resendAfter: RESEND_AFTER_SECONDS };
+};
+
+// Check a code. Returns { token } on success, or { error } explaining why not.
+// A code works once, and stops working after too many wrong guesses. Each guess is
+// counted atomically before it is compared, so parallel guesses cannot share one count.
+export const checkVerificationCode = async (phone, code) => {
+  const now = new Date();
+  const verification = await PhoneVerification.findOneAndUpdate(
+    { phone, expiresAt: { $gt: now }, attempts: { $lt: MAX_CODE_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  ).lean();
+  if (!verification) {
+    const existing = await PhoneVerification.findOne({ phone, expiresAt: { $gt: now } }).lean();
+    return existing
+      ? { error: 'Too many wrong codes. Please request a new one.' }
+      : { error: 'This code has expired. Please request a new one.' };
+  }
+
+  const expected = Buffer.from(verification.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(phone, String(code).trim()), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return { error: 'That code is not correct.' };
+  }
+
+  // Only the request that removes the code gets a token
+  const { deletedCount } = await PhoneVerification.deleteOne({ _id: verification._id, codeHash: verification.codeHash });
+  if (deletedCount !== 1) {
+    return { error: 'This code has already been used. Please request a new one.' };
+  }
+  return { token: signToken(VERIFICATION_TOKEN_PURPOSE, { phone }) };
+};
+
+// Whether a verification token proves ownership of this phone number. With the
+// `attempt` being submitted, a token that was still valid when that attempt started
+// counts for as long as the attempt can be submitted, so a submission queued on a
+// device that was offline is not turned away once its verification is a day old.
+export const isVerifiedPhone = (token, phone, { attempt } = {}) => {
+  const verification = verifyToken(token, VERIFICATION_TOKEN_PURPOSE);
+  if (!verification || !phone || verification.phone !== String(phone)) return false;
+
+  const validUntil = verification.iat + VERIFICATION_MAX_AGE_SECONDS * 1000;
+  return validUntil >= Date.now() || Boolean(attempt && validUntil >= attempt.startedAt.getTime());
+};
@@ -0,0 +1,51 @@
+import User from '../models/User.js';
+import Submission from '../models/Submission.js';
+import { belongsToAssessment } from './assessments.js';
+import { createRandom, shuffle } from './shuffle.js';
+
+// Question ids a phone number has already been asked in an assessment
+export const getSeenQuestionIds = async (phone, assessment) => {
+  const seen = new Set();
+  if (!phone) return seen;
+
+  const userIds = await User.distinct('_id', { phone: String(phone) });
+  if (userIds.length === 0) return seen;
+
+  const submissions = await Submission.find(
+    { user: { $in: userIds } },
+    { assessment: 1, selectedQuestionIds: 1, 'answers.questionId': 1 }
+  ).lean();
+
+  submissions
+    .filter(submission => belongsToAssessment(submission, assessment))
+    .forEach(submission => {
+      const questionIds = submission.selectedQuestionIds
+        || (submission.answers || []).map(answer => answer?.questionId);
+      questionIds.filter(id => id !== undefined && id !== null).forEach(id => seen.add(Number(id)));
+    });
+
+  return seen;
+};
+
+// Draw the questions for one attempt. Each rule takes `count` questions carrying
+// its tag, preferring ones the candidate has not seen before; a question is never
+// drawn twice. When a pool is too small, fewer questions are drawn.
+// Returns question ids in the question set's order.
+export const drawQuestionIds = (questions, rules, seenQuestionIds, seed) => {
+  const random = createRandom(seed);
+  const chosen = new Set();
+
+  rules.forEach(rule => {
+    const pool = questions.filter(question =>
+      !chosen.has(question.questionId) && (question.tags || []).includes(rule.tag)
+    );
+    const unseen = shuffle(pool.filter(question => !seenQuestionIds.has(question.questionId)), random);
+    const seenBefore = shuffle(pool.filter(question => seenQuestionIds.has(question.questionId)), random);
+
+    [...unseen, ...seenBefore]
+      .slice(0, rule.count)
+      .forEach(question => chosen.add(question.questionId));
+  });
+
+  return questions.filter(question => chosen.has(question.questionId)).map(question => question.questionId);
+};
@@ -0,0 +1,171 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Question from '../models/Question.js';
+import QuestionSet from '../models/QuestionSet.js';
+import { ANSWER_KEY_FIELDS, describeAnswer, describeCorrectAnswer, getQuestionType } from './questionTypes.js';
+import { applyShownOrder } from './shuffle.js';
+
+const loadActiveQuestions = (assessment, language) =>
+  Question.find({ questionId: { $in: assessment.questionIds }, language, retired: false })
+    .sort({ order: 1, questionId: 1 })
+    .lean();
+
+// Two sets are the same when they contain the same questions, in the same order, at the same
+// revisions and with the same tags. Untagged questions keep the signature they had before tags.
+const getSignature = (questions) =>
+  crypto
+    .createHash('sha1')
+    .update(questions.map(question => {
+      const tags = [...(question.tags || [])].sort().join(',');
+      return `${question.questionId}:${question.revision || 1}${tags ? `:${tags}` : ''}`;
+    }).join('|'))
+    .digest('hex');
+
+const toSnapshot = (question) => ({
+  questionId: question.questionId,
+  revision: question.revision || 1,
+  type: getQuestionType(question),
+  tags: question.tags || [],
+  text: question.text,
+  image: question.image,
+  audio: question.audio,
+  options: question.options,
+  explanation: question.explanation,
+  ...Object.fromEntries(ANSWER_KEY_FIELDS.map(field => [field, question[field]]))
+});
+
+// The language to serve: the requested one when the assessment offers it,
+// otherwise English, otherwise the assessment's first language
+const resolveLanguage = (assessment, requestedLanguage) => {
+  const languages = assessment.languages?.length > 0 ? assessment.languages : ['English'];
+  if (languages.includes(requestedLanguage)) return requestedLanguage;
+  return languages.includes('English') ? 'English' : languages[0];
+};
+
+// Return the question set an assessment currently serves for a language, creating
+// a new version when the bank has changed since the last one. Falls back to English
+// when the language has no questions. Returns null when there are none at all.
+export const getCurrentQuestionSet = async (assessment, requestedLanguage) => {
+  let language = resolveLanguage(assessment, requestedLanguage);
+  let questions = await loadActiveQuestions(assessment, language);
+
+  if (questions.length === 0 && language !== 'English') {
+    language = 'English';
+    questions = await loadActiveQuestions(assessment, language);
+  }
+  if (questions.length === 0) return null;
+
+  const signature = getSignature(questions);
+
+  // Concurrent requests may race to create the next version, so retry a few times
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const existing = await QuestionSet.findOne({ assessment: assessment._id, language, signature }).lean();
+    if (existing) return existing;
+
+    const latest = await QuestionSet.findOne({ assessment: assessment._id, language }).sort({ version: -1 }).lean();
+
+    try {
+      const created = await QuestionSet.create({
+        assessment: assessment._id,
+        language,
+        signature,
+        version: (latest?.version || 0) + 1,
+        questions: questions.map(toSnapshot)
+      });
+      return created.toObject();
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+  }
+
+  throw new Error(`Could not create a question set for ${language}`);
+};
+
+// Load a question set by id, or null for a missing or malformed id
+export const findQuestionSet = async (id) => {
+  if (!id || !mongoose.Types.ObjectId.isValid(id)) return null;
+  return QuestionSet.findById(id).lean();
+};
+
+// Load every question set referenced by a list of submissions, keyed by id
+export const loadQuestionSetsFor = async (submissions) => {
+  const ids = [...new Set(
+    submissions
+      .map(submission => submission.questionSet?.toString())
+      .filter(Boolean)
+  )];
+  if (ids.length === 0) return {};
+
+  const sets = await QuestionSet.find({ _id: { $in: ids } }).lean();
+  return Object.fromEntries(sets.map(set => [set._id.toString(), set]));
+};
+
+// Attach to every answer the question exactly as the candidate saw it:
+// its wording, the options shown (in the order shown) and the correct answer at that moment.
+// Shuffled attempts list their answers in the order the questions were shown,
+// each with its 1-based `position`.
+// Submissions without a question set (saved before versioning) are returned as is.
+export const withQuestionSnapshots = (submission, questionSetsById) => {
+  const questionSet = questionSetsById[submission.questionSet?.toString()];
+  if (!questionSet) return submission;
+
+  const questions = submission.shownOrder?.length > 0
+    ? applyShownOrder(questionSet.questions, submission.shownOrder)
+    : questionSet.questions;
+  const snapshots = Object.fromEntries(questions.map(question => [question.questionId, question]));
+  const positions = Object.fromEntries(questions.map((question, index) => [question.questionId, index + 1]));
+
+  const answers = (submission.answers || []).map(answer => {
+    const snapshot = snapshots[answer.questionId];
+    if (!snapshot) return answer;
+
+    return {
+      ...answer,
+      position: positions[answer.questionId],
+      shown: {
+        revision: snapshot.revision,
+        type: getQuestionType(snapshot),
+        question: snapshot.text,
+        options: snapshot.options,
+        correctOptionId: snapshot.correctOptionId,
+        correctOptionIds: snapshot.correctOptionIds || [],
+        correctAnswer: describeCorrectAnswer(snapshot)
+      }
+    };
+  });
+
+  return {
+    ...submission,
+    questionSetVersion: questionSet.version,
+    questionSetLanguage: questionSet.language,
+    answers: submission.shownOrder?.length > 0
+      ? [...answers].sort((a, b) => (a.position ?? Infinity) - (b.position ?? Infinity))
+      : answers
+  };
+};
+
+// The answer review a candidate sees after submitting: every question of the attempt
+// in the order it was shown, with their answer, the correct answer and its explanation,
+// all in the language of the question set. Unanswered questions have an empty answer.
+export const toAnswerReview = (submission, questionSet) => {
+  const drawnIds = submission.selectedQuestionIds?.length > 0 ? submission.selectedQuestionIds : null;
+  const drawn = drawnIds
+    ? questionSet.questions.filter(question => drawnIds.includes(question.questionId))
+    : questionSet.questions;
+  const questions = submission.shownOrder?.length > 0 ? applyShownOrder(drawn, submission.shownOrder) : drawn;
+  const answers = Object.fromEntries((submission.answers || []).map(answer => [answer.questionId, answer]));
+
+  return questions.map((question, index) => {
+    const answer = answers[question.questionId];
+    return {
+      position: index + 1,
+      questionId: question.questionId,
+      type: getQuestionType(question),
+      question: question.text,
+      answer: describeAnswer(answer, question),
+      correctAnswer: describeCorrectAnswer(question),
+      isCorrect: !!answer?.isCorrect,
+      explanation: question.explanation || ''
+    };
+  });
+};
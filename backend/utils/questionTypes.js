@@ -0,0 +1,155 @@
+// Question types and the rule each one is graded by.
+//
+// single      one option; answer.optionId must equal correctOptionId
+// multiple    any number of options; answer.optionIds must be exactly correctOptionIds (any order)
+// true_false  two options (true/false); graded like single
+// numeric     answer.value must be within tolerance of numericAnswer
+// text        answer.value must match one of acceptedAnswers, ignoring case and extra spaces
+// ordering    answer.optionIds must list every option in the order of correctOptionIds
+export const QUESTION_TYPES = ['single', 'multiple', 'true_false', 'numeric', 'text', 'ordering'];
+
+// Types whose answers are option ids
+export const OPTION_TYPES = ['single', 'multiple', 'true_false', 'ordering'];
+
+// Fields that make up the answer key of a question. Never sent to the quiz frontend.
+export const ANSWER_KEY_FIELDS = ['correctOptionId', 'correctOptionIds', 'numericAnswer', 'tolerance', 'acceptedAnswers'];
+
+export const getQuestionType = (question) => (QUESTION_TYPES.includes(question?.type) ? question.type : 'single');
+
+const normalizeText = (value) => String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || !value.trim()) return NaN;
+  return Number(value.trim());
+};
+
+// Pick the answer key of a question, with the type filled in
+export const toAnswerKey = (question) => ({
+  type: getQuestionType(question),
+  correctOptionId: question.correctOptionId,
+  correctOptionIds: question.correctOptionIds || [],
+  numericAnswer: question.numericAnswer,
+  tolerance: question.tolerance || 0,
+  acceptedAnswers: question.acceptedAnswers || []
+});
+
+// Check that a question's options and answer key fit its type.
+// Returns an error message, or null when the question is valid.
+export const validateAnswerKey = (question) => {
+  const type = question.type ?? 'single';
+  if (!QUESTION_TYPES.includes(type)) {
+    return `type must be one of: ${QUESTION_TYPES.join(', ')}`;
+  }
+
+  const optionIds = (question.options || []).map(option => option.id);
+  const correctOptionIds = question.correctOptionIds || [];
+
+  if (OPTION_TYPES.includes(type) && optionIds.length < 2) {
+    return 'At least two options are required';
+  }
+
+  switch (type) {
+    case 'single':
+    case 'true_false':
+      if (type === 'true_false' && optionIds.length !== 2) return 'True/false questions need exactly two options';
+      if (!optionIds.includes(question.correctOptionId)) return 'correctOptionId must match one of the options';
+      return null;
+    case 'multiple':
+      if (correctOptionIds.length === 0) return 'correctOptionIds must list at least one option';
+      if (new Set(correctOptionIds).size !== correctOptionIds.length) return 'correctOptionIds must be unique';
+      if (correctOptionIds.some(id => !optionIds.includes(id))) return 'correctOptionIds must match the options';
+      return null;
+    case 'ordering':
+      if (correctOptionIds.length !== optionIds.length
+        || new Set(correctOptionIds).size !== correctOptionIds.length
+        || correctOptionIds.some(id => !optionIds.includes(id))) {
+        return 'correctOptionIds must list every option once, in the correct order';
+      }
+      return null;
+    case 'numeric':
+      if (typeof question.numericAnswer !== 'number' || !Number.isFinite(question.numericAnswer)) {
+        return 'numericAnswer must be a number';
+      }
+      if (question.tolerance !== undefined && question.tolerance !== null
+        && (typeof question.tolerance !== 'number' || !(question.tolerance >= 0))) {
+        return 'tolerance must be zero or a positive number';
+      }
+      return null;
+    case 'text':
+      if (!Array.isArray(question.acceptedAnswers) || !question.acceptedAnswers.some(answer => normalizeText(answer))) {
+        return 'acceptedAnswers must list at least one answer';
+      }
+      return null;
+    default:
+      return null;
+  }
+};
+
+// Repeated ids count once, so ['x', 'x'] never matches ['x', 'y']
+const sameSet = (a, b) => {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  return setA.size === setB.size && [...setA].every(id => setB.has(id));
+};
+const sameSequence = (a, b) => a.length === b.length && a.every((id, index) => id === b[index]);
+
+const SCORING_RULES = {
+  single: (answer, key) => !!answer.optionId && answer.optionId === key.correctOptionId,
+  true_false: (answer, key) => !!answer.optionId && answer.optionId === key.correctOptionId,
+  multiple: (answer, key) => answer.optionIds.length > 0 && sameSet(answer.optionIds, key.correctOptionIds),
+  ordering: (answer, key) => answer.optionIds.length > 0 && sameSequence(answer.optionIds, key.correctOptionIds),
+  numeric: (answer, key) => {
+    const value = toNumber(answer.value);
+    return Number.isFinite(value) && typeof key.numericAnswer === 'number'
+      && Math.abs(value - key.numericAnswer) <= (key.tolerance || 0) + 1e-9; // Allow for floating point error
+  },
+  text: (answer, key) => {
+    const value = normalizeText(answer.value);
+    return !!value && key.acceptedAnswers.some(accepted => normalizeText(accepted) === value);
+  }
+};
+
+// Grade one answer against the answer key of its question
+export const isCorrectAnswer = (answer, key) => {
+  const rule = SCORING_RULES[key.type] || SCORING_RULES.single;
+  return rule({ ...answer, optionIds: Array.isArray(answer.optionIds) ? answer.optionIds : [] }, key);
+};
+
+// The correct answer of a question as display text
+export const describeCorrectAnswer = (question) => {
+  const key = toAnswerKey(question);
+  const optionText = (id) => (question.options || []).find(option => option.id === id)?.text || id;
+
+  switch (key.type) {
+    case 'multiple':
+      return key.correctOptionIds.map(optionText).join(', ');
+    case 'ordering':
+      return key.correctOptionIds.map(optionText).join(' → ');
+    case 'numeric':
+      return key.tolerance > 0 ? `${key.numericAnswer} (± ${key.tolerance})` : String(key.numericAnswer ?? '');
+    case 'text':
+      return key.acceptedAnswers.join(' / ');
+    default:
+      return key.correctOptionId ? optionText(key.correctOptionId) : '';
+  }
+};
+
+// A candidate's answer to a question as display text, or '' when it was left unanswered.
+// Answers saved without option ids fall back to the text the candidate was shown.
+export const describeAnswer = (answer, question) => {
+  if (!answer) return '';
+  const optionText = (id) => (question.options || []).find(option => option.id === id)?.text || id;
+
+  switch (getQuestionType(question)) {
+    case 'multiple':
+      return (answer.optionIds || []).map(optionText).join(', ');
+    case 'ordering':
+      return (answer.optionIds || []).map(optionText).join(' → ');
+    case 'numeric':
+    case 'text':
+      return answer.value === undefined || answer.value === null ? '' : String(answer.value);
+    default:
+      return answer.optionId ? optionText(answer.optionId) : answer.answer || '';
+  }
+};
@@ -0,0 +1,80 @@
+// Starting an attempt at an assessment's current question set, and the response that
+// hands it to the quiz. Shared by the routes that serve questions.
+import { getCurrentQuestionSet } from './questionSets.js';
+import { toPublicAssessment } from './assessments.js';
+import { getQuestionType } from './questionTypes.js';
+import { startAttempt } from './attempts.js';
+import { applyShownOrder } from './shuffle.js';
+import { getSeenQuestionIds } from './questionSelection.js';
+import { language, object, phone } from './validation.js';
+
+// Query of the routes that start an attempt: ?language=Tamil&phone=9876543210
+export const questionSetQuery = object({
+  language: language({ optional: true }),
+  phone: phone({ optional: true })
+});
+
+// Media URLs are only included when the question or option has them
+const toPublicMedia = ({ image, audio }) => ({
+  ...(image?.url && { image: image.url }),
+  ...(audio?.url && { audio: audio.url })
+});
+
+// Shape a question for the quiz frontend. The correct answer is never included.
+export const toPublicQuestion = (question) => ({
+  id: question.questionId,
+  type: getQuestionType(question),
+  q: question.text,
+  ...toPublicMedia(question),
+  options: (question.options || []).map(option => ({
+    id: option.id,
+    text: option.text,
+    ...toPublicMedia(option)
+  }))
+});
+
+// The response that starts or resumes an attempt: the question set in the attempt's
+// shuffled order. The returned questionSetId and attemptToken must be sent back
+// with the submission.
+export const toAttemptResponse = (assessment, questionSet, attempt, requestedLanguage) => {
+  const questions = applyShownOrder(questionSet.questions, attempt.shownOrder);
+
+  return {
+    assessment: toPublicAssessment(assessment),
+    questionSetId: questionSet._id,
+    attemptToken: attempt.token,
+    startedAt: attempt.startedAt,
+    timeLimitSeconds: attempt.timeLimitSeconds,
+    questionTimeLimitSeconds: assessment.questionTimeLimitSeconds || null,
+    version: questionSet.version,
+    language: questionSet.language,
+    requestedLanguage,
+    count: questions.length,
+    questions: questions.map(toPublicQuestion)
+  };
+};
+
+// Start an attempt at the current question set of an assessment for a language.
+// Assessments with selection rules only draw questions the phone number has not seen,
+// where possible. Resolves to { questionSet, attempt }, or null without questions.
+export const startQuestionSetAttempt = async (assessment, requestedLanguage, { phone, attemptId } = {}) => {
+  const questionSet = await getCurrentQuestionSet(assessment, requestedLanguage);
+  if (!questionSet) return null;
+
+  const seenQuestionIds = assessment.selection?.length > 0
+    ? await getSeenQuestionIds(phone, assessment)
+    : new Set();
+  return { questionSet, attempt: startAttempt(assessment, questionSet, { seenQuestionIds, attemptId }) };
+};
+
+// Respond with the current question set of an assessment for a language, starting a
+// new attempt that is not recorded (see POST /api/attempts/start for one that is)
+export const sendQuestionSet = async (res, assessment, requestedLanguage, { phone } = {}) => {
+  const started = await startQuestionSetAttempt(assessment, requestedLanguage, { phone });
+
+  if (!started) {
+    return res.status(404).json({ message: 'No questions available' });
+  }
+
+  res.json(toAttemptResponse(assessment, started.questionSet, started.attempt, requestedLanguage));
+};
@@ -0,0 +1,113 @@
+// Fixed-window rate limits for the public endpoints.
+//
+// A store counts requests per key: { hit(key, windowMs) } resolving to
+// { count, resetAt } where resetAt is when the key's window ends (ms). The default
+// store keeps counters in this process; when running several servers, pass a shared
+// store (e.g. one backed by Redis) to setRateLimitStore().
+//
+// Each limit can be changed with an environment variable holding "max/windowSeconds",
+// e.g. RATE_LIMIT_SUBMIT_IP=200/3600. A max of 0 turns the limit off.
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+export const createMemoryStore = () => {
+  const windows = new Map();
+
+  // Drop finished windows so the map does not grow with every address seen
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    windows.forEach((window, key) => {
+      if (window.resetAt <= now) windows.delete(key);
+    });
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return {
+    hit: async (key, windowMs) => {
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return { count: window.count, resetAt: window.resetAt };
+    }
+  };
+};
+
+let store = createMemoryStore();
+
+export const setRateLimitStore = (nextStore) => {
+  if (typeof nextStore?.hit !== 'function') {
+    throw new Error('A rate limit store needs a hit(key, windowMs) function');
+  }
+  store = nextStore;
+};
+
+// Default limits. Whole schools often share one network address, so the per-IP
+// limits are generous; the per-phone limits are what stop a single number being hammered.
+export const RATE_LIMITS = {
+  CHECK_EXISTING_IP: { max: 120, windowSeconds: 10 * 60 },
+  CHECK_EXISTING_PHONE: { max: 10, windowSeconds: 10 * 60 },
+  SUBMIT_IP: { max: 300, windowSeconds: 60 * 60 },
+  SUBMIT_PHONE: { max: 10, windowSeconds: 60 * 60 },
+  VERIFY_IP: { max: 60, windowSeconds: 60 * 60 },
+  // Each code allows a few guesses; these stop new codes being requested to keep guessing
+  VERIFY_SEND_PHONE: { max: 5, windowSeconds: 60 * 60 },
+  VERIFY_CHECK_PHONE: { max: 15, windowSeconds: 60 * 60 },
+  START_ATTEMPT_IP: { max: 600, windowSeconds: 60 * 60 },
+  // The quiz saves its progress every few seconds while a candidate works
+  DRAFT_IP: { max: 12000, windowSeconds: 60 * 60 },
+  DRAFT_PHONE: { max: 600, windowSeconds: 60 * 60 },
+  // Admin password sign-in; the per-username limit locks an account's guessing for the window
+  ADMIN_LOGIN_IP: { max: 30, windowSeconds: 15 * 60 },
+  ADMIN_LOGIN_USERNAME: { max: 10, windowSeconds: 15 * 60 }
+};
+
+// The limit for a name, with the environment override applied
+const getLimit = (name) => {
+  const override = process.env[`RATE_LIMIT_${name}`];
+  const [max, windowSeconds] = (override || '').split('/').map(Number);
+  if (override && Number.isInteger(max) && max >= 0 && windowSeconds > 0) {
+    return { max, windowSeconds };
+  }
+  return RATE_LIMITS[name];
+};
+
+export const byIp = (req) => req.ip;
+export const byPhone = (req) => req.body?.phone;
+export const byUsername = (req) => req.body?.username?.toLowerCase();
+
+// Express middleware counting requests under `name` per key(req); requests without
+// a key are not counted. Over the limit the request gets
+//   429 { message, code: 'RATE_LIMITED', retryAfter } with a Retry-After header.
+// Limiting fails open: when the store errors the request goes through.
+export const rateLimit = (name, key, message = 'Too many requests. Please try again later.') => {
+  if (!RATE_LIMITS[name]) {
+    throw new Error(`Unknown rate limit "${name}"`);
+  }
+
+  return async (req, res, next) => {
+    const { max, windowSeconds } = getLimit(name);
+    const id = key(req);
+    if (!max || !id) return next();
+
+    try {
+      const { count, resetAt } = await store.hit(`${name}:${id}`, windowSeconds * 1000);
+      const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+      res.set('RateLimit-Reset', String(retryAfter));
+
+      if (count > max) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ message, code: 'RATE_LIMITED', retryAfter });
+      }
+    } catch (err) {
+      console.error(`Rate limit store failed for ${name}:`, err);
+    }
+    next();
+  };
+};
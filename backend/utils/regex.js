@@ -0,0 +1,2 @@
+// Escape user input so it matches literally inside a RegExp
+export const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
@@ -0,0 +1,139 @@
+import Question from '../models/Question.js';
+import { getAnswerOptionId } from './options.js';
+import { isCorrectAnswer, toAnswerKey } from './questionTypes.js';
+
+// Build an answer key from Question documents. Retired questions are included
+// so old submissions can still be graded, but only active ones count towards totals.
+export const createAnswerKey = (questions) => {
+  const answerKey = { keys: {}, labels: {}, totals: {} };
+
+  questions.forEach(question => {
+    const { questionId, language } = question;
+
+    answerKey.keys[questionId] = {
+      ...answerKey.keys[questionId],
+      [language]: { ...toAnswerKey(question), retired: !!question.retired }
+    };
+
+    answerKey.labels[questionId] = [
+      ...(answerKey.labels[questionId] || []),
+      ...(question.options || []).map(option => ({ language, id: option.id, text: option.text }))
+    ];
+
+    if (!question.retired) {
+      answerKey.totals[language] = (answerKey.totals[language] || 0) + 1;
+    }
+  });
+
+  return answerKey;
+};
+
+// Build an answer key from the frozen questions of a question set, optionally
+// only for the questions drawn for an attempt
+export const createQuestionSetAnswerKey = (questionSet, questionIds) =>
+  createAnswerKey(
+    questionSet.questions
+      .filter(question => !questionIds || questionIds.includes(question.questionId))
+      .map(question => ({ ...question, language: questionSet.language }))
+  );
+
+// Load the answer key for every question in every language from the database
+export const loadAnswerKey = async () => {
+  const questions = await Question.find({}, {
+    questionId: 1,
+    language: 1,
+    type: 1,
+    options: 1,
+    correctOptionId: 1,
+    correctOptionIds: 1,
+    numericAnswer: 1,
+    tolerance: 1,
+    acceptedAnswers: 1,
+    retired: 1
+  }).lean();
+
+  return createAnswerKey(questions);
+};
+
+const getQuestionKey = (answerKey, questionId, language) => {
+  const byLanguage = answerKey.keys[questionId];
+  if (!byLanguage) return null;
+  return byLanguage[language] ?? byLanguage.English ?? Object.values(byLanguage)[0];
+};
+
+// Grade a list of answers against the server-side answer key, using the rule
+// for each question's type (see utils/questionTypes.js).
+// Single-choice answers saved before option ids existed are matched by their display text.
+// Returns the answers with an `isCorrect` flag plus score, total and percentage.
+// Only one answer per question is graded (the first), and answers to questions the
+// key does not have are dropped, so the answers sent can never raise the score or
+// change what it is out of. Unanswered questions count towards the total, so
+// percentage is out of the full quiz.
+export const scoreAnswers = (answers = [], language = 'English', answerKey) => {
+  const seen = new Set();
+  const gradedAnswers = (answers || [])
+    .filter(answer => answer && typeof answer === 'object')
+    .map(answer => (typeof answer.toObject === 'function' ? answer.toObject() : answer))
+    .filter(answer => {
+      if (seen.has(answer.questionId) || !getQuestionKey(answerKey, answer.questionId, language)) return false;
+      seen.add(answer.questionId);
+      return true;
+    })
+    .map(plain => {
+      const key = getQuestionKey(answerKey, plain.questionId, language);
+
+      if (key.type === 'single' || key.type === 'true_false') {
+        const optionId = getAnswerOptionId(plain, language, answerKey);
+        return {
+          ...plain,
+          type: key.type,
+          optionId: optionId || undefined,
+          isCorrect: isCorrectAnswer({ optionId }, key)
+        };
+      }
+
+      return {
+        ...plain,
+        type: key.type,
+        isCorrect: isCorrectAnswer(plain, key)
+      };
+    });
+
+  const score = gradedAnswers.filter(answer => answer.isCorrect).length;
+  // Old submissions graded against the live bank may answer questions retired since;
+  // they were part of that quiz, so they count too
+  const retiredAnswered = gradedAnswers
+    .filter(answer => getQuestionKey(answerKey, answer.questionId, language).retired)
+    .length;
+  const totalQuestions = (answerKey.totals[language] ?? answerKey.totals.English ?? 0) + retiredAnswered;
+
+  return {
+    answers: gradedAnswers,
+    score,
+    totalQuestions,
+    percentage: totalQuestions > 0 ? Math.round((score / totalQuestions) * 100) : 0
+  };
+};
+
+// Grade an attempt's answers the way it was asked: against the question set it was
+// given, counting only the questions drawn for it, or against the live bank for
+// attempts without a question set (graded in `language`).
+export const gradeAttempt = async (answers, { questionSet, questionIds, language }) => {
+  const drawnAnswers = questionIds && Array.isArray(answers)
+    ? answers.filter(answer => questionIds.includes(answer?.questionId))
+    : answers;
+
+  const answerKey = questionSet ? createQuestionSetAnswerKey(questionSet, questionIds) : await loadAnswerKey();
+  return scoreAnswers(drawnAnswers, questionSet ? questionSet.language : language, answerKey);
+};
+
+// Return a submission with real score fields. Submissions saved before scoring
+// existed were stored with score 0 and no percentage, so those are re-graded.
+export const withScore = (submission, language, answerKey) => {
+  if (submission.percentage !== undefined && submission.percentage !== null) {
+    return submission;
+  }
+
+  const { answers, score, totalQuestions, percentage } = scoreAnswers(submission.answers, language, answerKey);
+  return { ...submission, answers, score, totalQuestions, percentage };
+};
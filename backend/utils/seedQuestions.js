@@ -0,0 +1,56 @@
+import Question from '../models/Question.js';
+import Assessment from '../models/Assessment.js';
+import { QUESTIONS, ANSWER_KEYS } from '../data/questionBank.js';
+
+// Insert the bundled question bank into the Question collection.
+// Questions that already exist are never overwritten, so admin edits survive a re-seed.
+// Returns the number of questions inserted.
+export const seedQuestionBank = async () => {
+  const operations = Object.entries(QUESTIONS).flatMap(([language, questions]) =>
+    questions.map((question, index) => ({
+      updateOne: {
+        filter: { questionId: question.id, language },
+        update: {
+          $setOnInsert: {
+            questionId: question.id,
+            language,
+            text: question.q,
+            options: question.options,
+            correctOptionId: ANSWER_KEYS[question.id],
+            order: index + 1
+          }
+        },
+        upsert: true
+      }
+    }))
+  );
+
+  const result = await Question.bulkWrite(operations);
+  return result.upsertedCount;
+};
+
+// Create the default assessment, using every bundled question, if there is none yet.
+// Returns true when it was created.
+export const seedDefaultAssessment = async () => {
+  const existing = await Assessment.findOne({ isDefault: true });
+  if (existing) return false;
+
+  await Assessment.create({
+    slug: 'general-knowledge',
+    title: 'General Knowledge Quiz',
+    description: 'Ten general knowledge questions',
+    languages: Object.keys(QUESTIONS),
+    questionIds: QUESTIONS.English.map(question => question.id),
+    isDefault: true
+  });
+  return true;
+};
+
+// Seed the question bank when the collection is empty, and make sure a
+// default assessment exists. Used on server start.
+export const seedQuestionBankIfEmpty = async () => {
+  const count = await Question.estimatedDocumentCount();
+  const inserted = count > 0 ? 0 : await seedQuestionBank();
+  await seedDefaultAssessment();
+  return inserted;
+};
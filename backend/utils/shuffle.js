@@ -0,0 +1,65 @@
+import crypto from 'crypto';
+
+// A new random seed for an attempt (32-bit unsigned)
+export const createSeed = () => crypto.randomInt(0, 2 ** 32);
+
+// mulberry32: a small deterministic PRNG, so the same seed always gives the same order
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Fisher-Yates shuffle that leaves the input untouched
+export const shuffle = (items, random) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// True/false options keep their natural order. Ordering options are always shuffled,
+// since the order they are stored in may well be the answer.
+const shouldShuffleOptions = (question, shuffleOptions) => {
+  if (question.type === 'ordering') return true;
+  return shuffleOptions && question.type !== 'true_false';
+};
+
+// The order an attempt shows: question ids, each with its option ids in display order.
+// Depends only on the questions (a frozen question set) and the seed, so it can be
+// recomputed later to see exactly what the candidate saw.
+export const getShownOrder = (questions, seed, { shuffleQuestions = true, shuffleOptions = true } = {}) => {
+  const random = createRandom(seed);
+  const ordered = shuffleQuestions ? shuffle(questions, random) : questions;
+
+  return ordered.map(question => {
+    const optionIds = (question.options || []).map(option => option.id);
+    return {
+      questionId: question.questionId,
+      optionIds: shouldShuffleOptions(question, shuffleOptions) ? shuffle(optionIds, random) : optionIds
+    };
+  });
+};
+
+// Reorder questions and their options to match a shown order
+export const applyShownOrder = (questions, shownOrder) => {
+  const byId = Object.fromEntries(questions.map(question => [question.questionId, question]));
+
+  return shownOrder
+    .filter(entry => byId[entry.questionId])
+    .map(entry => {
+      const question = byId[entry.questionId];
+      const optionsById = Object.fromEntries((question.options || []).map(option => [option.id, option]));
+      return {
+        ...question,
+        options: entry.optionIds.map(id => optionsById[id]).filter(Boolean)
+      };
+    });
+};
@@ -0,0 +1,54 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// SMS providers share one interface: { name, send({ to, body }) } where send
+// returns a promise. SMS_PROVIDER picks the provider (default: console). In
+// production it must name a real gateway, added with registerSmsProvider().
+
+// Development: print the message to the server log
+const consoleProvider = {
+  name: 'console',
+  send: async ({ to, body }) => {
+    console.log(`[sms] to ${to}: ${body}`);
+  }
+};
+
+// Testing: append each message as a JSON line to SMS_OUTBOX_FILE
+const fileProvider = {
+  name: 'file',
+  send: async ({ to, body }) => {
+    const file = process.env.SMS_OUTBOX_FILE || path.join(os.tmpdir(), 'sms-outbox.jsonl');
+    await fs.appendFile(file, `${JSON.stringify({ to, body, sentAt: new Date().toISOString() })}\n`);
+  }
+};
+
+// Providers that never deliver a message
+const DEVELOPMENT_PROVIDERS = [consoleProvider.name, fileProvider.name];
+
+const providers = {
+  [consoleProvider.name]: consoleProvider,
+  [fileProvider.name]: fileProvider
+};
+
+export const registerSmsProvider = (provider) => {
+  if (!provider?.name || typeof provider.send !== 'function') {
+    throw new Error('An SMS provider needs a name and a send({ to, body }) function');
+  }
+  providers[provider.name] = provider;
+};
+
+export const getSmsProvider = () => {
+  const name = process.env.SMS_PROVIDER || consoleProvider.name;
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown SMS provider "${name}"`);
+  }
+  // Verification codes would only reach the server log
+  if (process.env.NODE_ENV === 'production' && DEVELOPMENT_PROVIDERS.includes(name)) {
+    throw new Error(`SMS_PROVIDER must name a provider that delivers messages in production, not "${name}"`);
+  }
+  return provider;
+};
+
+export const sendSms = (to, body) => getSmsProvider().send({ to, body });
@@ -0,0 +1,151 @@
+import User from '../models/User.js';
+import Submission from '../models/Submission.js';
+
+// A user's submissions, first attempt first
+export const findUserSubmissions = (userId) =>
+  Submission.find({ user: userId }).sort({ attemptNumber: 1 }).lean();
+
+// Attach each user's submissions (first attempt first) to plain user objects
+export const withSubmissions = async (users) => {
+  if (users.length === 0) return [];
+
+  const submissions = await Submission
+    .find({ user: { $in: users.map(user => user._id) } })
+    .sort({ user: 1, attemptNumber: 1 })
+    .lean();
+
+  const byUser = {};
+  submissions.forEach(submission => {
+    const key = submission.user.toString();
+    (byUser[key] = byUser[key] || []).push(submission);
+  });
+
+  return users.map(user => ({ ...user, submissions: byUser[user._id.toString()] || [] }));
+};
+
+// How many attempt ids a user document remembers; older ones are still caught by the
+// unique index on Submission.attemptId
+const RECENT_ATTEMPT_IDS = 50;
+
+// How long a repeated submission waits for the first one to finish saving
+const ATTEMPT_WAIT_MS = 200;
+const ATTEMPT_WAIT_TRIES = 10;
+
+// The submission saved for a client-generated attempt id, if any
+export const findSubmissionByAttemptId = (attemptId) => Submission.findOne({ attemptId }).lean();
+
+const waitForSubmission = async (attemptId) => {
+  for (let tries = 0; tries < ATTEMPT_WAIT_TRIES; tries++) {
+    const submission = await findSubmissionByAttemptId(attemptId);
+    if (submission) return submission;
+    await new Promise(resolve => setTimeout(resolve, ATTEMPT_WAIT_MS));
+  }
+  return null;
+};
+
+const isDuplicateKeyError = (err) => err?.code === 11000;
+
+// Save a new attempt for a user. The attempt number comes from an atomic increment
+// of the user's attempt count, so concurrent submissions never share one. A submission
+// dated earlier than the user's latest one (synced late from an offline device) leaves
+// lastSubmission as it is.
+//
+// With fields.attemptId, the same update claims the id on the user document, so a
+// retried or double-clicked submission of the attempt never takes a second number.
+// Resolves to { user, submission } with the updated user or, for an attempt id that
+// was already used:
+//   { duplicate: true, submission } - the submission saved first
+//   { inProgress: true }            - the first request is still saving it
+export const addSubmission = async (userId, fields) => {
+  const submittedAt = fields.submittedAt || new Date();
+  const { attemptId } = fields;
+
+  // One pipeline update, so the count, the attempt number and the claimed attempt id
+  // change together. Users from before lastAttemptNumber existed continue from their count.
+  const user = await User.findOneAndUpdate(
+    attemptId ? { _id: userId, recentAttemptIds: { $ne: attemptId } } : { _id: userId },
+    [{
+      $set: {
+        totalAttempts: { $add: [{ $ifNull: ['$totalAttempts', 0] }, 1] },
+        lastAttemptNumber: {
+          $add: [{ $ifNull: ['$lastAttemptNumber', { $ifNull: ['$totalAttempts', 0] }] }, 1]
+        },
+        lastSubmission: { $max: ['$lastSubmission', submittedAt] },
+        updatedAt: new Date(),
+        ...(attemptId
+          ? {
+            recentAttemptIds: {
+              $slice: [{ $concatArrays: [{ $ifNull: ['$recentAttemptIds', []] }, [{ $literal: attemptId }]] }, -RECENT_ATTEMPT_IDS]
+            }
+          }
+          : {})
+      }
+    }],
+    { new: true }
+  );
+  if (!user) {
+    if (!attemptId) throw new Error(`User ${userId} not found`);
+    const submission = await waitForSubmission(attemptId);
+    return submission ? { duplicate: true, submission } : { inProgress: true };
+  }
+
+  try {
+    const submission = await Submission.create({
+      ...fields,
+      user: user._id,
+      attemptNumber: user.lastAttemptNumber,
+      submittedAt
+    });
+    return { user, submission };
+  } catch (err) {
+    // Give the attempt back so the count matches the stored submissions. The attempt
+    // number is not given back: another submission may already have the next one.
+    await User.updateOne(
+      { _id: user._id },
+      { $inc: { totalAttempts: -1 }, ...(attemptId ? { $pull: { recentAttemptIds: attemptId } } : {}) }
+    );
+    // The attempt id was taken by another user document: two first submissions for a
+    // new phone number racing each other
+    if (attemptId && isDuplicateKeyError(err)) {
+      const submission = await findSubmissionByAttemptId(attemptId);
+      if (submission) return { duplicate: true, submission };
+    }
+    throw err;
+  }
+};
+
+// Delete one submission. The other attempts keep their numbers, and the number is
+// never issued again (see lastAttemptNumber), so a submission saved at the same time
+// cannot clash with them. Every change to the user is a single atomic update.
+export const removeSubmission = async (submission) => {
+  const { deletedCount } = await Submission.deleteOne({ _id: submission._id });
+  if (deletedCount === 0) return;
+
+  await User.updateOne({ _id: submission.user }, { $inc: { totalAttempts: -1 } });
+
+  // Only when the deleted attempt was the latest; a newer submission saved meanwhile
+  // has already moved lastSubmission on
+  const [latest] = await Submission.find({ user: submission.user }).sort({ submittedAt: -1 }).limit(1).lean();
+  await User.updateOne(
+    { _id: submission.user, lastSubmission: submission.submittedAt },
+    [{ $set: { lastSubmission: latest ? latest.submittedAt : '$createdAt' } }]
+  );
+};
+
+// Users still holding quiz data in an older shape (see scripts/reconcile-data.js).
+// The raw collection is queried because those fields are no longer part of the
+// User schema.
+export const UNMIGRATED_USER_QUERY = {
+  $or: ['submissions', 'answers', 'completionTime', 'submittedAt'].map(field => ({ [field]: { $exists: true } }))
+};
+
+export const countUnmigratedUsers = () => User.collection.countDocuments(UNMIGRATED_USER_QUERY);
+
+// Phone numbers held by more than one user, saved before phone numbers were unique
+export const findDuplicatePhones = async () => {
+  const groups = await User.aggregate([
+    { $group: { _id: '$phone', count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } }
+  ]).allowDiskUse(true);
+  return groups.map(group => group._id);
+};
@@ -0,0 +1,50 @@
+import crypto from 'crypto';
+
+let fallbackSecret = null;
+
+// Tokens are signed with TOKEN_SECRET. Without it a random secret is used, which
+// means tokens stop verifying whenever the server restarts.
+const getSecret = () => {
+  if (process.env.TOKEN_SECRET) return process.env.TOKEN_SECRET;
+
+  if (!fallbackSecret) {
+    console.warn('TOKEN_SECRET is not set; using a temporary secret until the server restarts');
+    fallbackSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return fallbackSecret;
+};
+
+const sign = (encodedPayload) =>
+  crypto.createHmac('sha256', getSecret()).update(encodedPayload).digest('base64url');
+
+// Create a signed, tamper-proof token carrying `data`. The purpose is checked on
+// verification so a token issued for one use cannot be replayed for another.
+export const signToken = (purpose, data) => {
+  const payload = Buffer.from(JSON.stringify({ ...data, purpose, iat: Date.now() })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+};
+
+// Return the data of a valid token, or null when it is malformed, forged,
+// issued for another purpose or older than maxAgeSeconds
+export const verifyToken = (token, purpose, { maxAgeSeconds } = {}) => {
+  if (typeof token !== 'string') return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+
+  if (data.purpose !== purpose) return null;
+  if (maxAgeSeconds && Date.now() - data.iat > maxAgeSeconds * 1000) return null;
+
+  return data;
+};
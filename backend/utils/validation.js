@@ -0,0 +1,225 @@
+import mongoose from 'mongoose';
+import { LANGUAGES } from './languages.js';
+import { QUESTION_TYPES } from './questionTypes.js';
+
+// A small declarative validator for request bodies, params and queries.
+//
+// A schema is a function (value, path, errors) => cleanValue that records what is
+// wrong in `errors` as { path, message }. The builders below create schemas; every
+// builder takes `optional` (may be missing) and `nullable` (may be null).
+//
+//   router.post('/', validateRequest({ body: object({ phone: phone() }) }), handler)
+//
+// Invalid requests get one response shape:
+//   400 { message, code: 'VALIDATION_ERROR', errors: [{ location, path, message }] }
+
+const describe = (path) => path || 'value';
+
+// Handle missing and null values the same way for every kind of schema
+const schema = ({ optional = false, nullable = false } = {}, check) => (value, path, errors) => {
+  if (value === undefined) {
+    if (!optional) errors.push({ path, message: `${describe(path)} is required` });
+    return undefined;
+  }
+  if (value === null) {
+    if (!nullable) errors.push({ path, message: `${describe(path)} must not be null` });
+    return null;
+  }
+  return check(value, path, errors);
+};
+
+const fail = (errors, path, message) => {
+  errors.push({ path, message: `${describe(path)} ${message}` });
+  return undefined;
+};
+
+export const string = ({ trim = true, lowercase = false, min, max, pattern, patternMessage, values, ...options } = {}) =>
+  schema(options, (value, path, errors) => {
+    if (typeof value !== 'string') return fail(errors, path, 'must be text');
+
+    const trimmed = trim ? value.trim() : value;
+    const text = lowercase ? trimmed.toLowerCase() : trimmed;
+    if (min !== undefined && text.length < min) {
+      return fail(errors, path, min === 1 ? 'must not be empty' : `must be at least ${min} characters`);
+    }
+    if (max !== undefined && text.length > max) return fail(errors, path, `must be at most ${max} characters`);
+    if (pattern && !pattern.test(text)) return fail(errors, path, patternMessage || 'has an invalid format');
+    if (values && !values.includes(text)) return fail(errors, path, `must be one of: ${values.join(', ')}`);
+    return text;
+  });
+
+// With `coerce`, numeric strings are accepted too (query strings and path params)
+export const number = ({ integer = false, min, max, coerce = false, ...options } = {}) =>
+  schema(options, (value, path, errors) => {
+    const parsed = coerce && typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof parsed !== 'number' || !Number.isFinite(parsed)) return fail(errors, path, 'must be a number');
+    if (integer && !Number.isInteger(parsed)) return fail(errors, path, 'must be a whole number');
+    if (min !== undefined && parsed < min) return fail(errors, path, `must be at least ${min}`);
+    if (max !== undefined && parsed > max) return fail(errors, path, `must be at most ${max}`);
+    return parsed;
+  });
+
+// With `coerce`, "true" and "false" are accepted too
+export const boolean = ({ coerce = false, ...options } = {}) =>
+  schema(options, (value, path, errors) => {
+    if (coerce && (value === 'true' || value === 'false')) return value === 'true';
+    if (typeof value !== 'boolean') return fail(errors, path, 'must be true or false');
+    return value;
+  });
+
+// A text or number value, e.g. a typed answer
+export const scalar = (options = {}) =>
+  schema(options, (value, path, errors) => {
+    if (typeof value !== 'string' && !(typeof value === 'number' && Number.isFinite(value))) {
+      return fail(errors, path, 'must be text or a number');
+    }
+    return value;
+  });
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// With `endOfDay`, a date without a time ("2024-05-31") means the last moment of that
+// day (UTC) rather than its start, so it can close an inclusive range
+export const date = ({ endOfDay, ...options } = {}) =>
+  schema(options, (value, path, errors) => {
+    const parsed = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+    if (!parsed || Number.isNaN(parsed.getTime())) return fail(errors, path, 'must be a date');
+    if (endOfDay && DATE_ONLY.test(value)) {
+      parsed.setUTCHours(23, 59, 59, 999);
+    }
+    return parsed;
+  });
+
+export const objectId = (options = {}) =>
+  schema(options, (value, path, errors) => {
+    if (typeof value !== 'string' || !mongoose.Types.ObjectId.isValid(value)) {
+      return fail(errors, path, 'must be a valid id');
+    }
+    return value;
+  });
+
+export const array = (item, { min, max, ...options } = {}) =>
+  schema(options, (value, path, errors) => {
+    if (!Array.isArray(value)) return fail(errors, path, 'must be a list');
+    if (min !== undefined && value.length < min) return fail(errors, path, `must have at least ${min} item(s)`);
+    if (max !== undefined && value.length > max) return fail(errors, path, `must have at most ${max} items`);
+    return value.map((entry, index) => item(entry, `${path}[${index}]`, errors));
+  });
+
+// Fields not in the shape are dropped unless `unknown: 'allow'` is given
+export const object = (shape, { unknown = 'strip', ...options } = {}) =>
+  schema(options, (value, path, errors) => {
+    if (typeof value !== 'object' || Array.isArray(value)) return fail(errors, path, 'must be an object');
+
+    const result = unknown === 'allow' ? { ...value } : {};
+    Object.entries(shape).forEach(([key, field]) => {
+      const cleaned = field(value[key], path ? `${path}.${key}` : key, errors);
+      if (cleaned !== undefined) result[key] = cleaned;
+      else delete result[key];
+    });
+    return result;
+  });
+
+// Anything; used for free-form fields that are checked further by the route
+export const any = (options = {}) => schema(options, (value) => value);
+
+export const phone = (options = {}) =>
+  string({ pattern: /^\d{10}$/, patternMessage: 'must be a 10-digit phone number', ...options });
+
+export const language = (options = {}) => string({ values: LANGUAGES, ...options });
+
+// One answer as sent by the quiz (see toSubmittedAnswer in the frontend)
+export const submittedAnswer = (options = {}) =>
+  object({
+    questionId: number({ integer: true, min: 0 }),
+    question: string({ optional: true, max: 5000 }),
+    type: string({ optional: true, values: QUESTION_TYPES }),
+    optionId: string({ optional: true, max: 100 }),
+    optionIds: array(string({ max: 100 }), { optional: true, max: 100 }),
+    value: scalar({ optional: true, nullable: true }),
+    answer: string({ optional: true, max: 5000 })
+  }, options);
+
+// Client-generated attempt ids (UUIDs)
+export const attemptId = (options = {}) =>
+  string({
+    pattern: /^[A-Za-z0-9-]{8,64}$/,
+    patternMessage: 'must be 8 to 64 letters, digits or dashes',
+    ...options
+  });
+
+// IANA time zone names, e.g. "Asia/Kolkata"
+export const timeZone = (options = {}) =>
+  schema(options, (value, path, errors) => {
+    if (typeof value !== 'string') return fail(errors, path, 'must be text');
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: value });
+      return value;
+    } catch {
+      return fail(errors, path, 'must be a time zone such as Asia/Kolkata');
+    }
+  });
+
+// Assessment URL names, e.g. "baseline-2024"
+export const slug = (options = {}) =>
+  string({
+    lowercase: true,
+    max: 100,
+    pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+    patternMessage: 'must contain only letters, numbers and dashes',
+    ...options
+  });
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Express middleware checking req.params, req.query and req.body against object
+// schemas. The cleaned values replace the originals, so handlers only see fields
+// that were declared, with the declared types.
+export const validateRequest = (schemas) => (req, res, next) => {
+  const errors = [];
+
+  LOCATIONS.forEach(location => {
+    if (!schemas[location]) return;
+    const locationErrors = [];
+    const cleaned = schemas[location](req[location] ?? {}, '', locationErrors);
+    locationErrors.forEach(error => errors.push({ location, ...error }));
+    if (locationErrors.length === 0) req[location] = cleaned;
+  });
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+  next();
+};
+
+export const sendValidationError = (res, errors) =>
+  res.status(400).json({
+    message: errors.map(error => error.message).join('; '),
+    code: 'VALIDATION_ERROR',
+    errors
+  });
+
+// Find a key that MongoDB would read as an operator ($ne, $gt...) or a nested path
+const findOperatorKey = (value, path = '') => {
+  if (!value || typeof value !== 'object' || Buffer.isBuffer(value)) return null;
+
+  for (const [key, entry] of Object.entries(value)) {
+    const entryPath = path ? `${path}.${key}` : key;
+    if (key.startsWith('$') || key.includes('.')) return entryPath;
+    const nested = findOperatorKey(entry, entryPath);
+    if (nested) return nested;
+  }
+  return null;
+};
+
+// Reject any request whose body or query contains MongoDB operator keys, so
+// user input can never turn into a query operator, even on routes without a schema
+export const rejectMongoOperators = (req, res, next) => {
+  for (const location of ['query', 'body']) {
+    const key = findOperatorKey(req[location]);
+    if (key) {
+      return sendValidationError(res, [{ location, path: key, message: `${key} is not an allowed field name` }]);
+    }
+  }
+  next();
+};
@@ -0,0 +1,77 @@
+// Service worker keeping the quiz app usable without a connection.
+//
+// - Pages are fetched from the network when possible, falling back to the saved
+//   app shell (index.html) so every route opens offline.
+// - Built files under /assets have content-hashed names and are served from the cache.
+// - Question images and audio (/media/...) are cached as they are loaded.
+//
+// API requests are not handled here: the app keeps quizzes and queued submissions
+// in IndexedDB itself (see src/offlineStore.js).
+
+const APP_CACHE = 'quiz-app-v1';
+const MEDIA_CACHE = 'quiz-media-v1';
+const APP_SHELL = '/index.html';
+
+// Save the app shell and the files it loads
+const cacheAppShell = async () => {
+  const cache = await caches.open(APP_CACHE);
+  const response = await fetch(APP_SHELL, { cache: 'no-cache' });
+  if (!response.ok) return;
+
+  const html = await response.clone().text();
+  const assets = [...new Set(html.match(/\/assets\/[^"'\s)]+/g) || [])];
+  await cache.put(APP_SHELL, response);
+  await cache.addAll(assets);
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(cacheAppShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key !== APP_CACHE && key !== MEDIA_CACHE).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+const networkFirstPage = async (request) => {
+  const cache = await caches.open(APP_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(APP_SHELL, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(APP_SHELL);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+const cacheFirst = async (cacheName, request) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // Cross-origin media loaded by <img>/<audio> comes back opaque (status 0)
+  if (response.ok || response.type === 'opaque') await cache.put(request, response.clone());
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirstPage(request));
+  } else if (url.origin === self.location.origin && url.pathname.startsWith('/assets/')) {
+    event.respondWith(cacheFirst(APP_CACHE, request));
+  } else if (url.pathname.startsWith('/media/')) {
+    event.respondWith(cacheFirst(MEDIA_CACHE, request));
+  }
+});
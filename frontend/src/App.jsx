@@ -4,6 +4,8 @@ import Signup from './pages/Signup';
 import Questions from './pages/Questions';
 import ThankYou from './pages/ThankYou';
 import AdminDashboard from './pages/AdminDashboard';
+import RequireAdmin from './components/RequireAdmin';
+import PendingUploads from './components/PendingUploads';
 
 
 export default function App() {
@@ -13,10 +15,20 @@ export default function App() {
         <Routes>
           <Route path="/" element={<Signup />} />
           <Route path="/questions" element={<Questions />} />
+          <Route path="/quiz/:slug" element={<Signup />} />
+          <Route path="/quiz/:slug/questions" element={<Questions />} />
           <Route path="/thankyou" element={<ThankYou />} />
-           <Route path="/admin" element={<AdminDashboard />} />
+          <Route
+            path="/admin"
+            element={
+              <RequireAdmin>
+                {(session, logout) => <AdminDashboard session={session} onLogout={logout} />}
+              </RequireAdmin>
+            }
+          />
         </Routes>
       </div>
+      <PendingUploads />
     </div>
   );
 }
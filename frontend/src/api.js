@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { addToOutbox, cacheValue, listOutbox, markOutboxFailed, readCachedValue, removeFromOutbox, retryFailedOutbox } from './offlineStore';
 
 // Browser-safe environment detection using window.location
 const isLocalhost = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
@@ -27,14 +28,56 @@ const api = axios.create({
   withCredentials: false,
 });
 
+const ADMIN_SESSION_KEY = 'adminSession';
+
+// The signed-in admin ({ token, admin, expiresAt }), or null when signed out or expired
+export const getAdminSession = () => {
+  try {
+    const session = JSON.parse(sessionStorage.getItem(ADMIN_SESSION_KEY));
+    return session?.token && session.expiresAt > Date.now() ? session : null;
+  } catch {
+    return null;
+  }
+};
+
+export const clearAdminSession = () => {
+  sessionStorage.removeItem(ADMIN_SESSION_KEY);
+};
+
+// Authorization header for admin API calls made with fetch
+export const adminAuthHeaders = () => {
+  const session = getAdminSession();
+  return session ? { Authorization: `Bearer ${session.token}` } : {};
+};
+
+// Requests and responses are only logged in detail while developing
+const LOG_API_DETAILS = import.meta.env.DEV;
+
+// Fields never written to the console: passwords, SMS codes and the tokens that stand in for them
+const SECRET_FIELDS = ['password', 'code', 'token', 'verificationToken', 'attemptToken'];
+
+// A copy of request or response data that is safe to log
+const redactSecrets = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return data;
+  return Object.fromEntries(Object.entries(data).map(([field, value]) => [
+    field,
+    SECRET_FIELDS.includes(field) && value ? '[redacted]' : value
+  ]));
+};
+
 // Request interceptor with detailed logging
 api.interceptors.request.use(
   (config) => {
-    console.log('=== API REQUEST ===');
-    console.log('Method:', config.method?.toUpperCase());
-    console.log('URL:', `${config.baseURL}${config.url}`);
-    console.log('Data:', config.data);
-    console.log('==================');
+    if (config.url?.startsWith('/api/admin')) {
+      Object.assign(config.headers, adminAuthHeaders());
+    }
+    if (LOG_API_DETAILS) {
+      console.log('=== API REQUEST ===');
+      console.log('Method:', config.method?.toUpperCase());
+      console.log('URL:', `${config.baseURL}${config.url}`);
+      console.log('Data:', redactSecrets(config.data));
+      console.log('==================');
+    }
     return config;
   },
   (error) => {
@@ -46,23 +89,46 @@ api.interceptors.request.use(
 // Response interceptor with detailed error handling
 api.interceptors.response.use(
   (response) => {
-    console.log('=== API SUCCESS ===');
-    console.log('Status:', response.status);
-    console.log('Data:', response.data);
-    console.log('==================');
+    if (LOG_API_DETAILS) {
+      console.log('=== API SUCCESS ===');
+      console.log('Status:', response.status);
+      console.log('Data:', redactSecrets(response.data));
+      console.log('==================');
+    }
     return response;
   },
   (error) => {
     console.error('=== API ERROR ===');
     console.error('Status:', error.response?.status);
     console.error('Message:', error.response?.data?.message || error.message);
-    console.error('Full Error:', error.response?.data);
+    console.error('Full Error:', redactSecrets(error.response?.data));
     console.error('Request URL:', `${error.config?.baseURL}${error.config?.url}`);
     console.error('================');
     return Promise.reject(error);
   }
 );
 
+// A friendly message for a rate-limited (429) response, or null for any other error
+const getRateLimitMessage = (error) => {
+  if (error.response?.status !== 429) return null;
+
+  const retryAfter = Number(error.response.data?.retryAfter || error.response.headers?.['retry-after']);
+  if (!retryAfter) {
+    return 'Too many attempts right now. Please wait a little and try again.';
+  }
+  const wait = retryAfter < 60
+    ? `${retryAfter} seconds`
+    : `about ${Math.ceil(retryAfter / 60)} minute${retryAfter > 60 ? 's' : ''}`;
+  return `Too many attempts right now. Please wait ${wait} and try again.`;
+};
+
+// The request never got an answer from the server (offline, or it timed out)
+const isNetworkError = (error) => !error.response;
+
+// An error for a submission that may still go through later (no connection, server
+// busy or down), so it is worth keeping it to send again
+const retryableError = (message) => Object.assign(new Error(message), { retryable: true });
+
 // Wake up Render server (handles cold starts)
 export const wakeUpServer = async () => {
   try {
@@ -98,20 +164,21 @@ export const testConnection = async () => {
   }
 };
 
-// Main save user function
-export const saveUser = async (payload) => {
+// Main save user function. Errors worth retrying later have `retryable` set.
+// Pass wakeUp: false when the server is known to be awake.
+export const saveUser = async (payload, { wakeUp = true } = {}) => {
+  console.log('Starting user save process...');
+  console.log('Payload:', redactSecrets(payload));
+
+  // Validate required fields - removed 'school' from required
+  const requiredFields = ['name', 'phone', 'language'];
+  const missingFields = requiredFields.filter(field => !payload[field]?.trim());
+
+  if (missingFields.length > 0) {
+    throw new Error(`Missing required fields: ${missingFields.join(', ')}`);
+  }
+
   try {
-    console.log('Starting user save process...');
-    console.log('Payload:', payload);
-    
-    // Validate required fields - removed 'school' from required
-    const requiredFields = ['name', 'phone', 'language'];
-    const missingFields = requiredFields.filter(field => !payload[field]?.trim());
-    
-    if (missingFields.length > 0) {
-      throw new Error(`Missing required fields: ${missingFields.join(', ')}`);
-    }
-    
     // Clean payload
     const cleanPayload = {
       name: payload.name.trim(),
@@ -120,18 +187,28 @@ export const saveUser = async (payload) => {
       class: payload.class?.trim() || '',   // Add class field
       language: payload.language.trim(),
       answers: payload.answers || [],
-      completionTime: payload.completionTime || 0
+      completionTime: payload.completionTime || 0,
+      elapsedSeconds: payload.elapsedSeconds,
+      completedAt: payload.completedAt,
+      queued: payload.queued,
+      questionSetId: payload.questionSetId,
+      attemptToken: payload.attemptToken,
+      verificationToken: payload.verificationToken,
+      assessmentSlug: payload.assessmentSlug,
+      attemptId: payload.attemptId
     };
     
-    console.log('Sending clean payload:', cleanPayload);
+    console.log('Sending clean payload:', redactSecrets(cleanPayload));
     
     // Wake up server first (for cold starts)
-    try {
-      await wakeUpServer();
-      // Wait 2 seconds for server to fully wake up
-      await new Promise(resolve => setTimeout(resolve, 2000));
-    } catch (wakeError) {
-      console.warn('Server wake-up failed, trying direct save:', wakeError.message);
+    if (wakeUp) {
+      try {
+        await wakeUpServer();
+        // Wait 2 seconds for server to fully wake up
+        await new Promise(resolve => setTimeout(resolve, 2000));
+      } catch (wakeError) {
+        console.warn('Server wake-up failed, trying direct save:', wakeError.message);
+      }
     }
     
     // Save user data
@@ -144,24 +221,310 @@ export const saveUser = async (payload) => {
     
     // Provide user-friendly error messages
     if (error.code === 'ECONNABORTED') {
-      throw new Error('Request timeout. Render server is starting up. Please wait 30 seconds and try again.');
+      throw retryableError('Request timeout. Render server is starting up. Please wait 30 seconds and try again.');
+    } else if (error.response?.status === 429) {
+      throw retryableError(getRateLimitMessage(error));
+    } else if (error.response?.data?.code === 'ATTEMPT_IN_PROGRESS') {
+      // An earlier send of this attempt is still being saved
+      throw retryableError(error.response.data.message);
+    } else if (error.response?.data?.code) {
+      // Rejections the candidate can act on (time limit, phone verification) explain themselves
+      throw new Error(error.response.data.message);
     } else if (error.response?.status === 503) {
-      throw new Error('Database connection issue. Please try again in a moment.');
+      throw retryableError('Database connection issue. Please try again in a moment.');
     } else if (error.response?.status === 404) {
       throw new Error('API endpoint not found. Backend deployment issue.');
     } else if (error.response?.status === 403) {
       throw new Error('Access denied. CORS configuration issue.');
     } else if (error.response?.status >= 500) {
-      throw new Error('Server error. Please try again later.');
+      throw retryableError('Server error. Please try again later.');
+    } else if (isNetworkError(error)) {
+      throw retryableError('Cannot connect to server. Please check your internet connection.');
+    } else {
+      throw new Error(error.response?.data?.message || error.message || 'Save failed. Please try again.');
+    }
+  }
+};
+
+// Whether a phone number has been used before. The profile behind it, and its
+// unfinished attempt at the assessment (draft), are only returned with a
+// verification token for that number.
+export const checkExistingUser = async (phone, verificationToken, assessmentSlug) => {
+  try {
+    const response = await api.post('/api/users/check-existing', { phone, verificationToken, assessmentSlug });
+    return response.data;
+  } catch (error) {
+    console.error('Failed to check phone number:', error);
+
+    if (!error.response) {
+      throw new Error('Cannot connect to server. Please check your internet connection.');
+    } else {
+      throw new Error(getRateLimitMessage(error) || error.response?.data?.message || 'Could not check the phone number.');
+    }
+  }
+};
+
+// Text a one-time code to a phone number
+export const sendVerificationCode = async (phone) => {
+  try {
+    const response = await api.post('/api/users/verify/send', { phone });
+    return response.data;
+  } catch (error) {
+    console.error('Failed to send verification code:', error);
+
+    if (!error.response) {
+      throw new Error('Cannot connect to server. Please check your internet connection.');
+    } else {
+      throw new Error(getRateLimitMessage(error) || error.response?.data?.message || 'Could not send the code. Please try again.');
+    }
+  }
+};
+
+// Check a one-time code; resolves to { verificationToken, exists, user, draft }
+export const verifyPhoneCode = async (phone, code, assessmentSlug) => {
+  try {
+    const response = await api.post('/api/users/verify/check', { phone, code, assessmentSlug });
+    return response.data;
+  } catch (error) {
+    console.error('Failed to verify code:', error);
+
+    if (!error.response) {
+      throw new Error('Cannot connect to server. Please check your internet connection.');
+    } else {
+      throw new Error(getRateLimitMessage(error) || error.response?.data?.message || 'Could not check the code. Please try again.');
+    }
+  }
+};
+
+// Question images and audio are served by the backend under /media
+export const mediaUrl = (path) => {
+  if (!path) return null;
+  return /^https?:\/\//.test(path) ? path : `${API_BASE}${path}`;
+};
+
+// Keep a finished submission on this device until it can be uploaded
+export const queueSubmission = (payload) => addToOutbox(payload);
+
+let syncing = null;
+
+// Upload the queued submissions, oldest first. Stops at the first one that cannot be
+// sent yet; one the server refuses is marked failed and kept. Resolves to the number
+// uploaded. Only one sync runs at a time.
+export const syncQueuedSubmissions = () => {
+  if (!syncing) {
+    syncing = uploadQueuedSubmissions().finally(() => { syncing = null; });
+  }
+  return syncing;
+};
+
+// Try the submissions the server refused once more, such as those refused before it
+// accepted the verification they were taken with. Resolves to the number uploaded.
+export const retryFailedSubmissions = async () => {
+  await retryFailedOutbox();
+  return syncQueuedSubmissions();
+};
+
+const uploadQueuedSubmissions = async () => {
+  const entries = (await listOutbox()).filter(entry => entry.status === 'pending');
+  if (entries.length === 0) return 0;
+
+  try {
+    await wakeUpServer();
+  } catch {
+    return 0;
+  }
+
+  let uploaded = 0;
+  for (const entry of entries) {
+    try {
+      await saveUser({ ...entry.payload, queued: true }, { wakeUp: false });
+      await removeFromOutbox(entry.id);
+      uploaded += 1;
+    } catch (error) {
+      if (error.retryable) break;
+      await markOutboxFailed(entry, error.message);
+    }
+  }
+  return uploaded;
+};
+
+// Quizzes are kept for offline use for a few days, leaving time to upload the answers
+// before the attempt token expires (a week)
+const QUIZ_CACHE_MAX_AGE_MS = 3 * 24 * 60 * 60 * 1000;
+// How old a cached quiz may be before prefetchQuizzes loads it again
+const QUIZ_REFRESH_AGE_MS = 12 * 60 * 60 * 1000;
+
+const assessmentCacheKey = (slug) => `assessment:${slug}`;
+const quizCacheKey = (assessmentSlug, language) => `quiz:${assessmentSlug || 'default'}:${language}`;
+
+// Storage failures (private browsing, quota) only cost the offline copy
+const cacheQuietly = (key, value) =>
+  cacheValue(key, value).catch(error => console.warn('Could not save for offline use:', error));
+
+const readCacheQuietly = (key, maxAgeMs) =>
+  readCachedValue(key, maxAgeMs).catch(() => null);
+
+// Public details of an assessment (title, languages...) by its slug. Offline, the
+// copy last loaded on this device is used.
+export const getAssessment = async (slug) => {
+  try {
+    const response = await api.get(`/api/assessments/${encodeURIComponent(slug)}`);
+    await cacheQuietly(assessmentCacheKey(slug), response.data);
+    return response.data;
+  } catch (error) {
+    console.error('Failed to fetch assessment:', error);
+
+    const cached = isNetworkError(error) ? await readCacheQuietly(assessmentCacheKey(slug)) : null;
+    if (cached) {
+      return cached;
+    } else if (error.response?.status === 404) {
+      throw new Error('This quiz does not exist or is no longer available.');
     } else if (!error.response) {
       throw new Error('Cannot connect to server. Please check your internet connection.');
     } else {
-      throw new Error(error.response?.data?.message || error.message || 'Save failed. Please try again.');
+      throw new Error(error.response?.data?.message || 'Failed to load quiz.');
+    }
+  }
+};
+
+// Timed quizzes are checked against the start time in their attempt token, so an
+// attempt started from an old copy would always be late
+const isTimedQuiz = (quiz) => Boolean(quiz.timeLimitSeconds || quiz.questionTimeLimitSeconds);
+
+// Warm the service worker's cache with a quiz's images and audio
+const prefetchMedia = (quiz) => Promise.all(
+  (quiz.questions || [])
+    .flatMap(question => [question.image, question.audio])
+    .filter(Boolean)
+    .map(path => fetch(mediaUrl(path), { mode: 'no-cors' }).catch(() => null))
+);
+
+// Fetch the questions for a language (no answer keys are included) without recording
+// an attempt; kept on this device for offline use. Without an assessment slug the
+// default assessment is used.
+export const getQuestions = async (language, assessmentSlug, phone) => {
+  try {
+    const url = assessmentSlug
+      ? `/api/assessments/${encodeURIComponent(assessmentSlug)}/questions`
+      : '/api/questions';
+    const response = await api.get(url, { params: { language, phone } });
+    if (!isTimedQuiz(response.data)) {
+      await cacheQuietly(quizCacheKey(assessmentSlug, language), response.data);
+    }
+    return response.data;
+  } catch (error) {
+    console.error('Failed to fetch questions:', error);
+
+    if (error.code === 'ECONNABORTED') {
+      throw new Error('Request timeout. Server is starting up. Please wait and try again.');
+    } else if (!error.response) {
+      throw new Error('Cannot connect to server. Please check your internet connection.');
+    } else {
+      throw new Error(error.response?.data?.message || 'Failed to load questions.');
+    }
+  }
+};
+
+// Start an attempt: the server records its start and responds with { attemptId,
+// startedAt, questions... }. The phone number lets the server draw questions the
+// candidate has not seen before. Offline, the quiz saved on this device is used
+// instead (with `offline: true` and no attemptId), unless it is timed.
+export const startAttempt = async (language, assessmentSlug, phone) => {
+  try {
+    const response = await api.post('/api/attempts/start', { language, assessmentSlug, phone });
+    return response.data;
+  } catch (error) {
+    console.error('Failed to start quiz:', error);
+
+    const cached = isNetworkError(error)
+      ? await readCacheQuietly(quizCacheKey(assessmentSlug, language), QUIZ_CACHE_MAX_AGE_MS)
+      : null;
+    if (cached) {
+      return { ...cached, offline: true };
+    } else if (error.code === 'ECONNABORTED') {
+      throw new Error('Request timeout. Server is starting up. Please wait and try again.');
+    } else if (!error.response) {
+      throw new Error('Cannot connect to server, and this quiz has not been saved on this device for offline use. Timed quizzes always need a connection to start.');
+    } else {
+      throw new Error(getRateLimitMessage(error) || error.response?.data?.message || 'Failed to load questions.');
+    }
+  }
+};
+
+// Save a quiz in each language on this device while online, so candidates can take
+// it later without a connection. Copies saved recently are kept as they are.
+export const prefetchQuizzes = async (assessmentSlug, languages) => {
+  for (const language of languages) {
+    if (await readCacheQuietly(quizCacheKey(assessmentSlug, language), QUIZ_REFRESH_AGE_MS)) continue;
+    try {
+      const quiz = await getQuestions(language, assessmentSlug);
+      // Timed quizzes are never kept offline, in any language
+      if (isTimedQuiz(quiz)) return;
+      await prefetchMedia(quiz);
+    } catch {
+      // Not offered in this language, or the connection dropped
+    }
+  }
+};
+
+// Save the progress of an attempt as a server-side draft
+export const saveAttemptDraft = async (draft) => {
+  try {
+    const response = await api.put('/api/attempts/draft', draft);
+    return response.data;
+  } catch (error) {
+    console.error('Failed to save progress:', error);
+    throw new Error(getRateLimitMessage(error) || error.response?.data?.message || 'Could not save progress.');
+  }
+};
+
+// Continue an unfinished attempt: resolves to the same data as getQuestions, for the
+// same questions in the same order, plus { draft, secondsRemaining }
+export const resumeAttemptDraft = async (phone, verificationToken, assessmentSlug) => {
+  try {
+    const response = await api.post('/api/attempts/draft/resume', { phone, verificationToken, assessmentSlug });
+    return response.data;
+  } catch (error) {
+    console.error('Failed to resume quiz:', error);
+
+    if (!error.response) {
+      throw new Error('Cannot connect to server. Please check your internet connection.');
+    } else {
+      throw new Error(getRateLimitMessage(error) || error.response?.data?.message || 'Could not resume the quiz.');
     }
   }
 };
 
+// Discard an unfinished attempt to start over
+export const discardAttemptDraft = async (phone, verificationToken, assessmentSlug) => {
+  try {
+    const response = await api.delete('/api/attempts/draft', { data: { phone, verificationToken, assessmentSlug } });
+    return response.data;
+  } catch (error) {
+    console.error('Failed to discard unfinished quiz:', error);
+    throw new Error(getRateLimitMessage(error) || error.response?.data?.message || 'Could not discard the unfinished quiz.');
+  }
+};
+
 // Admin functions
+export const adminLogin = async (username, password) => {
+  try {
+    const response = await api.post('/api/admin/auth/login', { username, password });
+    const { token, admin, expiresIn } = response.data;
+    const session = { token, admin, expiresAt: Date.now() + expiresIn * 1000 };
+    sessionStorage.setItem(ADMIN_SESSION_KEY, JSON.stringify(session));
+    return session;
+  } catch (error) {
+    console.error('Admin login failed:', error);
+
+    if (!error.response) {
+      throw new Error('Cannot connect to server. Please check your internet connection.');
+    } else {
+      throw new Error(error.response?.data?.message || 'Sign in failed. Please try again.');
+    }
+  }
+};
+
 export const getAdminUsers = async () => {
   try {
     console.log('Fetching admin users...');
@@ -193,7 +556,7 @@ export const getAdminUsers = async () => {
 
 export const getUsers = async () => {
   try {
-    const response = await api.get('/api/users');
+    const response = await api.get('/api/users', { headers: adminAuthHeaders() });
     return response;
   } catch (error) {
     console.error('Get users failed:', error);
@@ -228,7 +591,7 @@ export const runDiagnostics = async () => {
     // Test 3: Users endpoint
     console.log('3. Testing users endpoint...');
     const usersResult = await api.get('/api/users');
-    results.usersEndpoint = { status: 'SUCCESS', count: usersResult.data.users?.length || 0 };
+    results.usersEndpoint = { status: 'SUCCESS', count: usersResult.data.length || 0 };
   } catch (error) {
     results.usersEndpoint = { status: 'FAILED', error: error.message };
   }
@@ -245,7 +608,7 @@ export const runDiagnostics = async () => {
       completionTime: 30
     };
     const saveResult = await saveUser(testPayload);
-    results.saveTest = { status: 'SUCCESS', userId: saveResult.data.userId };
+    results.saveTest = { status: 'SUCCESS', userId: saveResult.data.id };
   } catch (error) {
     results.saveTest = { status: 'FAILED', error: error.message };
   }
@@ -0,0 +1,53 @@
+// The progress of an unfinished attempt, kept in localStorage so it survives a
+// reload or a closed tab on this device. One draft per phone number and assessment,
+// holding the quiz as loaded (questions, attempt token...) and the candidate's state.
+
+const KEY_PREFIX = 'attemptDraft';
+
+// Attempt tokens stop being accepted after a week
+const MAX_DRAFT_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const draftKey = (phone, assessmentSlug) => `${KEY_PREFIX}:${phone}:${assessmentSlug || 'default'}`;
+
+const isExpired = (draft) =>
+  Date.now() - new Date(draft.quiz?.startedAt || draft.savedAt).getTime() > MAX_DRAFT_AGE_MS
+  || (draft.deadline && Date.now() >= draft.deadline);
+
+// The saved draft, or null when there is none or it can no longer be submitted
+export const loadLocalDraft = (phone, assessmentSlug) => {
+  try {
+    const draft = JSON.parse(localStorage.getItem(draftKey(phone, assessmentSlug)));
+    if (!draft?.quiz) return null;
+    if (isExpired(draft)) {
+      clearLocalDraft(phone, assessmentSlug);
+      return null;
+    }
+    return draft;
+  } catch {
+    return null;
+  }
+};
+
+// draft: { quiz, attemptId, answers, currentQuestion, elapsedSeconds, questionTimeUsed, deadline }
+export const saveLocalDraft = (phone, assessmentSlug, draft) => {
+  try {
+    localStorage.setItem(draftKey(phone, assessmentSlug), JSON.stringify({ ...draft, savedAt: Date.now() }));
+  } catch (error) {
+    // Storage full or disabled; the server-side draft still has the progress
+    console.warn('Could not save progress on this device:', error);
+  }
+};
+
+export const clearLocalDraft = (phone, assessmentSlug) => {
+  localStorage.removeItem(draftKey(phone, assessmentSlug));
+};
+
+// What the signup page shows about a saved draft
+export const toLocalDraftSummary = (draft) => draft && {
+  answeredCount: Object.values(draft.answers || {})
+    .filter(value => value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0))
+    .length,
+  currentQuestion: draft.currentQuestion,
+  elapsedSeconds: draft.elapsedSeconds,
+  updatedAt: new Date(draft.savedAt).toISOString()
+};
@@ -0,0 +1,75 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Button, IconButton, Tooltip } from '@mui/material';
+import { VolumeUp, Stop } from '@mui/icons-material';
+import { mediaUrl } from '../api';
+
+// Only one clip plays at a time across the page
+let playingAudio = null;
+
+// Plays a question or option narration. With `compact` it renders as an icon only.
+export default function ListenButton({ src, label = 'Listen', compact = false }) {
+  const audioRef = useRef(null);
+  const [playing, setPlaying] = useState(false);
+
+  // Stop when the clip changes (next question) or the button goes away
+  useEffect(() => {
+    return () => {
+      audioRef.current?.pause();
+      audioRef.current = null;
+      setPlaying(false);
+    };
+  }, [src]);
+
+  const toggle = (e) => {
+    // Option cards select the option on click; listening should not
+    e.stopPropagation();
+
+    if (playing) {
+      audioRef.current.pause();
+      audioRef.current.currentTime = 0;
+      return;
+    }
+
+    if (!audioRef.current) {
+      const audio = new Audio(mediaUrl(src));
+      audio.onended = () => setPlaying(false);
+      audio.onpause = () => setPlaying(false);
+      audioRef.current = audio;
+    }
+
+    if (playingAudio && playingAudio !== audioRef.current) {
+      playingAudio.pause();
+    }
+    playingAudio = audioRef.current;
+
+    audioRef.current.play()
+      .then(() => setPlaying(true))
+      .catch(err => {
+        console.error('Could not play audio:', err);
+        setPlaying(false);
+      });
+  };
+
+  if (!src) return null;
+
+  if (compact) {
+    return (
+      <Tooltip title={playing ? 'Stop' : label}>
+        <IconButton onClick={toggle} color="primary" size="small" aria-label={label}>
+          {playing ? <Stop /> : <VolumeUp />}
+        </IconButton>
+      </Tooltip>
+    );
+  }
+
+  return (
+    <Button
+      variant={playing ? 'contained' : 'outlined'}
+      startIcon={playing ? <Stop /> : <VolumeUp />}
+      onClick={toggle}
+      size="small"
+    >
+      {playing ? 'Stop' : label}
+    </Button>
+  );
+}
@@ -0,0 +1,78 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Box, Chip, CircularProgress, Tooltip } from '@mui/material';
+import { CloudUpload, ErrorOutline } from '@mui/icons-material';
+import { retryFailedSubmissions, syncQueuedSubmissions } from '../api';
+import { countOutbox, subscribeToOutbox } from '../offlineStore';
+
+// Retry queued submissions this often while any are waiting; the browser's "online"
+// event alone misses networks that are connected but not reaching the internet
+const RETRY_INTERVAL_MS = 60 * 1000;
+
+// Submissions saved on this device while offline, and their upload. Shown on every
+// page while anything is waiting.
+export default function PendingUploads() {
+  const [counts, setCounts] = useState({ pending: 0, failed: 0 });
+  const [syncing, setSyncing] = useState(false);
+
+  const refreshCounts = useCallback(() => {
+    countOutbox().then(setCounts).catch(() => {});
+  }, []);
+
+  const upload = useCallback(async (send) => {
+    setSyncing(true);
+    try {
+      await send();
+    } catch (error) {
+      console.warn('Could not upload saved submissions:', error);
+    } finally {
+      setSyncing(false);
+    }
+  }, []);
+
+  const sync = useCallback(() => upload(syncQueuedSubmissions), [upload]);
+  const retryFailed = useCallback(() => upload(retryFailedSubmissions), [upload]);
+
+  useEffect(() => {
+    refreshCounts();
+    sync();
+    window.addEventListener('online', sync);
+    const unsubscribe = subscribeToOutbox(refreshCounts);
+    return () => {
+      window.removeEventListener('online', sync);
+      unsubscribe();
+    };
+  }, [refreshCounts, sync]);
+
+  useEffect(() => {
+    if (counts.pending === 0) return;
+    const interval = setInterval(sync, RETRY_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [counts.pending, sync]);
+
+  if (counts.pending === 0 && counts.failed === 0) return null;
+
+  return (
+    <Box sx={{ position: 'fixed', bottom: 16, right: 16, zIndex: 1400, display: 'flex', flexDirection: 'column', gap: 1 }}>
+      {counts.pending > 0 && (
+        <Tooltip title="Saved on this device. Uploads automatically when the connection returns; click to try now.">
+          <Chip
+            icon={syncing ? <CircularProgress size={16} /> : <CloudUpload />}
+            label={`${counts.pending} submission${counts.pending === 1 ? '' : 's'} waiting to upload`}
+            color="warning"
+            onClick={syncing ? undefined : sync}
+          />
+        </Tooltip>
+      )}
+      {counts.failed > 0 && (
+        <Tooltip title="The server did not accept these (for example, the phone number needed verifying). They are kept on this device; click to try again.">
+          <Chip
+            icon={<ErrorOutline />}
+            label={`${counts.failed} submission${counts.failed === 1 ? '' : 's'} could not be uploaded`}
+            color="error"
+            onClick={syncing ? undefined : retryFailed}
+          />
+        </Tooltip>
+      )}
+    </Box>
+  );
+}
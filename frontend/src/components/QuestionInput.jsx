@@ -0,0 +1,297 @@
+import React from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  RadioGroup,
+  FormControlLabel,
+  Radio,
+  Checkbox,
+  TextField,
+  Button,
+  IconButton
+} from '@mui/material';
+import {
+  CheckCircle,
+  RadioButtonUnchecked,
+  CheckBox,
+  CheckBoxOutlineBlank,
+  ArrowUpward,
+  ArrowDownward,
+  ThumbUp,
+  ThumbDown
+} from '@mui/icons-material';
+import ListenButton from './ListenButton';
+import { mediaUrl } from '../api';
+
+// Answer values kept in the quiz state, per question type:
+//   single, true_false  -> option id
+//   multiple            -> array of option ids
+//   ordering            -> array of every option id, in the chosen order
+//   numeric, text       -> the string typed by the user
+
+const optionCardSx = (selected) => ({
+  p: 2,
+  mb: 2,
+  border: selected ? 2 : 1,
+  borderColor: selected ? 'primary.main' : 'divider',
+  borderRadius: 2,
+  cursor: 'pointer',
+  transition: 'all 0.3s ease',
+  '&:hover': {
+    backgroundColor: 'action.hover',
+    transform: 'translateY(-1px)',
+  },
+});
+
+// Option text with its picture and narration, when it has them
+const optionLabel = (option) => (
+  <Box display="flex" alignItems="center" gap={1.5} flexWrap="wrap">
+    {option?.image && (
+      <Box
+        component="img"
+        src={mediaUrl(option.image)}
+        alt=""
+        sx={{ maxHeight: 96, maxWidth: 160, borderRadius: 1, objectFit: 'contain' }}
+      />
+    )}
+    <Typography variant="body1" sx={{ fontWeight: 500 }}>
+      {option?.text}
+    </Typography>
+    {option?.audio && <ListenButton src={option.audio} label={`Listen: ${option.text}`} compact />}
+  </Box>
+);
+
+function SingleChoiceInput({ question, value, onChange }) {
+  return (
+    <RadioGroup value={value || ''} onChange={(e) => onChange(e.target.value)}>
+      {question.options.map((option) => (
+        <Paper
+          key={option.id}
+          elevation={value === option.id ? 3 : 0}
+          sx={optionCardSx(value === option.id)}
+          onClick={() => onChange(option.id)}
+        >
+          <FormControlLabel
+            value={option.id}
+            control={
+              <Radio
+                sx={{ mr: 2 }}
+                icon={<RadioButtonUnchecked />}
+                checkedIcon={<CheckCircle />}
+              />
+            }
+            label={optionLabel(option)}
+            sx={{ margin: 0, width: '100%' }}
+          />
+        </Paper>
+      ))}
+    </RadioGroup>
+  );
+}
+
+function MultiSelectInput({ question, value, onChange }) {
+  const selected = value || [];
+
+  const toggle = (optionId) => {
+    const next = selected.includes(optionId)
+      ? selected.filter(id => id !== optionId)
+      : [...selected, optionId];
+    onChange(next);
+  };
+
+  return (
+    <Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Select all answers that apply
+      </Typography>
+      {question.options.map((option) => {
+        const checked = selected.includes(option.id);
+        return (
+          <Paper
+            key={option.id}
+            elevation={checked ? 3 : 0}
+            sx={optionCardSx(checked)}
+            onClick={() => toggle(option.id)}
+          >
+            <FormControlLabel
+              control={
+                <Checkbox
+                  checked={checked}
+                  sx={{ mr: 2 }}
+                  icon={<CheckBoxOutlineBlank />}
+                  checkedIcon={<CheckBox />}
+                  onClick={(e) => e.stopPropagation()}
+                  onChange={() => toggle(option.id)}
+                />
+              }
+              label={optionLabel(option)}
+              sx={{ margin: 0, width: '100%' }}
+              onClick={(e) => e.preventDefault()}
+            />
+          </Paper>
+        );
+      })}
+    </Box>
+  );
+}
+
+function TrueFalseInput({ question, value, onChange }) {
+  const icons = [<ThumbUp key="up" />, <ThumbDown key="down" />];
+
+  return (
+    <Box display="flex" gap={2} flexWrap="wrap">
+      {question.options.map((option, index) => (
+        <Paper
+          key={option.id}
+          elevation={value === option.id ? 3 : 0}
+          sx={{ ...optionCardSx(value === option.id), flex: 1, minWidth: 140, textAlign: 'center', py: 3 }}
+          onClick={() => onChange(option.id)}
+        >
+          <Box color={value === option.id ? 'primary.main' : 'text.secondary'} mb={1}>
+            {icons[index]}
+          </Box>
+          {option.image && (
+            <Box
+              component="img"
+              src={mediaUrl(option.image)}
+              alt=""
+              sx={{ maxHeight: 96, maxWidth: '100%', borderRadius: 1, objectFit: 'contain', mb: 1 }}
+            />
+          )}
+          <Typography variant="h6">{option.text}</Typography>
+          {option.audio && <ListenButton src={option.audio} label={`Listen: ${option.text}`} compact />}
+        </Paper>
+      ))}
+    </Box>
+  );
+}
+
+function NumericInput({ value, onChange }) {
+  return (
+    <TextField
+      type="number"
+      label="Your answer"
+      value={value ?? ''}
+      onChange={(e) => onChange(e.target.value)}
+      inputProps={{ inputMode: 'decimal', step: 'any' }}
+      sx={{ maxWidth: 300 }}
+      fullWidth
+    />
+  );
+}
+
+function ShortTextInput({ value, onChange }) {
+  return (
+    <TextField
+      label="Your answer"
+      value={value ?? ''}
+      onChange={(e) => onChange(e.target.value)}
+      inputProps={{ maxLength: 200 }}
+      fullWidth
+    />
+  );
+}
+
+function OrderingInput({ question, value, onChange }) {
+  // Until the user touches the list, show the options as served
+  const order = value || question.options.map(option => option.id);
+  const optionsById = Object.fromEntries(question.options.map(option => [option.id, option]));
+
+  const move = (index, offset) => {
+    const next = [...order];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    onChange(next);
+  };
+
+  return (
+    <Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Use the arrows to put the items in the right order
+      </Typography>
+      {order.map((optionId, index) => (
+        <Paper
+          key={optionId}
+          elevation={0}
+          sx={{ ...optionCardSx(!!value), cursor: 'default', display: 'flex', alignItems: 'center', gap: 2 }}
+        >
+          <Typography variant="h6" color="primary" sx={{ minWidth: 24 }}>
+            {index + 1}
+          </Typography>
+          <Box flex={1}>{optionLabel(optionsById[optionId])}</Box>
+          <IconButton size="small" onClick={() => move(index, -1)} disabled={index === 0}>
+            <ArrowUpward />
+          </IconButton>
+          <IconButton size="small" onClick={() => move(index, 1)} disabled={index === order.length - 1}>
+            <ArrowDownward />
+          </IconButton>
+        </Paper>
+      ))}
+      {!value && (
+        <Button variant="outlined" onClick={() => onChange(order)}>
+          This order is correct
+        </Button>
+      )}
+    </Box>
+  );
+}
+
+const INPUTS = {
+  single: SingleChoiceInput,
+  multiple: MultiSelectInput,
+  true_false: TrueFalseInput,
+  numeric: NumericInput,
+  text: ShortTextInput,
+  ordering: OrderingInput
+};
+
+// Render the answer input for a question, based on its type
+export default function QuestionInput({ question, value, onChange }) {
+  const Input = INPUTS[question.type] || SingleChoiceInput;
+  return <Input question={question} value={value} onChange={onChange} />;
+}
+
+// Whether the user has given an answer to a question
+export const isAnswered = (question, value) => {
+  switch (question.type) {
+    case 'multiple':
+      return Array.isArray(value) && value.length > 0;
+    case 'ordering':
+      return Array.isArray(value);
+    case 'numeric':
+      return typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value));
+    case 'text':
+      return typeof value === 'string' && value.trim() !== '';
+    default:
+      return !!value;
+  }
+};
+
+// Shape a question's answer for submission. `answer` is the text shown in reports;
+// the server grades the typed fields (optionId, optionIds or value).
+export const toSubmittedAnswer = (question, value) => {
+  const type = question.type || 'single';
+  const base = { questionId: question.id, question: question.q, type };
+  const optionText = (id) => question.options.find(option => option.id === id)?.text || '';
+  const answered = isAnswered(question, value);
+
+  switch (type) {
+    case 'multiple':
+    case 'ordering': {
+      const optionIds = answered ? value : [];
+      return {
+        ...base,
+        optionIds,
+        answer: optionIds.map(optionText).join(type === 'ordering' ? ' → ' : ', ')
+      };
+    }
+    case 'numeric':
+      return { ...base, value: answered ? Number(value) : null, answer: answered ? value.trim() : '' };
+    case 'text':
+      return { ...base, value: answered ? value.trim() : '', answer: answered ? value.trim() : '' };
+    default: {
+      const selected = question.options.find(option => option.id === value);
+      return { ...base, optionId: selected?.id || '', answer: selected?.text || '' };
+    }
+  }
+};
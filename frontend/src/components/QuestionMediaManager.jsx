@@ -0,0 +1,270 @@
+import React, { useState, useEffect } from 'react';
+import { adminAuthHeaders } from '../api';
+
+const LANGUAGES = ['English', 'Hindi', 'Tamil', 'Telugu', 'Kannada', 'Marathi'];
+
+// Admin view for uploading, replacing and removing question and option media.
+// Images are shared by every language of a question; audio is uploaded per language.
+const QuestionMediaManager = ({ apiBaseUrl }) => {
+  const [language, setLanguage] = useState('English');
+  const [questions, setQuestions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [busySlot, setBusySlot] = useState(null);
+
+  useEffect(() => {
+    fetchQuestions();
+  }, [language]);
+
+  const fetchQuestions = async () => {
+    try {
+      setLoading(true);
+
+      const response = await fetch(`${apiBaseUrl}/api/admin/questions?language=${encodeURIComponent(language)}`, {
+        headers: adminAuthHeaders()
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const data = await response.json();
+      setQuestions(Array.isArray(data.questions) ? data.questions : []);
+      setError('');
+    } catch (err) {
+      console.error('Error fetching questions:', err);
+      setError(`Failed to fetch questions: ${err.message}`);
+      setQuestions([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const mediaEndpoint = (question, kind, optionId) => {
+    const query = optionId ? `?optionId=${encodeURIComponent(optionId)}` : '';
+    return `${apiBaseUrl}/api/admin/questions/${question._id}/media/${kind}${query}`;
+  };
+
+  const sendMediaRequest = async (slot, url, options) => {
+    setBusySlot(slot);
+    try {
+      const response = await fetch(url, { ...options, headers: { ...options.headers, ...adminAuthHeaders() } });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.message || `HTTP error! status: ${response.status}`);
+      }
+      await fetchQuestions();
+    } catch (err) {
+      console.error('Error updating media:', err);
+      alert(`Could not update media: ${err.message}`);
+    } finally {
+      setBusySlot(null);
+    }
+  };
+
+  const uploadMedia = (slot, question, kind, optionId, file) => {
+    if (!file) return;
+    sendMediaRequest(slot, mediaEndpoint(question, kind, optionId), {
+      method: 'PUT',
+      headers: { 'Content-Type': file.type },
+      body: file
+    });
+  };
+
+  const removeMedia = (slot, question, kind, optionId) => {
+    const scope = kind === 'image' ? 'every language' : language;
+    if (!window.confirm(`Remove this ${kind} (${scope})?`)) return;
+    sendMediaRequest(slot, mediaEndpoint(question, kind, optionId), { method: 'DELETE' });
+  };
+
+  const renderSlots = (question, target, optionId) => (
+    ['image', 'audio'].map(kind => {
+      const slot = `${question._id}-${optionId || 'question'}-${kind}`;
+      return (
+        <MediaSlot
+          key={kind}
+          kind={kind}
+          media={target[kind]}
+          apiBaseUrl={apiBaseUrl}
+          busy={busySlot === slot}
+          onUpload={(file) => uploadMedia(slot, question, kind, optionId, file)}
+          onRemove={() => removeMedia(slot, question, kind, optionId)}
+        />
+      );
+    })
+  );
+
+  return (
+    <div>
+      <div style={styles.controls}>
+        <select value={language} onChange={(e) => setLanguage(e.target.value)} style={styles.select}>
+          {LANGUAGES.map(lang => (
+            <option key={lang} value={lang}>{lang}</option>
+          ))}
+        </select>
+        <p style={styles.hint}>
+          🖼️ Images are shared by every language. 🔊 Audio is recorded separately for {language}.
+        </p>
+      </div>
+
+      {error && <div style={styles.errorBox}>{error}</div>}
+
+      {loading ? (
+        <p style={styles.hint}>Loading questions...</p>
+      ) : questions.length === 0 ? (
+        <p style={styles.hint}>No questions in {language}.</p>
+      ) : (
+        questions.map(question => (
+          <div key={question._id} style={styles.questionCard}>
+            <div style={styles.questionHeader}>
+              <strong>Q{question.questionId}: </strong>{question.text}
+            </div>
+            <div style={styles.slots}>{renderSlots(question, question)}</div>
+
+            {(question.options || []).map(option => (
+              <div key={option.id} style={styles.optionRow}>
+                <span style={styles.optionText}>{option.text}</span>
+                <div style={styles.slots}>{renderSlots(question, option, option.id)}</div>
+              </div>
+            ))}
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+// Preview of one image or audio clip with upload / replace / remove actions
+const MediaSlot = ({ kind, media, apiBaseUrl, busy, onUpload, onRemove }) => (
+  <div style={styles.slot}>
+    {media?.url ? (
+      kind === 'image' ? (
+        <img src={`${apiBaseUrl}${media.url}`} alt="" style={styles.imagePreview} />
+      ) : (
+        <audio src={`${apiBaseUrl}${media.url}`} controls style={styles.audioPreview} />
+      )
+    ) : (
+      <span style={styles.emptySlot}>{kind === 'image' ? '🖼️ No image' : '🔊 No audio'}</span>
+    )}
+    <label style={{ ...styles.slotButton, opacity: busy ? 0.6 : 1 }}>
+      {busy ? 'Saving...' : media?.url ? 'Replace' : 'Upload'}
+      <input
+        type="file"
+        accept={kind === 'image' ? 'image/png,image/jpeg,image/gif,image/webp' : 'audio/*'}
+        disabled={busy}
+        style={{ display: 'none' }}
+        onChange={(e) => {
+          onUpload(e.target.files[0]);
+          e.target.value = '';
+        }}
+      />
+    </label>
+    {media?.url && (
+      <button onClick={onRemove} disabled={busy} style={styles.removeButton}>
+        Remove
+      </button>
+    )}
+  </div>
+);
+
+const styles = {
+  controls: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '15px',
+    flexWrap: 'wrap',
+    marginBottom: '20px',
+    backgroundColor: 'white',
+    padding: '20px',
+    borderRadius: '10px',
+    boxShadow: '0 2px 5px rgba(0,0,0,0.1)'
+  },
+  select: {
+    padding: '12px',
+    border: '2px solid #ddd',
+    borderRadius: '8px',
+    fontSize: '14px',
+    outline: 'none'
+  },
+  hint: {
+    margin: 0,
+    color: '#7f8c8d',
+    fontSize: '14px'
+  },
+  errorBox: {
+    backgroundColor: '#fdf2f2',
+    color: '#e74c3c',
+    padding: '15px',
+    borderRadius: '8px',
+    marginBottom: '20px'
+  },
+  questionCard: {
+    backgroundColor: 'white',
+    padding: '20px',
+    borderRadius: '10px',
+    boxShadow: '0 2px 5px rgba(0,0,0,0.1)',
+    marginBottom: '15px'
+  },
+  questionHeader: {
+    fontSize: '15px',
+    color: '#2c3e50',
+    marginBottom: '10px'
+  },
+  optionRow: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    flexWrap: 'wrap',
+    gap: '10px',
+    padding: '10px 0 10px 20px',
+    borderTop: '1px solid #ecf0f1'
+  },
+  optionText: {
+    fontSize: '14px',
+    color: '#34495e'
+  },
+  slots: {
+    display: 'flex',
+    gap: '20px',
+    flexWrap: 'wrap'
+  },
+  slot: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px'
+  },
+  imagePreview: {
+    maxHeight: '60px',
+    maxWidth: '100px',
+    borderRadius: '4px',
+    border: '1px solid #ddd'
+  },
+  audioPreview: {
+    height: '32px',
+    maxWidth: '220px'
+  },
+  emptySlot: {
+    color: '#95a5a6',
+    fontSize: '12px'
+  },
+  slotButton: {
+    padding: '6px 12px',
+    backgroundColor: '#3498db',
+    color: 'white',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '12px',
+    fontWeight: 'bold'
+  },
+  removeButton: {
+    padding: '6px 12px',
+    backgroundColor: '#e74c3c',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '12px',
+    fontWeight: 'bold'
+  }
+};
+
+export default QuestionMediaManager;
@@ -0,0 +1,29 @@
+import React, { useEffect, useState } from 'react';
+import AdminLogin from '../pages/AdminLogin';
+import { clearAdminSession, getAdminSession } from '../api';
+
+// Gate for the admin pages. Shows the sign-in form until there is a session, then
+// renders children(session, logout). The server checks the role on every request.
+const RequireAdmin = ({ children }) => {
+  const [session, setSession] = useState(getAdminSession);
+
+  // Sessions expire on the server; drop ours at the same time
+  useEffect(() => {
+    if (!session) return undefined;
+    const timeout = setTimeout(logout, Math.max(0, session.expiresAt - Date.now()));
+    return () => clearTimeout(timeout);
+  }, [session]);
+
+  const logout = () => {
+    clearAdminSession();
+    setSession(null);
+  };
+
+  if (!session) {
+    return <AdminLogin onLogin={setSession} />;
+  }
+
+  return children(session, logout);
+};
+
+export default RequireAdmin;
@@ -1,75 +0,0 @@
-// questionId starts from 1..10
-export const QUESTIONS = {
-  English: [
-    { id: 1, q: "What is the capital of India?", options: ["Mumbai", "New Delhi", "Kolkata", "Chennai"] },
-    { id: 2, q: "Which is the largest planet?", options: ["Earth", "Mars", "Jupiter", "Venus"] },
-    { id: 3, q: "What color do you get by mixing red and white?", options: ["Pink", "Purple", "Orange", "Brown"] },
-    { id: 4, q: "Which animal is known as 'King of the Jungle'?", options: ["Tiger", "Lion", "Elephant", "Leopard"] },
-    { id: 5, q: "How many days in a leap year?", options: ["365", "366", "364", "360"] },
-    { id: 6, q: "Which instrument has 6 strings?", options: ["Piano", "Guitar", "Violin", "Flute"] },
-    { id: 7, q: "What is H2O?", options: ["Oxygen", "Water", "Hydrogen", "Salt"] },
-    { id: 8, q: "Which organ pumps blood?", options: ["Lungs", "Kidney", "Heart", "Liver"] },
-    { id: 9, q: "Which continent is India in?", options: ["Africa", "Asia", "Europe", "America"] },
-    { id: 10, q: "Which gas do plants use?", options: ["Oxygen", "Carbon Dioxide", "Nitrogen", "Hydrogen"] }
-  ],
-  Hindi: [
-    { id: 1, q: "भारत की राजधानी क्या है?", options: ["मुंबई", "नई दिल्ली", "कोलकाता", "चेन्नई"] },
-    { id: 2, q: "सबसे बड़ा ग्रह कौन सा है?", options: ["पृथ्वी", "मंगल", "बृहस्पति", "शुक्र"] },
-    { id: 3, q: "लाल और सफेद मिला कर कौन सा रंग बनता है?", options: ["गुलाबी", "बैंगनी", "नारंगी", "भूरा"] },
-    { id: 4, q: "किस जानवर को 'जंगल का राजा' कहा जाता है?", options: ["शेर", "बाघ", "हाथी", "चीता"] },
-    { id: 5, q: "लीप वर्ष में कितने दिन होते हैं?", options: ["365", "366", "364", "360"] },
-    { id: 6, q: "किस वाद्य में 6 तार होते हैं?", options: ["पियानो", "गिटार", "वायलिन", "फ्लूट"] },
-    { id: 7, q: "H2O क्या है?", options: ["ऑक्सीजन", "पानी", "हाइड्रोजन", "नमक"] },
-    { id: 8, q: "कौन सा अंग रक्त पंप करता है?", options: ["फेफड़े", "गुर्दा", "दिल", "जिगर"] },
-    { id: 9, q: "भारत किस महाद्वीप में है?", options: ["अफ़्रीका", "एशिया", "यूरोप", "अमेरिका"] },
-    { id: 10, q: "पेड़ किस गैस का उपयोग करते हैं?", options: ["ऑक्सीजन", "कार्बन डाइऑक्साइड", "नाइट्रोजन", "हाइड्रोजन"] }
-  ],
-  Tamil: [
-    { id: 1, q: "இந்தியாவின் தலைநகரம் என்ன?", options: ["மும்பை", "நியூ டெல்ஹி", "கொழுக்கட்டை", "சென்னை"] },
-    { id: 2, q: "முக்கியமான மிகப்பெரிய கிரகமெது?", options: ["பூமி", "செவ்வாய்", "வியாழன்", "குரு"] },
-    { id: 3, q: "இலையின் கலவையில் எது வருகிறது?", options: ["பவழம்", "பச்சை", "ஓசை", "மஞ்சள்"] },
-    { id: 4, q: "காட்டின் அரசன் என்று அழைக்கப்படும் விலங்கு யார்?", options: ["சிங்கம்", "புலி", "யானை", "சீட்டா"] },
-    { id: 5, q: "ஒரு லீப் வருடத்தில் எத்தனை நாட்கள்?", options: ["365", "366", "364", "360"] },
-    { id: 6, q: "6 ஸ்ட்ரிங்க்கள் உள்ள கருவி எது?", options: ["பியானோ", "கிட்டார்", "வைலின்", "ஃப்ளூட்"] },
-    { id: 7, q: "H2O என்ன?", options: ["ஆக்சிஜன்", "நீரு", "ஹைட்ரஜன்", "உப்பு"] },
-    { id: 8, q: "எது இரத்தத்தை பம்ப் செய்கிறது?", options: ["மூச்சுப்பை", "தகடு", "இதயம்", "கல்லீரல்"] },
-    { id: 9, q: "இந்தியா எந்த கண்டத்தில் உள்ளது?", options: ["ஆப்பிரிக்கா", "ஆசியா", "யூரோப்", "அமெரிக்கா"] },
-    { id: 10, q: "சூழலில் செடிகள் எந்த வாயுவைப் பயன்படுத்துகிறது?", options: ["ஆக்சிஜன்", "கார்பன் டை ஆக்சைடு", "நைட்ரஜன்", "ஹைட்ரஜன்"] }
-  ],
-  Telugu: [
-    { id: 1, q: "భారతదేశ రాజధాని ఏమిటి?", options: ["ముంబై", "న్యూఢిల్లీ", "కొల్కతా", "చెన్నాయి"] },
-    { id: 2, q: "పాధును పెద్ద గ్రహం ఏది?", options: ["భూమి", "మంగళ", "బృహస్పతి", "శుక్ర"] },
-    { id: 3, q: "ఎరుపు మరియు తెలుపు కలిపితే ఎటువంటి రంగు వస్తుంది?", options: ["గులాబీ", "నేలుపు", "నారింజ", "బ్రౌన్"] },
-    { id: 4, q: "కాన్వాసులో 'అరణ్యపు రాజు' ఎవరు?", options: ["సింహం", "పులి", "ఎలుక", "చీతా"] },
-    { id: 5, q: "లీప్ సంవత్సరం లో రోజులు ఎంత?", options: ["365", "366", "364", "360"] },
-    { id: 6, q: "6 స్ట్రింగ్స్ ఉన్న వాయిద్య పరికరం ఏది?", options: ["పియానో", "గ్యిటార్", "వయలిన్", "ఫ్లూట్"] },
-    { id: 7, q: "H2O ఏమిటి?", options: ["ఆక్సిజన్", "నీరు", "హైడ్రోజన్", "ఉప్పు"] },
-    { id: 8, q: "రక్తాన్ని పంపే అవయవం ఏది?", options: ["శ్వాసకోశాలు", "కిడ్నీ", "హృదయం", "కాలింది"] },
-    { id: 9, q: "భారత దేశం ఏ ఖండంలో ఉంది?", options: ["ఆఫ్రికా", "ఆసియా", "యూరోప్", "అమెరికా"] },
-    { id: 10, q: "మరిపుడి మొక్కలు ఏ వాయువును ఉపయోగిస్తాయి?", options: ["ఆక్సిజన్", "కార్బన్ డయాక్సైడ్", "నైట్రోజన్", "హైడ్రోజన్"] }
-  ],
-  Kannada: [
-    { id: 1, q: "ಭಾರತದ ರಾಜಧಾನಿ ಯಾವುದು?", options: ["ಮುಂಬೈ", "ನ್ಯೂ ಡೆಹಲಿ", "ಕೊಲ್ಕತಾ", "ಚೆನ್ನೈ"] },
-    { id: 2, q: "ಇದು ಅತ್ಯಂತ ದೊಡ್ಡ ಗ್ರಹ ಯಾವುದು?", options: ["ಭೂಮಿ", "ಮಂಗಳ", "ಗುರು", "ಶುಕ್ರ"] },
-    { id: 3, q: "ಕೆಂಪು ಮತ್ತು ಬಿಳಿಯನ್ನು ಕರುವು ಹಗಲು ಯಾವ ಬಣ್ಣ ಬರುತ್ತದೆ?", options: ["ಗುಲಾಬಿ", "ನೇಲಿ", "ಸಂತರ", "ಬೂದಿ"] },
-    { id: 4, q: "ಕಾಡಿನ ರಾಜನೆಂದು ಕರೆಯುವ ಪ್ರಾಣಿ ಯಾವುದು?", options: ["ಸಿಂಹ", "ಹಾವೆ", "ಆನೆ", "ಚಿರತೆ"] },
-    { id: 5, q: "ಲೀಪ್ ವರ್ಷದಲ್ಲಿ ಎಷ್ಟು ದಿನ?", options: ["365", "366", "364", "360"] },
-    { id: 6, q: "6 ಸ್ಟ್ರಿಂಗ್ ಹೊಂದಿರುವ ವಾದ್ಯಯಂತ್ರ ಯಾವುದು?", options: ["ಪಿಯಾನೋ", "ಗಿಟಾರ್", "ವಯಲಿನ್", "ಬ್ಲೂಟ್"] },
-    { id: 7, q: "H2O ಏನು?", options: ["ಆಕ್ಸಿಜೆನ್", "ನೀರು", "ಹೈಡ್ರೋಜನ್", "ಉಪ್ಪು"] },
-    { id: 8, q: "ರಕ್ತವನ್ನು ಪಂಪ್ ಮಾಡುವ ಅಂಗ ಯಾವುದು?", options: ["ಫೆಫ್ಸ", "ಕಿಡ್ನಿ", "ಹೃದಯ", "ಲೀವರ"] },
-    { id: 9, q: "ಭಾರತ ಯಾವ ಖಂಡದಲ್ಲಿದೆ?", options: ["ಆಫ್ರಿಕಾ", "ಏಷ್ಯಾ", "ಯುರೋಪ್", "ಅಮೆರಿಕಾ"] },
-    { id: 10, q: "ಸಸ್ಯಗಳು ಯಾವ ವಾಯುವನ್ನು ಉಪಯೋಗಿಸುತ್ತವೆ?", options: ["ಆಕ್ಸಿಜನ್", "ಕಾರ್ಬನ್ ಡಯಾಕ್ಸೈಡ್", "ನೈಟ್ರಾಜನ್", "ಹೈಡ್ರೋಜನ್"] }
-  ],
-  Marathi: [
-    { id: 1, q: "भारताची राजधानी कोणती?", options: ["मुंबई", "नवी दिल्ली", "कोलकाता", "चेन्नई"] },
-    { id: 2, q: "सगळ्यात मोठा ग्रह कोणता?", options: ["पृथ्वी", "मंगळ", "बृहस्पति", "शुक्र"] },
-    { id: 3, q: "लाल आणि पांढरा मिळविल्यावर कोनता रंग बनतो?", options: ["गुलाबी", "जांभळा", "नारिंगी", " तपकिरी"] },
-    { id: 4, q: "कोणत्या प्राण्याला 'जंगलाचा राजा' म्हटले जाते?", options: ["सिंह", "वाघ", "हत्ती", "चीत्या"] },
-    { id: 5, q: "लीप वर्षी किती दिवस असतात?", options: ["365", "366", "364", "360"] },
-    { id: 6, q: "6 तार असलेले वाद्य कोणते?", options: ["पियानो", "गिटार", "व्हायोलिन", "फ्लूट"] },
-    { id: 7, q: "H2O काय आहे?", options: ["ऑक्सिजन", "पाणी", "हायड्रोजन", "मीठ"] },
-    { id: 8, q: "रक्त कोणत्या अवयवाने पंप होते?", options: ["फुफ्फुस", "वृषण", "हृदय", "यकृत"] },
-    { id: 9, q: "भारत कोणत्या खंडात आहे?", options: ["आफ्रिका", "एशिया", "यूरोपा", "अमेरिका"] },
-    { id: 10, q: "वनस्पती कोणत्या वायूचा वापर करतात?", options: ["ऑक्सिजन", "कार्बन डायऑक्साइड", "नायट्रोजन", "हायड्रोजन"] }
-  ]
-};
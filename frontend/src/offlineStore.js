@@ -0,0 +1,111 @@
+// Data kept on this device so the quiz works without a connection, in IndexedDB:
+//   outbox - finished submissions waiting to be uploaded:
+//            { id, payload, queuedAt, status: 'pending' | 'failed', error }
+//   cache  - responses saved for offline use (quizzes, assessment details): { key, value, savedAt }
+
+const DB_NAME = 'quizOffline';
+const DB_VERSION = 1;
+const OUTBOX = 'outbox';
+const CACHE = 'cache';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(OUTBOX)) {
+          db.createObjectStore(OUTBOX, { keyPath: 'id', autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains(CACHE)) {
+          db.createObjectStore(CACHE, { keyPath: 'key' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      // Let a later call try again (e.g. after storage was cleared)
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+// Run one request against a store and resolve to its result
+const inStore = async (storeName, mode, makeRequest) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const request = makeRequest(db.transaction(storeName, mode).objectStore(storeName));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+// Outbox
+
+const listeners = new Set();
+
+const notifyOutboxChanged = () => {
+  listeners.forEach(listener => listener());
+};
+
+// Call `listener` whenever the outbox changes; returns a function that stops it
+export const subscribeToOutbox = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const addToOutbox = async (payload) => {
+  const id = await inStore(OUTBOX, 'readwrite', store =>
+    store.add({ payload, queuedAt: Date.now(), status: 'pending', error: null }));
+  notifyOutboxChanged();
+  return id;
+};
+
+// Oldest first
+export const listOutbox = () => inStore(OUTBOX, 'readonly', store => store.getAll());
+
+export const removeFromOutbox = async (id) => {
+  await inStore(OUTBOX, 'readwrite', store => store.delete(id));
+  notifyOutboxChanged();
+};
+
+// The server refused the submission; it is kept (and only retried on request) so the answers are not lost
+export const markOutboxFailed = async (entry, error) => {
+  await inStore(OUTBOX, 'readwrite', store => store.put({ ...entry, status: 'failed', error }));
+  notifyOutboxChanged();
+};
+
+// Queue the submissions the server refused for upload again
+export const retryFailedOutbox = async () => {
+  const failed = (await listOutbox()).filter(entry => entry.status === 'failed');
+  for (const entry of failed) {
+    await inStore(OUTBOX, 'readwrite', store => store.put({ ...entry, status: 'pending', error: null }));
+  }
+  if (failed.length > 0) notifyOutboxChanged();
+  return failed.length;
+};
+
+// { pending, failed }
+export const countOutbox = async () => {
+  const entries = await listOutbox();
+  return {
+    pending: entries.filter(entry => entry.status === 'pending').length,
+    failed: entries.filter(entry => entry.status === 'failed').length
+  };
+};
+
+// Cache
+
+export const cacheValue = (key, value) =>
+  inStore(CACHE, 'readwrite', store => store.put({ key, value, savedAt: Date.now() }));
+
+// The cached value, or null when there is none or it is older than maxAgeMs
+export const readCachedValue = async (key, maxAgeMs = Infinity) => {
+  const entry = await inStore(CACHE, 'readonly', store => store.get(key));
+  if (!entry || Date.now() - entry.savedAt > maxAgeMs) return null;
+  return entry.value;
+};
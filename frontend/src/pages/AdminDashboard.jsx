@@ -1,43 +1,188 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import QuestionMediaManager from '../components/QuestionMediaManager';
+import { adminAuthHeaders } from '../api';
 
-const AdminDashboard = () => {
-  const [users, setUsers] = useState([]);
+const ROLE_LABELS = {
+  super_admin: 'Super-admin',
+  analyst: 'Analyst (read-only)',
+  school_coordinator: 'School coordinator'
+};
+
+const LANGUAGES = ['English', 'Hindi', 'Tamil', 'Telugu', 'Kannada', 'Marathi'];
+const PAGE_SIZES = [25, 50, 100, 200];
+// The largest page the server returns; used when exporting every matching row
+const EXPORT_PAGE_SIZE = 200;
+const SEARCH_DELAY_MS = 400;
+
+const AdminDashboard = ({ session, onLogout }) => {
+  const [rows, setRows] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pageSize: 50, total: 0, totalPages: 1 });
+  const [statistics, setStatistics] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [fetching, setFetching] = useState(false);
+  const [exporting, setExporting] = useState(false);
   const [error, setError] = useState('');
   const [searchTerm, setSearchTerm] = useState('');
+  const [schoolFilter, setSchoolFilter] = useState('');
+  const [classFilter, setClassFilter] = useState('');
+  // Typed filters are applied once typing pauses
+  const [textFilters, setTextFilters] = useState({ search: '', school: '', class: '' });
   const [selectedLanguage, setSelectedLanguage] = useState('all');
+  const [assessments, setAssessments] = useState([]);
+  const [selectedAssessment, setSelectedAssessment] = useState('all');
+  const [dateFrom, setDateFrom] = useState('');
+  const [dateTo, setDateTo] = useState('');
+  const [minAttempts, setMinAttempts] = useState('');
+  const [maxAttempts, setMaxAttempts] = useState('');
+  const [sort, setSort] = useState({ key: '', order: '' });
+  const [page, setPage] = useState(1);
+  const [pageSize, setPageSize] = useState(50);
   const [viewMode, setViewMode] = useState('users');
   const [exportingUserId, setExportingUserId] = useState(null);
+  const latestRequest = useRef(0);
+  const { admin } = session;
+  const isSuperAdmin = admin.role === 'super_admin';
+
+  // Dynamic API URL detection
+  const API_BASE_URL = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+    ? 'http://localhost:5000'
+    : 'https://childfund-onlinetest.onrender.com';
 
   useEffect(() => {
-    fetchUsers();
+    fetchAssessments();
   }, []);
 
-  const fetchUsers = async () => {
-    try {
-      setLoading(true);
-      // Dynamic API URL detection
-      const API_BASE_URL = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
-        ? 'http://localhost:5000'
-        : 'https://childfund-onlinetest.onrender.com';
+  useEffect(() => {
+    const next = { search: searchTerm.trim(), school: schoolFilter.trim(), class: classFilter.trim() };
+    if (Object.keys(next).every(key => next[key] === textFilters[key])) return;
+
+    const timer = setTimeout(() => {
+      setTextFilters(next);
+      setPage(1);
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [searchTerm, schoolFilter, classFilter]);
+
+  useEffect(() => {
+    if (viewMode !== 'media') fetchListing();
+  }, [viewMode, page, pageSize, sort, textFilters, selectedLanguage, selectedAssessment, dateFrom, dateTo, minAttempts, maxAttempts]);
+
+  // Change a filter and go back to the first page
+  const updateFilter = (setter) => (value) => {
+    setter(value);
+    setPage(1);
+  };
+
+  const changeViewMode = (mode) => {
+    if (mode === viewMode) return;
+    setRows([]);
+    setSort({ key: '', order: '' });
+    setPage(1);
+    setViewMode(mode);
+  };
+
+  // Clicking a column sorts by it; clicking it again flips the order
+  const changeSort = (key) => {
+    setSort(prev => ({ key, order: prev.key === key && prev.order === 'asc' ? 'desc' : 'asc' }));
+    setPage(1);
+  };
 
-      const response = await fetch(`${API_BASE_URL}/api/admin/users`);
+  const fetchAssessments = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/admin/assessments`, { headers: adminAuthHeaders() });
+      if (response.status === 401) {
+        onLogout();
+        return;
+      }
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
 
       const data = await response.json();
-      console.log('Fetched users:', data);
+      setAssessments(Array.isArray(data.assessments) ? data.assessments : []);
+    } catch (err) {
+      // The assessment filter is optional, so the dashboard still works without it
+      console.error('Error fetching assessments:', err);
+      setAssessments([]);
+    }
+  };
+
+  // Query string for the current filters and sort; empty filters are left out
+  const buildListingParams = (pageNumber, size) => {
+    const params = new URLSearchParams({ page: String(pageNumber), pageSize: String(size) });
+    const optional = {
+      search: textFilters.search,
+      school: textFilters.school,
+      class: textFilters.class,
+      language: selectedLanguage !== 'all' ? selectedLanguage : '',
+      assessment: selectedAssessment !== 'all' ? selectedAssessment : '',
+      // Dates are picked as local days; the range includes the whole of the last day
+      dateFrom: dateFrom ? new Date(`${dateFrom}T00:00:00`).toISOString() : '',
+      dateTo: dateTo ? new Date(`${dateTo}T23:59:59.999`).toISOString() : '',
+      minAttempts,
+      maxAttempts,
+      sort: sort.key,
+      order: sort.order
+    };
+    Object.entries(optional).forEach(([key, value]) => {
+      if (value !== '') params.set(key, value);
+    });
+    return params;
+  };
 
-      const usersData = data.users || data || [];
-      setUsers(Array.isArray(usersData) ? usersData : []);
+  const requestListing = async (pageNumber, size) => {
+    const path = viewMode === 'submissions' ? 'submissions' : 'users';
+    const response = await fetch(
+      `${API_BASE_URL}/api/admin/${path}?${buildListingParams(pageNumber, size)}`,
+      { headers: adminAuthHeaders() }
+    );
+    if (response.status === 401) {
+      onLogout();
+      return null;
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+  };
+
+  const fetchListing = async () => {
+    // Only the newest request updates the table when filters change quickly
+    const requestId = ++latestRequest.current;
+
+    try {
+      setFetching(true);
+      const data = await requestListing(page, pageSize);
+      if (!data || requestId !== latestRequest.current) return;
+
+      console.log('Fetched listing:', data);
+      setRows((viewMode === 'submissions' ? data.submissions : data.users) || []);
+      setPagination(data.pagination || { page, pageSize, total: 0, totalPages: 1 });
+      if (data.statistics) setStatistics(data.statistics);
       setError('');
     } catch (err) {
-      console.error('Error fetching users:', err);
-      setError(`Failed to fetch users: ${err.message}`);
-      setUsers([]);
+      if (requestId !== latestRequest.current) return;
+      console.error(`Error fetching ${viewMode}:`, err);
+      setError(`Failed to fetch ${viewMode}: ${err.message}`);
+      setRows([]);
     } finally {
-      setLoading(false);
+      if (requestId === latestRequest.current) {
+        setFetching(false);
+        setLoading(false);
+      }
+    }
+  };
+
+  // Every row matching the filters, fetched page by page (for exports)
+  const fetchAllRows = async () => {
+    const allRows = [];
+    for (let pageNumber = 1; ; pageNumber++) {
+      const data = await requestListing(pageNumber, EXPORT_PAGE_SIZE);
+      if (!data) return null;
+      allRows.push(...((viewMode === 'submissions' ? data.submissions : data.users) || []));
+      if (pageNumber >= (data.pagination?.totalPages || 1)) return allRows;
     }
   };
 
@@ -72,79 +217,9 @@ const AdminDashboard = () => {
     }
   };
 
-  // Get all submissions from all users for submissions view
-  const getAllSubmissions = () => {
-    const submissions = [];
-    users.forEach(user => {
-      if (user.submissions && user.submissions.length > 0) {
-        user.submissions.forEach((submission, index) => {
-          submissions.push({
-            ...submission,
-            user: user,
-            submissionNumber: index + 1,
-            totalUserSubmissions: user.submissions.length
-          });
-        });
-      } else if (user.answers && user.answers.length > 0) {
-        submissions.push({
-          answers: user.answers,
-          submittedAt: user.createdAt,
-          user: user,
-          submissionNumber: 1,
-          totalUserSubmissions: 1,
-          isLegacy: true
-        });
-      }
-    });
-    return submissions.sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
-  };
 
-  // Improved filter function with better search handling
-  const getFilteredData = () => {
-    if (viewMode === 'submissions') {
-      const allSubmissions = getAllSubmissions();
-      return allSubmissions.filter(submission => {
-        const user = submission.user;
-        
-        // Improved search matching with null safety
-        const matchesSearch = !searchTerm || searchTerm.trim() === '' ||
-          (user.name && user.name.toLowerCase().includes(searchTerm.toLowerCase())) ||
-          (user.phone && user.phone.toString().includes(searchTerm)) ||
-          (user.school && user.school.toLowerCase().includes(searchTerm.toLowerCase()));
-
-        const matchesLanguage = selectedLanguage === 'all' || 
-          (user.language && user.language.toLowerCase() === selectedLanguage.toLowerCase());
-
-        return matchesSearch && matchesLanguage;
-      });
-    } else {
-      return users.filter(user => {
-        // Improved search matching with null safety and debugging
-        const searchLower = searchTerm.toLowerCase().trim();
-        const matchesSearch = !searchTerm || searchTerm.trim() === '' ||
-          (user.name && user.name.toLowerCase().includes(searchLower)) ||
-          (user.phone && user.phone.toString().includes(searchTerm)) ||
-          (user.school && user.school.toLowerCase().includes(searchLower));
-
-        const matchesLanguage = selectedLanguage === 'all' || 
-          (user.language && user.language.toLowerCase() === selectedLanguage.toLowerCase());
-
-        // Debug logging (remove in production)
-        if (searchTerm && searchTerm.trim() !== '') {
-          console.log('Search debug:', {
-            searchTerm: searchLower,
-            userName: user.name,
-            userPhone: user.phone,
-            userSchool: user.school,
-            matchesSearch,
-            matchesLanguage
-          });
-        }
-
-        return matchesSearch && matchesLanguage;
-      });
-    }
-  };
+  // Submissions saved before assessments existed belong to the default assessment
+  const defaultAssessmentSlug = assessments.find(assessment => assessment.isDefault)?.slug;
 
   // Export individual user data with all submissions
   const exportUserData = async (user) => {
@@ -159,7 +234,7 @@ const AdminDashboard = () => {
           school: user.school || 'N/A',
           class: user.class || 'N/A',
           language: user.language || 'N/A',
-          totalAttempts: user.totalAttempts || user.submissions?.length || 1,
+          totalAttempts: user.totalAttempts || 0,
           firstSubmission: formatDateTime(user.createdAt),
           latestSubmission: formatDateTime(user.lastSubmission || user.updatedAt || user.createdAt)
         },
@@ -168,14 +243,15 @@ const AdminDashboard = () => {
 
       // Add all submissions
       if (user.submissions && user.submissions.length > 0) {
-        user.submissions.forEach((submission, index) => {
+        user.submissions.forEach(submission => {
           const submissionData = {
-            attemptNumber: index + 1,
+            attemptNumber: submission.attemptNumber,
             submittedAt: formatDateTime(submission.submittedAt),
             sessionId: submission.sessionId || 'N/A',
             totalAnswers: submission.answers?.length || 0,
             completionTime: submission.completionTime ? `${submission.completionTime} minutes` : 'N/A',
-            score: submission.score || 0,
+            score: formatScore(submission),
+            questionSetVersion: submission.questionSetVersion || 'N/A',
             answers: []
           };
 
@@ -184,35 +260,18 @@ const AdminDashboard = () => {
             submission.answers.forEach(answer => {
               submissionData.answers.push({
                 questionId: answer.questionId,
-                question: answer.question,
-                answer: answer.answer
+                question: answer.shown?.question || answer.question,
+                type: QUESTION_TYPE_LABELS[getAnswerType(answer)],
+                optionsShown: answer.shown ? answer.shown.options.map(option => option.text).join(' | ') : '',
+                answer: answer.answer,
+                correctAnswer: answer.shown?.correctAnswer || '',
+                isCorrect: answer.isCorrect
               });
             });
           }
 
           userData.submissions.push(submissionData);
         });
-      } else if (user.answers && user.answers.length > 0) {
-        // Handle legacy single submission
-        const submissionData = {
-          attemptNumber: 1,
-          submittedAt: formatDateTime(user.createdAt),
-          sessionId: 'Legacy',
-          totalAnswers: user.answers.length,
-          completionTime: 'N/A',
-          score: 0,
-          answers: []
-        };
-
-        user.answers.forEach(answer => {
-          submissionData.answers.push({
-            questionId: answer.questionId,
-            question: answer.question,
-            answer: answer.answer
-          });
-        });
-
-        userData.submissions.push(submissionData);
       }
 
       // Create CSV content
@@ -260,7 +319,7 @@ const AdminDashboard = () => {
     csv += 'SUBMISSIONS SUMMARY\n';
     csv += 'Attempt #,Submitted At,Session ID,Total Answers,Completion Time,Score\n';
     userData.submissions.forEach(submission => {
-      csv += `${submission.attemptNumber},"${submission.submittedAt}","${submission.sessionId}",${submission.totalAnswers},"${submission.completionTime}",${submission.score}\n`;
+      csv += `${submission.attemptNumber},"${submission.submittedAt}","${submission.sessionId}",${submission.totalAnswers},"${submission.completionTime}","${submission.score}"\n`;
     });
     csv += '\n';
 
@@ -269,10 +328,11 @@ const AdminDashboard = () => {
       csv += `ATTEMPT #${submission.attemptNumber} - DETAILED ANSWERS\n`;
       csv += `Submitted At: ${submission.submittedAt}\n`;
       csv += `Session ID: ${submission.sessionId}\n`;
-      csv += 'Question ID,Question,Answer\n';
+      csv += `Question Set Version: ${submission.questionSetVersion}\n`;
+      csv += 'Question ID,Question,Type,Options Shown,Answer,Correct Answer,Correct\n';
 
       submission.answers.forEach(answer => {
-        csv += `${answer.questionId},"${(answer.question || '').replace(/"/g, '""')}","${answer.answer || ''}"\n`;
+        csv += `${answer.questionId},"${(answer.question || '').replace(/"/g, '""')}","${answer.type}","${(answer.optionsShown || '').replace(/"/g, '""')}","${(answer.answer || '').replace(/"/g, '""')}","${(answer.correctAnswer || '').replace(/"/g, '""')}",${formatCorrect(answer.isCorrect)}\n`;
       });
       csv += '\n';
     });
@@ -280,49 +340,57 @@ const AdminDashboard = () => {
     return csv;
   };
 
-  const filteredData = getFilteredData();
-  const totalSubmissions = getAllSubmissions().length;
-  const usersWithMultipleAttempts = users.filter(user =>
-    (user.submissions?.length || 0) > 1 || user.totalAttempts > 1
-  ).length;
-
-  // Export all data (existing function)
-  const exportAllData = () => {
-    if (viewMode === 'submissions') {
-      const headers = ['User Name', 'Phone', 'School', 'Class', 'Language', 'Submission #', 'Answers Count', 'Submitted At', 'Session ID'];
-      const csvContent = [
-        headers.join(','),
-        ...filteredData.map(submission => [
-          `"${submission.user.name || ''}"`,
-          `"${submission.user.phone || ''}"`,
-          `"${submission.user.school || ''}"`,
-          `"${submission.user.class || ''}"`,
-          `"${submission.user.language || ''}"`,
-          `${submission.submissionNumber}/${submission.totalUserSubmissions}`,
-          submission.answers?.length || 0,
-          `"${formatDateTime(submission.submittedAt)}"`,
-          `"${submission.sessionId || 'N/A'}"`
-        ].join(','))
-      ].join('\n');
-
-      downloadCSV(csvContent, 'quiz_all_submissions');
-    } else {
-      const headers = ['Name', 'Phone', 'School', 'Class', 'Language', 'Total Attempts', 'Latest Submission', 'First Submission'];
-      const csvContent = [
-        headers.join(','),
-        ...filteredData.map(user => [
-          `"${user.name || ''}"`,
-          `"${user.phone || ''}"`,
-          `"${user.school || ''}"`,
-          `"${user.class || ''}"`,
-          `"${user.language || ''}"`,
-          user.totalAttempts || user.submissions?.length || 1,
-          `"${formatDateTime(user.lastSubmission || user.updatedAt || user.createdAt)}"`,
-          `"${formatDateTime(user.createdAt)}"`
-        ].join(','))
-      ].join('\n');
-
-      downloadCSV(csvContent, 'quiz_users_summary');
+  // Export every row matching the filters, not only the page on screen
+  const exportAllData = async () => {
+    setExporting(true);
+
+    try {
+      const allRows = await fetchAllRows();
+      if (!allRows) return;
+
+      if (viewMode === 'submissions') {
+        const headers = ['User Name', 'Phone', 'School', 'Class', 'Language', 'Assessment', 'Submission #', 'Answers Count', 'Score', 'Submitted At', 'Session ID'];
+        const csvContent = [
+          headers.join(','),
+          ...allRows.map(submission => [
+            `"${submission.user.name || ''}"`,
+            `"${submission.user.phone || ''}"`,
+            `"${submission.user.school || ''}"`,
+            `"${submission.user.class || ''}"`,
+            `"${submission.user.language || ''}"`,
+            `"${submission.assessmentSlug || defaultAssessmentSlug || ''}"`,
+            `${submission.submissionNumber}/${submission.totalUserSubmissions}`,
+            submission.answers?.length || 0,
+            `"${formatScore(submission)}"`,
+            `"${formatDateTime(submission.submittedAt)}"`,
+            `"${submission.sessionId || 'N/A'}"`
+          ].join(','))
+        ].join('\n');
+
+        downloadCSV(csvContent, 'quiz_all_submissions');
+      } else {
+        const headers = ['Name', 'Phone', 'School', 'Class', 'Language', 'Total Attempts', 'Latest Submission', 'First Submission'];
+        const csvContent = [
+          headers.join(','),
+          ...allRows.map(user => [
+            `"${user.name || ''}"`,
+            `"${user.phone || ''}"`,
+            `"${user.school || ''}"`,
+            `"${user.class || ''}"`,
+            `"${user.language || ''}"`,
+            user.totalAttempts || user.submissions?.length || 1,
+            `"${formatDateTime(user.lastSubmission || user.updatedAt || user.createdAt)}"`,
+            `"${formatDateTime(user.createdAt)}"`
+          ].join(','))
+        ].join('\n');
+
+        downloadCSV(csvContent, 'quiz_users_summary');
+      }
+    } catch (err) {
+      console.error('Error exporting data:', err);
+      alert(`Error exporting data: ${err.message}`);
+    } finally {
+      setExporting(false);
     }
   };
 
@@ -340,6 +408,14 @@ const AdminDashboard = () => {
     }
   };
 
+  const hasFilters = Boolean(
+    textFilters.search || textFilters.school || textFilters.class ||
+    selectedLanguage !== 'all' || selectedAssessment !== 'all' ||
+    dateFrom || dateTo || minAttempts !== '' || maxAttempts !== ''
+  );
+  const firstRow = (pagination.page - 1) * pagination.pageSize + 1;
+  const lastRow = firstRow + rows.length - 1;
+
   if (loading) {
     return (
       <div style={styles.loadingContainer}>
@@ -353,22 +429,31 @@ const AdminDashboard = () => {
     <div style={styles.container}>
       {/* Header */}
       <div style={styles.header}>
+        <div style={styles.adminBar}>
+          <span>
+            👤 {admin.name || admin.username} · {ROLE_LABELS[admin.role] || admin.role}
+            {admin.role === 'school_coordinator' && ` (${admin.schools.join(', ') || 'no schools assigned'})`}
+          </span>
+          <button onClick={onLogout} style={styles.logoutButton}>
+            Sign Out
+          </button>
+        </div>
         <h1 style={styles.title}>📊 Admin Dashboard</h1>
         <div style={styles.stats}>
           <div style={styles.statCard}>
-            <h3>{users.length}</h3>
+            <h3>{statistics?.totalUsers ?? '–'}</h3>
             <p>Total Users</p>
           </div>
           <div style={styles.statCard}>
-            <h3>{totalSubmissions}</h3>
+            <h3>{statistics?.totalSubmissions ?? '–'}</h3>
             <p>Total Submissions</p>
           </div>
           <div style={styles.statCard}>
-            <h3>{usersWithMultipleAttempts}</h3>
+            <h3>{statistics?.usersWithMultipleAttempts ?? '–'}</h3>
             <p>Repeat Users</p>
           </div>
           <div style={styles.statCard}>
-            <h3>{new Set(users.map(u => u.language)).size}</h3>
+            <h3>{statistics ? Object.keys(statistics.languageBreakdown || {}).length : '–'}</h3>
             <p>Languages</p>
           </div>
         </div>
@@ -378,7 +463,7 @@ const AdminDashboard = () => {
       {error && (
         <div style={styles.errorBox}>
           <strong>Error:</strong> {error}
-          <button onClick={fetchUsers} style={styles.retryButton}>
+          <button onClick={fetchListing} style={styles.retryButton}>
             Retry
           </button>
         </div>
@@ -387,124 +472,273 @@ const AdminDashboard = () => {
       {/* View Mode Toggle */}
       <div style={styles.viewToggle}>
         <button
-          onClick={() => setViewMode('users')}
+          onClick={() => changeViewMode('users')}
           style={{
             ...styles.toggleButton,
             backgroundColor: viewMode === 'users' ? '#3498db' : '#bdc3c7'
           }}
         >
-          👥 Users View ({users.length})
+          👥 Users View{statistics && ` (${statistics.totalUsers})`}
         </button>
         <button
-          onClick={() => setViewMode('submissions')}
+          onClick={() => changeViewMode('submissions')}
           style={{
             ...styles.toggleButton,
             backgroundColor: viewMode === 'submissions' ? '#3498db' : '#bdc3c7'
           }}
         >
-          📝 All Submissions ({totalSubmissions})
+          📝 All Submissions{statistics && ` (${statistics.totalSubmissions})`}
         </button>
-      </div>
-
-      {/* Controls */}
-      <div style={styles.controls}>
-        <div style={styles.searchContainer}>
-          <input
-            type="text"
-            placeholder="🔍 Search by name, phone, or school..."
-            value={searchTerm}
-            onChange={(e) => {
-              console.log('Search term changed:', e.target.value); // Debug logging
-              setSearchTerm(e.target.value);
+        {isSuperAdmin && (
+          <button
+            onClick={() => changeViewMode('media')}
+            style={{
+              ...styles.toggleButton,
+              backgroundColor: viewMode === 'media' ? '#3498db' : '#bdc3c7'
             }}
-            style={styles.searchInput}
-          />
-
-          <select
-            value={selectedLanguage}
-            onChange={(e) => setSelectedLanguage(e.target.value)}
-            style={styles.languageFilter}
           >
-            <option value="all">All Languages</option>
-            <option value="tamil">Tamil</option>
-            <option value="english">English</option>
-            <option value="telugu">Telugu</option>
-            <option value="kannada">Kannada</option>
-            <option value="marathi">Marathi</option>
-            <option value="hindi">Hindi</option>
-          </select>
-        </div>
-
-        <div style={styles.actionButtons}>
-          <button onClick={fetchUsers} style={styles.refreshButton}>
-            🔄 Refresh
+            🎧 Question Media
           </button>
-          <button onClick={exportAllData} style={styles.exportButton}>
-            📥 Export All {viewMode === 'users' ? 'Users' : 'Submissions'}
-          </button>
-        </div>
+        )}
       </div>
 
-      {/* Results */}
-      {filteredData.length === 0 ? (
-        <div style={styles.noData}>
-          <h3>No {viewMode === 'users' ? 'Users' : 'Submissions'} Found</h3>
-          <p>
-            {users.length === 0
-              ? 'Quiz submissions will appear here once users start submitting.'
-              : 'Try adjusting your search or language filter.'
-            }
-          </p>
-          <button onClick={fetchUsers} style={styles.refreshButton}>
-            🔄 Check Again
-          </button>
-        </div>
+      {viewMode === 'media' && isSuperAdmin ? (
+        <QuestionMediaManager apiBaseUrl={API_BASE_URL} />
       ) : (
-        <div style={styles.resultsInfo}>
-          <p>
-            Showing {filteredData.length} {viewMode === 'users' ? 'users' : 'submissions'}
-            {searchTerm && ` matching "${searchTerm}"`}
-            {selectedLanguage !== 'all' && ` in ${selectedLanguage}`}
-          </p>
-        </div>
-      )}
+        <>
+          {/* Controls */}
+          <div style={styles.controls}>
+            <div style={styles.searchContainer}>
+              <input
+                type="text"
+                placeholder="🔍 Search by name, phone, or school..."
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                style={styles.searchInput}
+              />
 
-      {/* Table */}
-      {filteredData.length > 0 && (
-        <div style={styles.tableContainer}>
-          {viewMode === 'users' ? (
-            <UsersTable
-              users={filteredData}
-              onExportUser={exportUserData}
-              exportingUserId={exportingUserId}
-              formatDate={formatDate}
-              formatDateTime={formatDateTime}
-            />
+              <select
+                value={selectedLanguage}
+                onChange={(e) => updateFilter(setSelectedLanguage)(e.target.value)}
+                style={styles.languageFilter}
+              >
+                <option value="all">All Languages</option>
+                {LANGUAGES.map(language => (
+                  <option key={language} value={language}>{language}</option>
+                ))}
+              </select>
+
+              {assessments.length > 0 && (
+                <select
+                  value={selectedAssessment}
+                  onChange={(e) => updateFilter(setSelectedAssessment)(e.target.value)}
+                  style={styles.languageFilter}
+                >
+                  <option value="all">All Assessments</option>
+                  {assessments.map(assessment => (
+                    <option key={assessment._id} value={assessment.slug}>
+                      {assessment.title}{assessment.status === 'archived' ? ' (archived)' : ''}
+                    </option>
+                  ))}
+                </select>
+              )}
+
+              <input
+                type="text"
+                placeholder="School"
+                value={schoolFilter}
+                onChange={(e) => setSchoolFilter(e.target.value)}
+                style={styles.filterInput}
+              />
+              <input
+                type="text"
+                placeholder="Class"
+                value={classFilter}
+                onChange={(e) => setClassFilter(e.target.value)}
+                style={{ ...styles.filterInput, width: '80px' }}
+              />
+
+              <label style={styles.filterLabel}>
+                From
+                <input
+                  type="date"
+                  value={dateFrom}
+                  max={dateTo || undefined}
+                  onChange={(e) => updateFilter(setDateFrom)(e.target.value)}
+                  style={styles.filterInput}
+                />
+              </label>
+              <label style={styles.filterLabel}>
+                To
+                <input
+                  type="date"
+                  value={dateTo}
+                  min={dateFrom || undefined}
+                  onChange={(e) => updateFilter(setDateTo)(e.target.value)}
+                  style={styles.filterInput}
+                />
+              </label>
+
+              <label style={styles.filterLabel}>
+                Attempts
+                <input
+                  type="number"
+                  min="0"
+                  placeholder="min"
+                  value={minAttempts}
+                  onChange={(e) => updateFilter(setMinAttempts)(e.target.value)}
+                  style={{ ...styles.filterInput, width: '70px' }}
+                />
+                –
+                <input
+                  type="number"
+                  min="0"
+                  placeholder="max"
+                  value={maxAttempts}
+                  onChange={(e) => updateFilter(setMaxAttempts)(e.target.value)}
+                  style={{ ...styles.filterInput, width: '70px' }}
+                />
+              </label>
+            </div>
+
+            <div style={styles.actionButtons}>
+              <button onClick={fetchListing} style={styles.refreshButton}>
+                🔄 Refresh
+              </button>
+              <button
+                onClick={exportAllData}
+                disabled={exporting || pagination.total === 0}
+                style={{
+                  ...styles.exportButton,
+                  ...(exporting || pagination.total === 0 ? styles.disabledButton : {})
+                }}
+              >
+                {exporting ? '⏳ Exporting...' : `📥 Export All ${viewMode === 'users' ? 'Users' : 'Submissions'}`}
+              </button>
+            </div>
+          </div>
+
+          {/* Results */}
+          {rows.length === 0 ? (
+            <div style={styles.noData}>
+              <h3>{fetching ? 'Loading...' : `No ${viewMode === 'users' ? 'Users' : 'Submissions'} Found`}</h3>
+              {!fetching && (
+                <p>
+                  {hasFilters
+                    ? 'Try adjusting your search or filters.'
+                    : 'Quiz submissions will appear here once users start submitting.'
+                  }
+                </p>
+              )}
+              <button onClick={fetchListing} style={styles.refreshButton}>
+                🔄 Check Again
+              </button>
+            </div>
           ) : (
-            <SubmissionsTable 
-              submissions={filteredData} 
-              formatDate={formatDate}
-              formatDateTime={formatDateTime}
+            <div style={styles.resultsInfo}>
+              <p>
+                Showing {firstRow}–{lastRow} of {pagination.total} {viewMode === 'users' ? 'users' : 'submissions'}
+                {textFilters.search && ` matching "${textFilters.search}"`}
+                {selectedLanguage !== 'all' && ` in ${selectedLanguage}`}
+                {selectedAssessment !== 'all' && ` for ${assessments.find(a => a.slug === selectedAssessment)?.title || selectedAssessment}`}
+                {fetching && ' · Loading...'}
+              </p>
+            </div>
+          )}
+
+          {/* Table */}
+          {rows.length > 0 && (
+            <div style={styles.tableContainer}>
+              {viewMode === 'users' ? (
+                <UsersTable
+                  users={rows}
+                  sort={sort}
+                  onSort={changeSort}
+                  onExportUser={exportUserData}
+                  exportingUserId={exportingUserId}
+                  formatDate={formatDate}
+                  formatDateTime={formatDateTime}
+                />
+              ) : (
+                <SubmissionsTable 
+                  submissions={rows} 
+                  sort={sort}
+                  onSort={changeSort}
+                  formatDate={formatDate}
+                  formatDateTime={formatDateTime}
+                />
+              )}
+            </div>
+          )}
+
+          {rows.length > 0 && (
+            <Pagination
+              pagination={pagination}
+              pageSize={pageSize}
+              disabled={fetching}
+              onPageChange={setPage}
+              onPageSizeChange={updateFilter(setPageSize)}
             />
           )}
-        </div>
+        </>
       )}
     </div>
   );
 };
 
+// Column header that sorts the listing on the server when clicked
+const SortableHeader = ({ label, sortKey, sort, onSort }) => (
+  <th style={{ ...styles.th, ...styles.sortableTh }} onClick={() => onSort(sortKey)}>
+    {label}
+    {sort.key === sortKey && (sort.order === 'asc' ? ' ▲' : ' ▼')}
+  </th>
+);
+
+// Page through a listing and choose how many rows a page shows
+const Pagination = ({ pagination, pageSize, disabled, onPageChange, onPageSizeChange }) => (
+  <div style={styles.pagination}>
+    <button
+      onClick={() => onPageChange(pagination.page - 1)}
+      disabled={disabled || pagination.page <= 1}
+      style={{ ...styles.pageButton, ...(disabled || pagination.page <= 1 ? styles.disabledButton : {}) }}
+    >
+      ◀ Previous
+    </button>
+    <span>Page {pagination.page} of {pagination.totalPages}</span>
+    <button
+      onClick={() => onPageChange(pagination.page + 1)}
+      disabled={disabled || pagination.page >= pagination.totalPages}
+      style={{
+        ...styles.pageButton,
+        ...(disabled || pagination.page >= pagination.totalPages ? styles.disabledButton : {})
+      }}
+    >
+      Next ▶
+    </button>
+    <select
+      value={pageSize}
+      onChange={(e) => onPageSizeChange(Number(e.target.value))}
+      style={styles.languageFilter}
+    >
+      {PAGE_SIZES.map(size => (
+        <option key={size} value={size}>{size} per page</option>
+      ))}
+    </select>
+  </div>
+);
+
 // Enhanced Users Table Component with Individual Export
-const UsersTable = ({ users, onExportUser, exportingUserId, formatDate, formatDateTime }) => (
+const UsersTable = ({ users, sort, onSort, onExportUser, exportingUserId, formatDate, formatDateTime }) => (
   <table style={styles.table}>
     <thead>
       <tr style={styles.tableHeader}>
-        <th style={styles.th}>Name</th>
+        <SortableHeader label="Name" sortKey="name" sort={sort} onSort={onSort} />
         <th style={styles.th}>Phone</th>
-        <th style={styles.th}>School</th>
-        <th style={styles.th}>Class</th>
-        <th style={styles.th}>Language</th>
-        <th style={styles.th}>Attempts</th>
-        <th style={styles.th}>Latest Submission</th>
+        <SortableHeader label="School" sortKey="school" sort={sort} onSort={onSort} />
+        <SortableHeader label="Class" sortKey="class" sort={sort} onSort={onSort} />
+        <SortableHeader label="Language" sortKey="language" sort={sort} onSort={onSort} />
+        <SortableHeader label="Attempts" sortKey="attempts" sort={sort} onSort={onSort} />
+        <SortableHeader label="Latest Submission" sortKey="latestSubmission" sort={sort} onSort={onSort} />
         <th style={styles.th}>Actions</th>
       </tr>
     </thead>
@@ -525,23 +759,24 @@ const UsersTable = ({ users, onExportUser, exportingUserId, formatDate, formatDa
 );
 
 // Submissions Table Component
-const SubmissionsTable = ({ submissions, formatDate, formatDateTime }) => (
+const SubmissionsTable = ({ submissions, sort, onSort, formatDate, formatDateTime }) => (
   <table style={styles.table}>
     <thead>
       <tr style={styles.tableHeader}>
-        <th style={styles.th}>User</th>
+        <SortableHeader label="User" sortKey="name" sort={sort} onSort={onSort} />
         <th style={styles.th}>Phone</th>
-        <th style={styles.th}>Language</th>
+        <SortableHeader label="Language" sortKey="language" sort={sort} onSort={onSort} />
         <th style={styles.th}>Attempt #</th>
         <th style={styles.th}>Answers</th>
-        <th style={styles.th}>Submitted At</th>
+        <SortableHeader label="Score" sortKey="percentage" sort={sort} onSort={onSort} />
+        <SortableHeader label="Submitted At" sortKey="submittedAt" sort={sort} onSort={onSort} />
         <th style={styles.th}>Actions</th>
       </tr>
     </thead>
     <tbody>
       {submissions.map((submission, index) => (
         <SubmissionRow 
-          key={`${submission.user._id}-${submission.submittedAt}-${index}`} 
+          key={submission._id}
           submission={submission} 
           index={index}
           formatDate={formatDate}
@@ -678,12 +913,23 @@ const SubmissionRow = ({ submission, index, formatDate, formatDateTime }) => {
             {submission.answers?.length || 0} answers
           </span>
         </td>
+        <td style={styles.td}>
+          <span style={styles.scoreText}>{formatScore(submission)}</span>
+        </td>
         <td style={styles.td}>
           <div style={styles.dateContainer}>
             <div>{formatDate(submission.submittedAt)}</div>
             <small style={styles.timeText}>
               {submission.submittedAt ? new Date(submission.submittedAt).toLocaleTimeString() : 'N/A'}
             </small>
+            {submission.durationSeconds !== null && submission.durationSeconds !== undefined && (
+              <div style={styles.timeText}>⏱️ {formatDuration(submission.durationSeconds)}</div>
+            )}
+            {submission.timingFlags?.length > 0 && (
+              <div style={styles.timingFlag} title={submission.timingFlags.map(formatTimingFlag).join(', ')}>
+                ⚠️ Timing looks wrong
+              </div>
+            )}
           </div>
         </td>
         <td style={styles.td}>
@@ -701,8 +947,13 @@ const SubmissionRow = ({ submission, index, formatDate, formatDateTime }) => {
 
       {showAnswers && (
         <tr>
-          <td colSpan="7" style={styles.answersContainer}>
-            <AnswersDetail answers={submission.answers} sessionId={submission.sessionId} />
+          <td colSpan="8" style={styles.answersContainer}>
+            <AnswersDetail
+              answers={submission.answers}
+              sessionId={submission.sessionId}
+              questionSetVersion={submission.questionSetVersion}
+              seed={submission.seed}
+            />
           </td>
         </tr>
       )}
@@ -716,49 +967,91 @@ const UserSubmissionsDetail = ({ user, formatDateTime }) => (
     <h4>📋 All Submissions for {user.name || 'N/A'}</h4>
     {user.submissions && user.submissions.length > 0 ? (
       <div style={styles.submissionsList}>
-        {user.submissions.map((submission, index) => (
-          <div key={index} style={styles.submissionItem}>
+        {user.submissions.map(submission => (
+          <div key={submission._id} style={styles.submissionItem}>
             <div style={styles.submissionHeader}>
-              <strong>Attempt #{index + 1}</strong>
+              <strong>Attempt #{submission.attemptNumber}</strong>
               <span style={styles.submissionDate}>
                 {formatDateTime(submission.submittedAt)}
               </span>
             </div>
             <div style={styles.submissionStats}>
               <span>✅ {submission.answers?.length || 0} answers</span>
+              <span>🏆 {formatScore(submission)}</span>
               {submission.sessionId && <span>🆔 {submission.sessionId}</span>}
-              {submission.completionTime && <span>⏱️ {submission.completionTime}min</span>}
+              {submission.durationSeconds !== null && submission.durationSeconds !== undefined
+                ? <span>⏱️ {formatDuration(submission.durationSeconds)}</span>
+                : submission.completionTime && <span>⏱️ {submission.completionTime}min</span>}
+              {submission.timingFlags?.length > 0 && (
+                <span style={styles.timingFlag}>⚠️ {submission.timingFlags.map(formatTimingFlag).join(', ')}</span>
+              )}
+              {submission.assessmentSlug && <span>📋 {submission.assessmentSlug}</span>}
+              {submission.questionSetVersion && <span>📚 v{submission.questionSetVersion}</span>}
             </div>
             <AnswersDetail answers={submission.answers} compact={true} />
           </div>
         ))}
       </div>
     ) : (
-      <div style={styles.legacyData}>
-        <p>📋 Legacy submission data:</p>
-        <AnswersDetail answers={user.answers} compact={true} />
-      </div>
+      <p style={styles.noAnswers}>No submissions</p>
     )}
   </div>
 );
 
 // Answers Detail Component
-const AnswersDetail = ({ answers, sessionId, compact = false }) => (
+const AnswersDetail = ({ answers, sessionId, questionSetVersion, seed, compact = false }) => (
   <div style={compact ? styles.answersCompact : styles.answersContent}>
     {!compact && sessionId && (
       <p style={styles.sessionInfo}>🆔 Session ID: {sessionId}</p>
     )}
+    {!compact && questionSetVersion && (
+      <p style={styles.sessionInfo}>📚 Question set version: {questionSetVersion}</p>
+    )}
+    {!compact && seed !== undefined && seed !== null && (
+      <p style={styles.sessionInfo}>🔀 Shuffle seed: {seed} (answers are listed in the order shown)</p>
+    )}
     {answers && answers.length > 0 ? (
       <div style={styles.answersList}>
         {answers.map((answer, idx) => (
           <div key={idx} style={compact ? styles.answerItemCompact : styles.answerItem}>
             <div style={styles.questionText}>
               <strong>Q{answer.questionId}: </strong>
-              {answer.question || 'N/A'}
+              {answer.shown?.question || answer.question || 'N/A'}
+              {answer.shown && <small style={styles.revisionText}> (rev. {answer.shown.revision})</small>}
+              {answer.position && <small style={styles.revisionText}> · shown as question {answer.position}</small>}
+              {getAnswerType(answer) !== 'single' && (
+                <small style={styles.revisionText}> · {QUESTION_TYPE_LABELS[getAnswerType(answer)]}</small>
+              )}
             </div>
+            {answer.shown && answer.shown.options.length > 0 && (
+              <div style={styles.optionsShown}>
+                {answer.shown.options.map(option => (
+                  <span
+                    key={option.id}
+                    style={{
+                      ...styles.optionChip,
+                      ...(isChosenOption(answer, option.id) ? styles.optionChipChosen : {}),
+                      ...(isCorrectOption(answer, option.id) ? styles.optionChipCorrect : {})
+                    }}
+                  >
+                    {option.text}
+                  </span>
+                ))}
+              </div>
+            )}
             <div style={styles.answerText}>
-              <strong>Answer: </strong>
+              <strong>{getAnswerType(answer) === 'ordering' ? 'Order given: ' : 'Answer: '}</strong>
               <span style={styles.userAnswer}>{answer.answer || 'N/A'}</span>
+              {answer.isCorrect !== undefined && (
+                <span style={answer.isCorrect ? styles.correctMark : styles.incorrectMark}>
+                  {answer.isCorrect ? ' ✔ Correct' : ' ✘ Incorrect'}
+                </span>
+              )}
+              {answer.shown && !answer.isCorrect && (
+                <div style={styles.correctAnswerText}>
+                  Correct answer: {answer.shown.correctAnswer}
+                </div>
+              )}
             </div>
           </div>
         ))}
@@ -770,6 +1063,53 @@ const AnswersDetail = ({ answers, sessionId, compact = false }) => (
 );
 
 // Helper Functions
+const QUESTION_TYPE_LABELS = {
+  single: 'Single choice',
+  multiple: 'Multi-select',
+  true_false: 'True / false',
+  numeric: 'Numeric',
+  text: 'Short text',
+  ordering: 'Ordering'
+};
+
+const getAnswerType = (answer) => answer.type || answer.shown?.type || 'single';
+
+const isChosenOption = (answer, optionId) =>
+  answer.optionId === optionId || (getAnswerType(answer) === 'multiple' && (answer.optionIds || []).includes(optionId));
+
+// Every option of an ordering question is part of the answer, so none is highlighted
+const isCorrectOption = (answer, optionId) => {
+  const type = getAnswerType(answer);
+  if (type === 'multiple') return (answer.shown.correctOptionIds || []).includes(optionId);
+  if (type === 'ordering') return false;
+  return optionId === answer.shown.correctOptionId;
+};
+
+const formatScore = (submission) => {
+  if (submission.percentage === undefined || submission.percentage === null) return 'N/A';
+  return `${submission.score}/${submission.totalQuestions} (${submission.percentage}%)`;
+};
+
+// Time taken as measured by the server, e.g. "12m 05s"
+const formatDuration = (seconds) =>
+  `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+
+// Why a submission's timing is not believable (see backend/utils/attemptTiming.js)
+const TIMING_FLAG_LABELS = {
+  too_fast: 'answered too fast',
+  // No longer set, since durations are measured by the server; kept for older submissions
+  completed_before_start: 'finished before it started',
+  completed_in_future: 'finished in the future',
+  reported_time_too_long: 'quiz reported more time than passed'
+};
+
+const formatTimingFlag = (flag) => TIMING_FLAG_LABELS[flag] || flag;
+
+const formatCorrect = (isCorrect) => {
+  if (isCorrect === undefined || isCorrect === null) return '';
+  return isCorrect ? 'Yes' : 'No';
+};
+
 const getLanguageColor = (language) => {
   const colors = {
     tamil: '#FF6B6B',
@@ -818,6 +1158,25 @@ const styles = {
     borderRadius: '10px',
     boxShadow: '0 2px 10px rgba(0,0,0,0.1)'
   },
+  adminBar: {
+    display: 'flex',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+    gap: '15px',
+    color: '#7f8c8d',
+    fontSize: '14px',
+    marginBottom: '10px'
+  },
+  logoutButton: {
+    padding: '6px 12px',
+    backgroundColor: '#95a5a6',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '12px',
+    fontWeight: 'bold'
+  },
   title: {
     color: '#2c3e50',
     margin: '0 0 20px 0',
@@ -905,6 +1264,21 @@ const styles = {
     fontSize: '14px',
     outline: 'none'
   },
+  filterInput: {
+    padding: '12px',
+    border: '2px solid #ddd',
+    borderRadius: '8px',
+    fontSize: '14px',
+    width: '160px',
+    outline: 'none'
+  },
+  filterLabel: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    fontSize: '14px',
+    color: '#555'
+  },
   actionButtons: {
     display: 'flex',
     gap: '10px'
@@ -964,6 +1338,33 @@ const styles = {
     fontWeight: 'bold',
     fontSize: '14px'
   },
+  sortableTh: {
+    cursor: 'pointer',
+    userSelect: 'none'
+  },
+  pagination: {
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: '15px',
+    marginTop: '15px',
+    padding: '10px',
+    color: '#555',
+    fontSize: '14px'
+  },
+  pageButton: {
+    padding: '10px 18px',
+    backgroundColor: '#3498db',
+    color: 'white',
+    border: 'none',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontSize: '14px'
+  },
+  disabledButton: {
+    backgroundColor: '#bdc3c7',
+    cursor: 'not-allowed'
+  },
   tableRow: {
     borderBottom: '1px solid #ecf0f1',
     transition: 'background-color 0.3s'
@@ -1009,6 +1410,11 @@ const styles = {
     color: '#7f8c8d',
     fontSize: '11px'
   },
+  timingFlag: {
+    color: '#c0392b',
+    fontSize: '11px',
+    fontWeight: 'bold'
+  },
   actionButton: {
     padding: '8px 16px',
     color: 'white',
@@ -1065,13 +1471,6 @@ const styles = {
     fontSize: '12px',
     color: '#666'
   },
-  legacyData: {
-    padding: '15px',
-    backgroundColor: '#fff3cd',
-    border: '1px solid #ffeaa7',
-    borderRadius: '8px',
-    marginTop: '10px'
-  },
   answersContainer: {
     padding: '0',
     backgroundColor: '#f8f9fa'
@@ -1120,6 +1519,49 @@ const styles = {
     color: '#27ae60',
     fontWeight: 'bold'
   },
+  correctMark: {
+    color: '#27ae60',
+    fontSize: '12px'
+  },
+  incorrectMark: {
+    color: '#e74c3c',
+    fontSize: '12px'
+  },
+  revisionText: {
+    color: '#7f8c8d',
+    fontSize: '11px'
+  },
+  optionsShown: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '6px',
+    marginBottom: '6px'
+  },
+  optionChip: {
+    padding: '2px 8px',
+    border: '1px solid #ddd',
+    borderRadius: '12px',
+    fontSize: '12px',
+    color: '#555'
+  },
+  optionChipChosen: {
+    borderColor: '#3498db',
+    fontWeight: 'bold'
+  },
+  optionChipCorrect: {
+    backgroundColor: '#eafaf1',
+    borderColor: '#27ae60'
+  },
+  correctAnswerText: {
+    color: '#7f8c8d',
+    fontSize: '12px',
+    marginTop: '4px'
+  },
+  scoreText: {
+    fontSize: '13px',
+    fontWeight: 'bold',
+    color: '#2c3e50'
+  },
   noAnswers: {
     color: '#7f8c8d',
     fontStyle: 'italic',
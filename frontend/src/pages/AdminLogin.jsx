@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { adminLogin } from '../api';
+
+// Sign-in form shown at /admin until an admin has a session
+const AdminLogin = ({ onLogin }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+
+    try {
+      const session = await adminLogin(username.trim(), password);
+      onLogin(session);
+    } catch (err) {
+      setError(err.message);
+      setPassword('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <form onSubmit={handleSubmit} style={styles.card}>
+        <h1 style={styles.title}>🔐 Admin Sign In</h1>
+
+        {error && <div style={styles.errorBox}>{error}</div>}
+
+        <label style={styles.label}>
+          Username
+          <input
+            type="text"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+            autoFocus
+            required
+            style={styles.input}
+          />
+        </label>
+
+        <label style={styles.label}>
+          Password
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            required
+            style={styles.input}
+          />
+        </label>
+
+        <button type="submit" disabled={submitting} style={{ ...styles.button, opacity: submitting ? 0.6 : 1 }}>
+          {submitting ? 'Signing in...' : 'Sign In'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'center',
+    minHeight: '80vh',
+    fontFamily: 'Arial, sans-serif'
+  },
+  card: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '15px',
+    width: '100%',
+    maxWidth: '360px',
+    backgroundColor: 'white',
+    padding: '30px',
+    borderRadius: '10px',
+    boxShadow: '0 2px 10px rgba(0,0,0,0.1)'
+  },
+  title: {
+    color: '#2c3e50',
+    margin: '0 0 10px 0',
+    textAlign: 'center'
+  },
+  label: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+    fontSize: '14px',
+    color: '#34495e',
+    fontWeight: 'bold'
+  },
+  input: {
+    padding: '12px',
+    border: '2px solid #ddd',
+    borderRadius: '8px',
+    fontSize: '14px',
+    outline: 'none'
+  },
+  button: {
+    padding: '12px',
+    backgroundColor: '#3498db',
+    color: 'white',
+    border: 'none',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontSize: '16px',
+    fontWeight: 'bold'
+  },
+  errorBox: {
+    backgroundColor: '#fdf2f2',
+    color: '#e74c3c',
+    padding: '12px',
+    borderRadius: '8px',
+    fontSize: '14px'
+  }
+};
+
+export default AdminLogin;
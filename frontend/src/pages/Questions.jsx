@@ -1,13 +1,10 @@
-import React, { useEffect, useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
 import {
   Box,
   Container,
   Paper,
   Typography,
-  RadioGroup,
-  FormControlLabel,
-  Radio,
   Button,
   Card,
   CardContent,
@@ -36,7 +33,6 @@ import {
   NavigateNext,
   NavigateBefore,
   CheckCircle,
-  RadioButtonUnchecked,
   Person,
   Language,
   School,
@@ -47,8 +43,24 @@ import {
   RestartAlt
 } from '@mui/icons-material';
 import { createTheme, ThemeProvider } from '@mui/material/styles';
-import { QUESTIONS } from '../data/questions';
-import { saveUser } from '../api';
+import { mediaUrl, queueSubmission, resumeAttemptDraft, saveAttemptDraft, saveUser, startAttempt } from '../api';
+import { clearLocalDraft, loadLocalDraft, saveLocalDraft } from '../attemptDraft';
+import QuestionInput, { isAnswered, toSubmittedAnswer } from '../components/QuestionInput';
+import ListenButton from '../components/ListenButton';
+
+// Progress is saved on this device whenever it changes (and every few seconds for
+// the clock), and sent to the server at most this often
+const SERVER_SAVE_INTERVAL_MS = 10 * 1000;
+const LOCAL_SAVE_INTERVAL_SECONDS = 5;
+
+// The server gives each attempt it starts an id, and saves each attempt once however
+// often it is submitted (retries, double clicks, offline copies). Attempts started
+// offline get their id here instead.
+const createAttemptId = () => {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+};
 
 // Custom theme for quiz
 const theme = createTheme({
@@ -106,26 +118,120 @@ const theme = createTheme({
 
 export default function Questions() {
   const navigate = useNavigate();
+  const { slug } = useParams();
   const [user, setUser] = useState(null);
+  const [assessment, setAssessment] = useState(null);
   const [answers, setAnswers] = useState({});
   const [questions, setQuestions] = useState([]);
+  const [questionSetId, setQuestionSetId] = useState(null);
+  const [attemptToken, setAttemptToken] = useState(null);
+  const [attemptId, setAttemptId] = useState(null);
   const [currentQuestion, setCurrentQuestion] = useState(0);
   const [loading, setLoading] = useState(false);
+  const [loadError, setLoadError] = useState('');
   const [showConfirmDialog, setShowConfirmDialog] = useState(false);
-  const [startTime] = useState(Date.now());
+  const [startTime, setStartTime] = useState(Date.now());
   const [timeSpent, setTimeSpent] = useState(0);
+  const [deadline, setDeadline] = useState(null);
+  const [questionTimeLimit, setQuestionTimeLimit] = useState(null);
+  const [questionTimeUsed, setQuestionTimeUsed] = useState({});
+  // Started from the copy of the quiz saved on this device, without a connection
+  const [offline, setOffline] = useState(false);
+  const autoSubmittedRef = useRef(false);
+  // The quiz as loaded from the server, kept with the local draft so it can be resumed offline
+  const quizRef = useRef(null);
+  // The latest progress, and the throttled saves of it to the server
+  const latestDraftRef = useRef(null);
+  const serverSaveRef = useRef({ timer: null, lastSentAt: 0, pending: null, stopped: false });
+
+  const assessmentSlug = slug || user?.assessmentSlug;
+  const signupPath = assessmentSlug ? `/quiz/${assessmentSlug}` : '/';
+
+  // deadlineAt: when the overall time limit runs out, if already known
+  const applyQuiz = (data, deadlineAt) => {
+    quizRef.current = data;
+    setOffline(Boolean(data.offline));
+    setAssessment(data.assessment || null);
+    setQuestions(data.questions || []);
+    setQuestionSetId(data.questionSetId);
+    // Identifies this attempt's shuffled order; sent back with the answers
+    setAttemptToken(data.attemptToken || null);
+    // The server enforces the overall limit; counted from now so a slow clock doesn't matter
+    setDeadline(deadlineAt !== undefined
+      ? deadlineAt
+      : data.timeLimitSeconds ? Date.now() + data.timeLimitSeconds * 1000 : null);
+    setQuestionTimeLimit(data.questionTimeLimitSeconds || null);
+  };
+
+  const loadQuestions = async (language, quizSlug, phone) => {
+    setLoadError('');
+    try {
+      const data = await startAttempt(language, quizSlug, phone);
+      applyQuiz(data);
+      setAttemptId(data.attemptId || createAttemptId());
+      setQuestionTimeUsed({});
+    } catch (err) {
+      console.error(err);
+      setLoadError(err.message);
+    }
+  };
+
+  // Pick up an unfinished attempt where it was left, time spent included
+  const restoreDraft = (data, draft, deadlineAt) => {
+    applyQuiz(data, deadlineAt);
+    setAttemptId(draft.attemptId || data.attemptId || createAttemptId());
+    if (data.language) {
+      setUser(prev => prev && { ...prev, language: data.language });
+    }
+    setAnswers(draft.answers || {});
+    setCurrentQuestion(Math.min(draft.currentQuestion || 0, Math.max(0, (data.questions || []).length - 1)));
+    setQuestionTimeUsed(draft.questionTimeUsed || {});
+    setStartTime(Date.now() - (draft.elapsedSeconds || 0) * 1000);
+    setTimeSpent(Math.floor(draft.elapsedSeconds || 0));
+  };
+
+  // A draft saved on this device is resumed as is. With `resume`, the server's draft
+  // (possibly saved on another device) is used unless this device has a newer copy of it.
+  const startQuiz = async (signup) => {
+    const quizSlug = slug || signup.assessmentSlug;
+    const localDraft = loadLocalDraft(signup.phone, quizSlug);
+
+    if (signup.resume) {
+      try {
+        const data = await resumeAttemptDraft(signup.phone, signup.verificationToken, quizSlug);
+        const localIsNewer = localDraft
+          && localDraft.quiz.attemptToken === data.attemptToken
+          && localDraft.savedAt > new Date(data.draft.updatedAt).getTime();
+        if (!localIsNewer) {
+          const deadlineAt = data.secondsRemaining !== null && data.secondsRemaining !== undefined
+            ? Date.now() + data.secondsRemaining * 1000
+            : null;
+          restoreDraft(data, data.draft, deadlineAt);
+          return;
+        }
+      } catch (err) {
+        // Offline or the draft is gone: fall back to this device's copy, if any
+        console.error(err);
+      }
+    }
+
+    if (localDraft) {
+      restoreDraft(localDraft.quiz, localDraft, localDraft.deadline || null);
+      return;
+    }
+    loadQuestions(signup.language || 'English', quizSlug, signup.phone);
+  };
 
   useEffect(() => {
     const raw = sessionStorage.getItem('userSignup');
     if (!raw) {
-      navigate('/');
+      navigate(slug ? `/quiz/${slug}` : '/');
       return;
     }
     const parsed = JSON.parse(raw);
     setUser(parsed);
-    const lang = parsed.language || 'English';
-    setQuestions(QUESTIONS[lang] || QUESTIONS['English']);
-  }, [navigate]);
+    startQuiz(parsed);
+  }, [navigate, slug]);
 
   // Timer effect
   useEffect(() => {
@@ -135,6 +241,104 @@ export default function Questions() {
     return () => clearInterval(interval);
   }, [startTime]);
 
+  const sendServerDraft = async () => {
+    const draft = latestDraftRef.current;
+    if (!draft || !user) return;
+    try {
+      await saveAttemptDraft({
+        phone: user.phone,
+        verificationToken: user.verificationToken,
+        questionSetId: draft.quiz.questionSetId,
+        attemptToken: draft.quiz.attemptToken,
+        attemptId: draft.attemptId,
+        answers: draft.answers,
+        currentQuestion: draft.currentQuestion,
+        elapsedSeconds: draft.elapsedSeconds,
+        questionTimeUsed: draft.questionTimeUsed
+      });
+    } catch (err) {
+      // The local draft still has the progress; the next save tries again
+      console.warn(err.message);
+    }
+  };
+
+  const scheduleServerSave = () => {
+    const saves = serverSaveRef.current;
+    if (saves.timer || saves.stopped) return;
+    const wait = Math.max(0, saves.lastSentAt + SERVER_SAVE_INTERVAL_MS - Date.now());
+    saves.timer = setTimeout(() => {
+      saves.timer = null;
+      saves.lastSentAt = Date.now();
+      saves.pending = sendServerDraft().finally(() => { saves.pending = null; });
+    }, wait);
+  };
+
+  // Stop saving drafts (before submitting) once any save already sent has finished,
+  // so a late save cannot bring back a draft of a submitted attempt
+  const stopServerSaves = async () => {
+    const saves = serverSaveRef.current;
+    saves.stopped = true;
+    clearTimeout(saves.timer);
+    saves.timer = null;
+    await saves.pending;
+  };
+
+  useEffect(() => () => clearTimeout(serverSaveRef.current.timer), []);
+
+  // Autosave
+  const saveTick = Math.floor(timeSpent / LOCAL_SAVE_INTERVAL_SECONDS);
+  useEffect(() => {
+    if (!user || !quizRef.current || serverSaveRef.current.stopped) return;
+    const draft = {
+      quiz: quizRef.current,
+      attemptId,
+      answers,
+      currentQuestion,
+      elapsedSeconds: Math.floor((Date.now() - startTime) / 1000),
+      questionTimeUsed,
+      deadline
+    };
+    latestDraftRef.current = draft;
+    saveLocalDraft(user.phone, assessmentSlug, draft);
+    scheduleServerSave();
+  }, [answers, currentQuestion, questionTimeUsed, saveTick, questions, attemptId]);
+
+  const secondsLeft = deadline ? Math.max(0, Math.ceil((deadline - startTime) / 1000) - timeSpent) : null;
+
+  const isQuestionExpired = (question) =>
+    Boolean(questionTimeLimit && question && (questionTimeUsed[question.id] || 0) >= questionTimeLimit);
+
+  // Per-question timer: only the question on screen uses up its time. This pacing is
+  // kept here only; the server checks the attempt's overall deadline, not each question.
+  useEffect(() => {
+    const question = questions[currentQuestion];
+    if (!questionTimeLimit || !question || timeSpent === 0) return;
+    setQuestionTimeUsed(prev => ({
+      ...prev,
+      [question.id]: Math.min(questionTimeLimit, (prev[question.id] || 0) + 1)
+    }));
+  }, [timeSpent]);
+
+  // When a question runs out of time, move on to the next one that still has time
+  useEffect(() => {
+    if (!isQuestionExpired(questions[currentQuestion])) return;
+    const remaining = questions
+      .map((question, index) => index)
+      .filter(index => !isQuestionExpired(questions[index]));
+    if (remaining.length === 0) {
+      autoSubmit();
+      return;
+    }
+    setCurrentQuestion(remaining.find(index => index > currentQuestion) ?? remaining[0]);
+  }, [questionTimeUsed]);
+
+  // Overall time limit
+  useEffect(() => {
+    if (deadline && Date.now() >= deadline) {
+      autoSubmit();
+    }
+  }, [timeSpent]);
+
   const handleSelect = (qid, value) => {
     setAnswers(prev => ({ ...prev, [qid]: value }));
   };
@@ -156,20 +360,17 @@ export default function Questions() {
   };
 
   const getAnsweredCount = () => {
-    return Object.keys(answers).filter(key => answers[key]).length;
+    return questions.filter(q => isAnswered(q, answers[q.id])).length;
   };
 
-  const handleSubmit = async () => {
+  const handleSubmit = async ({ automatic = false } = {}) => {
     if (!user) return;
     
     setLoading(true);
     
     try {
-      const answersArray = questions.map(q => ({
-        questionId: q.id,
-        question: q.q,
-        answer: answers[q.id] || ''
-      }));
+      await stopServerSaves();
+      const answersArray = questions.map(q => toSubmittedAnswer(q, answers[q.id]));
 
       const payload = {
         name: user.name,
@@ -178,21 +379,64 @@ export default function Questions() {
         class: user.className,
         language: user.language,
         answers: answersArray,
-        completionTime: Math.floor(timeSpent / 60) // in minutes
+        questionSetId,
+        attemptToken,
+        attemptId,
+        verificationToken: user.verificationToken,
+        assessmentSlug,
+        completionTime: Math.floor(timeSpent / 60), // in minutes
+        elapsedSeconds: timeSpent,
+        completedAt: new Date().toISOString()
       };
 
-      await saveUser(payload);
+      let result;
+      try {
+        const response = await saveUser(payload);
+        result = response.data || {};
+      } catch (err) {
+        if (!err.retryable) throw err;
+        // No connection: keep the submission on this device and upload it later
+        await queueSubmission(payload);
+        result = { queued: true };
+      }
+
+      clearLocalDraft(user.phone, assessmentSlug);
       sessionStorage.removeItem('userSignup');
-      navigate('/thankyou');
+      navigate('/thankyou', {
+        state: {
+          message: result.message,
+          attemptNumber: result.attemptNumber,
+          isNewUser: result.isNewUser,
+          queued: result.queued,
+          // Measured by the server when the attempt was started online
+          completionTime: result.durationSeconds !== undefined && result.durationSeconds !== null
+            ? Math.floor(result.durationSeconds / 60) || undefined
+            : payload.completionTime || undefined,
+          // Sent only when the assessment shows answers after submitting
+          review: result.review,
+          assessmentSlug,
+          autoSubmitted: automatic
+        }
+      });
     } catch (err) {
       console.error(err);
+      // Not submitted: keep saving the progress
+      serverSaveRef.current.stopped = false;
       setShowConfirmDialog(false);
-      alert('Failed to save. Please try again.');
+      alert(err.message || 'Failed to save. Please try again.');
     } finally {
       setLoading(false);
     }
   };
 
+  // Submit whatever has been answered once time runs out (only once)
+  const autoSubmit = () => {
+    if (autoSubmittedRef.current || loading) return;
+    autoSubmittedRef.current = true;
+    setShowConfirmDialog(false);
+    handleSubmit({ automatic: true });
+  };
+
   const formatTime = (seconds) => {
     const minutes = Math.floor(seconds / 60);
     const remainingSeconds = seconds % 60;
@@ -205,9 +449,27 @@ export default function Questions() {
 
   const getQuestionStatus = (index) => {
     const question = questions[index];
-    return answers[question?.id] ? 'completed' : 'pending';
+    return question && isAnswered(question, answers[question.id]) ? 'completed' : 'pending';
   };
 
+  if (loadError) {
+    return (
+      <Box display="flex" justifyContent="center" alignItems="center" minHeight="100vh">
+        <Alert
+          severity="error"
+          action={
+            <Button color="inherit" size="small" onClick={() => loadQuestions(user?.language || 'English', assessmentSlug, user?.phone)}>
+              Retry
+            </Button>
+          }
+        >
+          <AlertTitle>Could not load the quiz</AlertTitle>
+          {loadError}
+        </Alert>
+      </Box>
+    );
+  }
+
   if (!user || questions.length === 0) {
     return (
       <Box display="flex" justifyContent="center" alignItems="center" minHeight="100vh">
@@ -220,6 +482,11 @@ export default function Questions() {
   const isLastQuestion = currentQuestion === questions.length - 1;
   const answeredCount = getAnsweredCount();
   const allAnswered = answeredCount === questions.length;
+  const currentAnswered = isAnswered(currentQ, answers[currentQ.id]);
+  const currentExpired = isQuestionExpired(currentQ);
+  const questionSecondsLeft = questionTimeLimit
+    ? questionTimeLimit - (questionTimeUsed[currentQ.id] || 0)
+    : null;
 
   return (
     <ThemeProvider theme={theme}>
@@ -257,7 +524,7 @@ export default function Questions() {
               
               <Grid item xs>
                 <Typography variant="h5" gutterBottom>
-                  📚 Quiz in {user.language}
+                  📚 {assessment?.title || 'Quiz'} in {user.language}
                 </Typography>
                 <Box display="flex" alignItems="center" gap={2} flexWrap="wrap">
                   <Chip
@@ -278,8 +545,8 @@ export default function Questions() {
                   )}
                   <Chip
                     icon={<Timer />}
-                    label={formatTime(timeSpent)}
-                    color="warning"
+                    label={secondsLeft !== null ? `${formatTime(secondsLeft)} left` : formatTime(timeSpent)}
+                    color={secondsLeft !== null && secondsLeft <= 60 ? 'error' : 'warning'}
                     variant="outlined"
                     size="small"
                   />
@@ -288,7 +555,7 @@ export default function Questions() {
 
               <Grid item>
                 <Tooltip title="Go back to signup">
-                  <IconButton onClick={() => navigate('/')}>
+                  <IconButton onClick={() => navigate(signupPath)}>
                     <Home />
                   </IconButton>
                 </Tooltip>
@@ -336,7 +603,7 @@ export default function Questions() {
                         },
                       }}
                     >
-                      <Typography variant="caption">Q{q.id}</Typography>
+                      <Typography variant="caption">Q{index + 1}</Typography>
                     </StepButton>
                   </Step>
                 ))}
@@ -344,6 +611,18 @@ export default function Questions() {
             </Box>
           </Paper>
 
+          {offline && (
+            <Alert severity="info" sx={{ mb: 3 }}>
+              You are offline. Your answers will be saved on this device and uploaded when the connection returns.
+            </Alert>
+          )}
+
+          {secondsLeft !== null && secondsLeft <= 60 && (
+            <Alert severity="warning" icon={<Timer />} sx={{ mb: 3 }}>
+              Less than a minute left. Your answers will be submitted automatically when time runs out.
+            </Alert>
+          )}
+
           {/* Current Question */}
           <Fade in={true} key={currentQuestion}>
             <Card sx={{ mb: 3 }}>
@@ -352,62 +631,55 @@ export default function Questions() {
                   <Typography variant="h6" color="text.secondary">
                     Question {currentQuestion + 1} of {questions.length}
                   </Typography>
-                  {answers[currentQ.id] && (
-                    <Chip
-                      icon={<CheckCircle />}
-                      label="Answered"
-                      color="success"
-                      size="small"
-                    />
-                  )}
+                  <Box display="flex" gap={1}>
+                    {questionSecondsLeft !== null && (
+                      <Tooltip title="Suggested time for this question. When it runs out, the quiz moves on to the next question.">
+                        <Chip
+                          icon={<Timer />}
+                          label={currentExpired ? "Time's up" : formatTime(questionSecondsLeft)}
+                          color={currentExpired || questionSecondsLeft <= 10 ? 'error' : 'default'}
+                          variant="outlined"
+                          size="small"
+                        />
+                      </Tooltip>
+                    )}
+                    {currentAnswered && (
+                      <Chip
+                        icon={<CheckCircle />}
+                        label="Answered"
+                        color="success"
+                        size="small"
+                      />
+                    )}
+                  </Box>
                 </Box>
 
-                <Typography variant="h5" gutterBottom sx={{ mb: 4, lineHeight: 1.4 }}>
+                <Typography variant="h5" gutterBottom sx={{ mb: currentQ.audio || currentQ.image ? 2 : 4, lineHeight: 1.4 }}>
                   {currentQ.q}
                 </Typography>
 
-                <RadioGroup
-                  value={answers[currentQ.id] || ''}
-                  onChange={(e) => handleSelect(currentQ.id, e.target.value)}
-                >
-                  {currentQ.options.map((option, index) => (
-                    <Paper
-                      key={index}
-                      elevation={answers[currentQ.id] === option ? 3 : 0}
-                      sx={{
-                        p: 2,
-                        mb: 2,
-                        border: answers[currentQ.id] === option ? 2 : 1,
-                        borderColor: answers[currentQ.id] === option ? 'primary.main' : 'divider',
-                        borderRadius: 2,
-                        cursor: 'pointer',
-                        transition: 'all 0.3s ease',
-                        '&:hover': {
-                          backgroundColor: 'action.hover',
-                          transform: 'translateY(-1px)',
-                        },
-                      }}
-                      onClick={() => handleSelect(currentQ.id, option)}
-                    >
-                      <FormControlLabel
-                        value={option}
-                        control={
-                          <Radio
-                            sx={{ mr: 2 }}
-                            icon={<RadioButtonUnchecked />}
-                            checkedIcon={<CheckCircle />}
-                          />
-                        }
-                        label={
-                          <Typography variant="body1" sx={{ fontWeight: 500 }}>
-                            {option}
-                          </Typography>
-                        }
-                        sx={{ margin: 0, width: '100%' }}
-                      />
-                    </Paper>
-                  ))}
-                </RadioGroup>
+                {currentQ.audio && (
+                  <Box mb={2}>
+                    <ListenButton src={currentQ.audio} />
+                  </Box>
+                )}
+
+                {currentQ.image && (
+                  <Box
+                    component="img"
+                    src={mediaUrl(currentQ.image)}
+                    alt=""
+                    sx={{ display: 'block', maxWidth: '100%', maxHeight: 320, borderRadius: 2, mb: 4, objectFit: 'contain' }}
+                  />
+                )}
+
+                <Box sx={currentExpired ? { pointerEvents: 'none', opacity: 0.6 } : undefined}>
+                  <QuestionInput
+                    question={currentQ}
+                    value={answers[currentQ.id]}
+                    onChange={(value) => handleSelect(currentQ.id, value)}
+                  />
+                </Box>
               </CardContent>
             </Card>
           </Fade>
@@ -440,9 +712,9 @@ export default function Questions() {
                   <Typography variant="body2" color="text.secondary">
                     Question {currentQuestion + 1} of {questions.length}
                   </Typography>
-                  {!answers[currentQ.id] && (
+                  {!currentAnswered && !currentExpired && (
                     <Typography variant="caption" color="warning.main">
-                      Please select an answer
+                      Please answer this question
                     </Typography>
                   )}
                 </Box>
@@ -455,7 +727,7 @@ export default function Questions() {
                     endIcon={<NavigateNext />}
                     onClick={nextQuestion}
                     size="large"
-                    disabled={!answers[currentQ.id]}
+                    disabled={!currentAnswered && !currentExpired}
                   >
                     Next
                   </Button>
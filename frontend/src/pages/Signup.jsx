@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useParams } from 'react-router-dom';
 import {
   Box,
   Card,
@@ -33,9 +33,20 @@ import {
   Refresh,
   CheckCircle,
   Warning,
-  Info
+  Info,
+  Sms,
+  History
 } from '@mui/icons-material';
 import { createTheme, ThemeProvider } from '@mui/material/styles';
+import {
+  checkExistingUser as fetchExistingUser,
+  discardAttemptDraft,
+  getAssessment,
+  prefetchQuizzes,
+  sendVerificationCode,
+  verifyPhoneCode
+} from '../api';
+import { clearLocalDraft, loadLocalDraft, toLocalDraftSummary } from '../attemptDraft';
 
 // Custom theme
 const theme = createTheme({
@@ -108,6 +119,9 @@ const LANGUAGES = [
 
 export default function Signup() {
   const navigate = useNavigate();
+  const { slug } = useParams();
+  const [assessment, setAssessment] = useState(null);
+  const [assessmentError, setAssessmentError] = useState('');
   const [form, setForm] = useState({
     name: '',
     phone: '',
@@ -120,6 +134,40 @@ export default function Signup() {
   const [message, setMessage] = useState('');
   const [showExistingUserInfo, setShowExistingUserInfo] = useState(false);
   const [formErrors, setFormErrors] = useState({});
+  // One-time code for phone numbers that have been used before
+  const [verification, setVerification] = useState(null);
+  const [code, setCode] = useState('');
+  // An unfinished attempt at this quiz, offered to be resumed
+  const [draft, setDraft] = useState(null);
+
+  // Load the named assessment when signing up through /quiz/:slug
+  useEffect(() => {
+    if (!slug) return;
+
+    getAssessment(slug)
+      .then(data => {
+        setAssessment(data);
+        setAssessmentError('');
+        // Switch to a language this assessment is offered in
+        setForm(prev => data.languages?.length > 0 && !data.languages.includes(prev.language)
+          ? { ...prev, language: data.languages.includes('English') ? 'English' : data.languages[0] }
+          : prev);
+      })
+      .catch(error => setAssessmentError(error.message));
+  }, [slug]);
+
+  // Save the quiz on this device while online, so it can also be taken offline
+  useEffect(() => {
+    if (slug && !assessment) return;
+    const languages = assessment?.languages?.length > 0
+      ? assessment.languages
+      : LANGUAGES.map(lang => lang.value);
+    prefetchQuizzes(slug, languages);
+  }, [slug, assessment]);
+
+  const availableLanguages = assessment?.languages?.length > 0
+    ? LANGUAGES.filter(lang => assessment.languages.includes(lang.value))
+    : LANGUAGES;
 
   const validateForm = () => {
     const errors = {};
@@ -144,45 +192,96 @@ export default function Signup() {
     return Object.keys(errors).length === 0;
   };
 
+  const showReturningUser = (user, welcomeMessage) => {
+    setExistingUser(user);
+    setShowExistingUserInfo(true);
+    setMessage(welcomeMessage);
+
+    // Pre-fill form with existing user data
+    setForm(prev => ({
+      ...prev,
+      name: user.name,
+      school: user.school || '',
+      className: user.class || '',
+      language: user.language
+    }));
+  };
+
+  const clearReturningUser = () => {
+    setExistingUser(null);
+    setShowExistingUserInfo(false);
+    setVerification(null);
+    setCode('');
+    setMessage('');
+    setDraft(null);
+  };
+
+  // The server's draft, or else one saved on this device (e.g. while offline)
+  const offerDraft = (phone, serverDraft) => {
+    setDraft(serverDraft || toLocalDraftSummary(loadLocalDraft(phone, slug)));
+  };
+
+  const startOver = async () => {
+    try {
+      await discardAttemptDraft(form.phone, verification?.token || null, slug);
+    } catch (error) {
+      setMessage(error.message);
+      return;
+    }
+    clearLocalDraft(form.phone, slug);
+    setDraft(null);
+  };
+
   const checkExistingUser = async (phone) => {
     if (phone.length !== 10) return;
     
     try {
-      const response = await fetch('http://localhost:5000/api/users/check-existing', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ phone })
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        
-        if (data.exists) {
-          setExistingUser(data.user);
-          setShowExistingUserInfo(true);
-          setMessage(data.message);
-          
-          // Pre-fill form with existing user data
-          setForm(prev => ({
-            ...prev,
-            name: data.user.name,
-            school: data.user.school || '',
-            className: data.user.class || '',
-            language: data.user.language
-          }));
-        } else {
-          setExistingUser(null);
-          setShowExistingUserInfo(false);
-          setMessage('');
-        }
+      const data = await fetchExistingUser(phone, null, slug);
+
+      if (data.exists) {
+        // The profile is only shown once the phone number is verified
+        setExistingUser(null);
+        setShowExistingUserInfo(false);
+        setMessage('');
+        setDraft(null);
+        setVerification({ phone, token: null, codeSent: false, sending: false, checking: false, error: '' });
+      } else {
+        clearReturningUser();
+        offerDraft(phone, data.draft);
       }
     } catch (error) {
       console.error('Error checking existing user:', error);
+      setMessage(error.message);
+    }
+  };
+
+  const requestCode = async () => {
+    setVerification(prev => ({ ...prev, sending: true, error: '' }));
+    try {
+      await sendVerificationCode(verification.phone);
+      setVerification(prev => ({ ...prev, sending: false, codeSent: true }));
+    } catch (error) {
+      setVerification(prev => ({ ...prev, sending: false, error: error.message }));
     }
   };
 
+  const checkCode = async () => {
+    setVerification(prev => ({ ...prev, checking: true, error: '' }));
+    try {
+      const data = await verifyPhoneCode(verification.phone, code.trim(), slug);
+      setVerification(prev => ({ ...prev, checking: false, token: data.verificationToken }));
+      setCode('');
+      if (data.user) {
+        showReturningUser(data.user, `Welcome back ${data.user.name}!`);
+      }
+      offerDraft(verification.phone, data.draft);
+    } catch (error) {
+      setVerification(prev => ({ ...prev, checking: false, error: error.message }));
+    }
+  };
+
+  const needsVerification = !!verification && !verification.token;
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setForm(prev => ({ ...prev, [name]: value }));
@@ -199,10 +298,8 @@ export default function Signup() {
       
       if (cleanPhone.length === 10) {
         checkExistingUser(cleanPhone);
-      } else if (existingUser) {
-        setExistingUser(null);
-        setShowExistingUserInfo(false);
-        setMessage('');
+      } else if (existingUser || verification) {
+        clearReturningUser();
       }
     }
   };
@@ -215,9 +312,7 @@ export default function Signup() {
       className: '',
       language: 'English'
     });
-    setExistingUser(null);
-    setShowExistingUserInfo(false);
-    setMessage('');
+    clearReturningUser();
     setFormErrors({});
   };
 
@@ -228,14 +323,22 @@ export default function Signup() {
       return;
     }
 
+    if (needsVerification) {
+      setFormErrors(prev => ({ ...prev, phone: 'Please verify this phone number first' }));
+      return;
+    }
+
     setLoading(true);
 
     try {
       // Store data in sessionStorage to pass to questions page
       const dataToStore = {
         ...form,
+        assessmentSlug: slug || null,
+        verificationToken: verification?.token || null,
         isExistingUser: !!existingUser,
         attemptNumber: existingUser ? (existingUser.totalAttempts + 1) : 1,
+        resume: !!draft,
         timestamp: new Date().getTime()
       };
 
@@ -244,7 +347,7 @@ export default function Signup() {
       // Simulate loading for better UX
       await new Promise(resolve => setTimeout(resolve, 1000));
       
-      navigate('/questions');
+      navigate(slug ? `/quiz/${slug}/questions` : '/questions');
     } catch (error) {
       console.error('Error starting quiz:', error);
       setMessage('Error starting quiz. Please try again.');
@@ -300,14 +403,22 @@ export default function Signup() {
                   <PersonAdd sx={{ fontSize: 40 }} />
                 </Avatar>
                 <Typography variant="h4" gutterBottom>
-                  📚 Online Test
+                  📚 {assessment?.title || 'Online Test'}
                 </Typography>
                 <Typography variant="body1" sx={{ opacity: 0.9 }}>
-                  Start your learning journey today
+                  {assessment?.description || 'Start your learning journey today'}
                 </Typography>
               </Box>
 
               <CardContent sx={{ p: 4 }}>
+                {/* Unknown or archived assessment */}
+                {assessmentError && (
+                  <Alert severity="error" sx={{ mb: 3, borderRadius: 2 }}>
+                    <AlertTitle>Quiz not available</AlertTitle>
+                    {assessmentError}
+                  </Alert>
+                )}
+
                 {/* Existing User Welcome */}
                 {showExistingUserInfo && existingUser && (
                   <Fade in={true}>
@@ -336,6 +447,29 @@ export default function Signup() {
                   </Fade>
                 )}
 
+                {/* Unfinished attempt */}
+                {draft && (
+                  <Fade in={true}>
+                    <Alert
+                      severity="warning"
+                      icon={<History />}
+                      sx={{ mb: 3, borderRadius: 2 }}
+                      action={
+                        <Button color="inherit" size="small" onClick={startOver} disabled={loading}>
+                          Start over
+                        </Button>
+                      }
+                    >
+                      <AlertTitle>Resume where you left off</AlertTitle>
+                      <Typography variant="body2">
+                        You have an unfinished quiz with <strong>{draft.answeredCount}</strong> question(s) answered
+                        and {Math.floor((draft.elapsedSeconds || 0) / 60)} min spent.
+                        Last saved {new Date(draft.updatedAt).toLocaleString()}.
+                      </Typography>
+                    </Alert>
+                  </Fade>
+                )}
+
                 {/* General Message */}
                 {message && !showExistingUserInfo && (
                   <Alert 
@@ -395,6 +529,44 @@ export default function Signup() {
                       />
                     </Grid>
 
+                    {/* Phone Verification */}
+                    {needsVerification && (
+                      <Grid item xs={12}>
+                        <Alert severity="info" icon={<Sms />} sx={{ borderRadius: 2 }}>
+                          <AlertTitle>Verify your phone number</AlertTitle>
+                          <Typography variant="body2" sx={{ mb: 2 }}>
+                            This number has taken the quiz before. We'll send a code by SMS to make sure it's yours.
+                          </Typography>
+                          {verification.codeSent && (
+                            <Box sx={{ display: 'flex', gap: 1, mb: 1 }}>
+                              <TextField
+                                size="small"
+                                label="6-digit code"
+                                value={code}
+                                onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+                                inputProps={{ inputMode: 'numeric', autoComplete: 'one-time-code' }}
+                              />
+                              <Button
+                                variant="contained"
+                                onClick={checkCode}
+                                disabled={code.length !== 6 || verification.checking}
+                              >
+                                {verification.checking ? 'Checking...' : 'Verify'}
+                              </Button>
+                            </Box>
+                          )}
+                          <Button size="small" onClick={requestCode} disabled={verification.sending}>
+                            {verification.sending ? 'Sending...' : verification.codeSent ? 'Send a new code' : 'Send code'}
+                          </Button>
+                          {verification.error && (
+                            <Typography variant="body2" color="error" sx={{ mt: 1 }}>
+                              {verification.error}
+                            </Typography>
+                          )}
+                        </Alert>
+                      </Grid>
+                    )}
+
                     {/* School Field */}
                     <Grid item xs={12} sm={6}>
                       <TextField
@@ -447,7 +619,7 @@ export default function Signup() {
                           ),
                         }}
                       >
-                        {LANGUAGES.map((lang) => (
+                        {availableLanguages.map((lang) => (
                           <MenuItem key={lang.value} value={lang.value}>
                             <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                               <span>{lang.flag}</span>
@@ -494,7 +666,7 @@ export default function Signup() {
                       variant="contained"
                       size="large"
                       fullWidth
-                      disabled={loading}
+                      disabled={loading || !!assessmentError || needsVerification}
                       startIcon={loading ? <CircularProgress size={20} /> : <PlayArrow />}
                       sx={{
                         py: 2,
@@ -511,6 +683,7 @@ export default function Signup() {
                       }}
                     >
                       {loading ? 'Preparing Quiz...' :
+                       draft ? '▶️ Resume Where You Left Off' :
                        existingUser ? `🔄 Start Attempt #${existingUser.totalAttempts + 1}` :
                        '🚀 Start Your First Quiz'}
                     </Button>
@@ -21,7 +21,9 @@ import {
   Dialog,
   DialogTitle,
   DialogContent,
-  DialogActions
+  DialogActions,
+  Alert,
+  Collapse
 } from '@mui/material';
 import {
   CheckCircle,
@@ -36,7 +38,11 @@ import {
   School,
   EmojiEvents,
   Verified,
-  TrendingUp
+  TrendingUp,
+  FactCheck,
+  Cancel,
+  Lightbulb,
+  ExpandMore
 } from '@mui/icons-material';
 import { createTheme, ThemeProvider } from '@mui/material/styles';
 import { keyframes } from '@mui/system';
@@ -164,6 +170,7 @@ export default function ThankYou() {
   const [showConfetti, setShowConfetti] = useState(true);
   const [showShareDialog, setShowShareDialog] = useState(false);
   const [animationStep, setAnimationStep] = useState(0);
+  const [showReview, setShowReview] = useState(false);
   
   // Get data passed from Questions page
   const { 
@@ -171,8 +178,13 @@ export default function ThankYou() {
     attemptNumber, 
     isNewUser, 
     completionTime, 
-    score 
+    score,
+    assessmentSlug,
+    autoSubmitted,
+    queued,
+    review
   } = location.state || {};
+  const correctCount = review ? review.filter(item => item.isCorrect).length : 0;
   
   // Get user data from sessionStorage
   const [userData] = useState(() => {
@@ -197,7 +209,7 @@ export default function ThankYou() {
   }, []);
 
   const handleTakeAgain = () => {
-    navigate('/');
+    navigate(assessmentSlug ? `/quiz/${assessmentSlug}` : '/');
   };
 
   const handleViewAdmin = () => {
@@ -402,6 +414,19 @@ export default function ThankYou() {
                   </Box>
                 </Fade>
 
+                {autoSubmitted && (
+                  <Alert severity="info" sx={{ mt: 3, textAlign: 'left' }}>
+                    Time ran out, so your answers were submitted automatically.
+                  </Alert>
+                )}
+
+                {queued && (
+                  <Alert severity="warning" sx={{ mt: 3, textAlign: 'left' }}>
+                    There is no connection right now, so your answers are saved on this device.
+                    They will be uploaded automatically when the connection returns.
+                  </Alert>
+                )}
+
                 {/* Custom Message */}
                 {message && (
                   <Fade in={animationStep >= 3} timeout={1000}>
@@ -572,6 +597,90 @@ export default function ThankYou() {
             </Slide>
           )}
 
+          {/* Answer Review */}
+          {review?.length > 0 && (
+            <Slide direction="up" in={animationStep >= 3} timeout={1300}>
+              <Card sx={{ mb: 4 }}>
+                <CardContent sx={{ p: 4 }}>
+                  <Box display="flex" alignItems="center" justifyContent="space-between" flexWrap="wrap" gap={2}>
+                    <Box>
+                      <Typography variant="h5" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <FactCheck color="primary" />
+                        Review Your Answers
+                      </Typography>
+                      <Typography variant="body1" color="text.secondary">
+                        {correctCount} of {review.length} correct
+                      </Typography>
+                    </Box>
+                    <Button
+                      variant={showReview ? 'outlined' : 'contained'}
+                      endIcon={
+                        <ExpandMore sx={{ transform: showReview ? 'rotate(180deg)' : 'none', transition: 'transform 0.2s' }} />
+                      }
+                      onClick={() => setShowReview(shown => !shown)}
+                    >
+                      {showReview ? 'Hide Answers' : 'See Answers'}
+                    </Button>
+                  </Box>
+
+                  <Collapse in={showReview} unmountOnExit>
+                    <List sx={{ mt: 2 }}>
+                      {review.map(item => (
+                        <ListItem
+                          key={item.questionId}
+                          alignItems="flex-start"
+                          sx={{
+                            mb: 2,
+                            borderRadius: 3,
+                            border: '2px solid',
+                            borderColor: item.isCorrect ? 'success.light' : '#ffcdd2',
+                            bgcolor: item.isCorrect ? '#f1f8e9' : '#fff5f5',
+                          }}
+                        >
+                          <ListItemIcon sx={{ mt: 0.5 }}>
+                            {item.isCorrect
+                              ? <CheckCircle color="success" />
+                              : <Cancel color="error" />}
+                          </ListItemIcon>
+                          <ListItemText
+                            disableTypography
+                            primary={
+                              <Typography variant="subtitle1" sx={{ fontWeight: 600, mb: 1 }}>
+                                {item.position}. {item.question}
+                              </Typography>
+                            }
+                            secondary={
+                              <Box>
+                                <Typography variant="body2" color={item.isCorrect ? 'success.dark' : 'error.main'}>
+                                  Your answer: <strong>{item.answer || 'Not answered'}</strong>
+                                </Typography>
+                                {!item.isCorrect && (
+                                  <Typography variant="body2" color="success.dark">
+                                    Correct answer: <strong>{item.correctAnswer}</strong>
+                                  </Typography>
+                                )}
+                                {item.explanation && (
+                                  <Typography
+                                    variant="body2"
+                                    color="text.secondary"
+                                    sx={{ mt: 1, display: 'flex', alignItems: 'flex-start', gap: 1 }}
+                                  >
+                                    <Lightbulb fontSize="small" color="warning" />
+                                    {item.explanation}
+                                  </Typography>
+                                )}
+                              </Box>
+                            }
+                          />
+                        </ListItem>
+                      ))}
+                    </List>
+                  </Collapse>
+                </CardContent>
+              </Card>
+            </Slide>
+          )}
+
           {/* Action Buttons Card */}
           <Slide direction="up" in={animationStep >= 3} timeout={1400}>
             <Card>